@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { createDomainLoader } = require('./index.js');
+const { validateProject } = require('./src/validator');
+const bundle = require('./src/bundle');
+
+// Parse command line options:
+//   --output <dir>                bundle directory (default: dist)
+//   --concat                      also write one <type>.json with every component of that type
+//   --no-validate                 skip validation even when referenceResolution.validateOnBuild is set
+function parseArgs(argv) {
+  const options = { output: 'dist', concat: false, validate: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--output' || arg === '-o') {
+      options.output = argv[++i];
+    } else if (arg.startsWith('--output=')) {
+      options.output = arg.slice('--output='.length);
+    } else if (arg === '--concat') {
+      options.concat = true;
+    } else if (arg === '--no-validate') {
+      options.validate = false;
+    } else {
+      console.error(`❌ Unknown option "${arg}"`);
+      process.exit(1);
+    }
+  }
+  return options;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const root = process.cwd();
+
+  const config = createDomainLoader(root, { onLoadError: () => {} }).getDomainConfig() || {};
+  const resolution = config.referenceResolution || {};
+  if (options.validate && resolution.validateOnBuild !== false) {
+    const validation = validateProject({ root });
+    if (!validation.valid) {
+      validation.diagnostics
+        .filter(diagnostic => diagnostic.severity === 'error')
+        .forEach(diagnostic => {
+          const location = diagnostic.file ? `${diagnostic.file}${diagnostic.line ? `:${diagnostic.line}:${diagnostic.column}` : ''} ` : '';
+          console.error(`  ❌ ${location}${diagnostic.message}`);
+        });
+      console.error(`❌ Validation failed (${validation.summary.errors} error(s)), nothing was built (use --no-validate to skip)`);
+      process.exit(1);
+    }
+    console.log(`✅ Validation passed (${validation.summary.passed} stage(s))`);
+  }
+
+  let result;
+  try {
+    result = bundle.buildBundle(root);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const outDir = path.resolve(root, options.output);
+  const written = bundle.writeBundle(result, outDir, { concat: options.concat });
+  const { manifest } = result;
+  const unresolved = manifest.components.reduce((count, component) =>
+    count + component.references.filter(reference => !reference.external && reference.file === null).length, 0);
+
+  console.log(`📦 Bundled ${manifest.components.length} component(s) of ${manifest.name}@${manifest.version}`);
+  written.forEach(file => console.log(`  📝 ${path.relative(process.cwd(), file)}`));
+  if (unresolved > 0) {
+    console.warn(`⚠️  ${unresolved} reference(s) could not be resolved`);
+  }
+  console.log(`🔑 ${manifest.hash}`);
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const domainDiff = require('./src/domain-diff');
+const versionBump = require('./src/version-bump');
+
+const SEVERITY_ICONS = { major: '🔴', minor: '🟡', patch: '⚪' };
+
+// Parse command line options:
+//   --since <ref|dir|tarball>     release to compare with (default: the latest git tag)
+//   --apply                       write the proposed versions
+//   --format text|json            output format of the proposal (default: text)
+function parseArgs(argv) {
+  const options = { since: null, apply: false, format: 'text' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--since' || arg === '-s') {
+      options.since = argv[++i];
+    } else if (arg.startsWith('--since=')) {
+      options.since = arg.slice('--since='.length);
+    } else if (arg === '--apply') {
+      options.apply = true;
+    } else if (arg === '--format' || arg === '-f') {
+      options.format = argv[++i];
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else {
+      console.error(`❌ Unknown option "${arg}"`);
+      process.exit(1);
+    }
+  }
+  return options;
+}
+
+// Helper function to print one proposed bump
+function formatBump(name, item) {
+  const icon = SEVERITY_ICONS[item.severity];
+  const target = item.needed
+    ? `${item.version} → ${item.proposed}`
+    : `${item.version} (already at or above ${item.proposed})`;
+  return `  ${icon} ${name.padEnd(36)} ${target} [${item.severity}]`;
+}
+
+function printPlan(plan, since) {
+  console.log(`📦 Changes since ${since}: ${plan.changes.length}`);
+  if (!plan.severity) {
+    console.log('✅ Nothing changed, no version bump needed');
+    return;
+  }
+  for (const item of plan.components) {
+    console.log(formatBump(`${item.type}/${item.key}`, item));
+  }
+  console.log(formatBump('package', plan.package));
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (!['text', 'json'].includes(options.format)) {
+    console.error(`❌ Unknown format "${options.format}" (expected one of: text, json)`);
+    process.exit(1);
+  }
+
+  const since = options.since || versionBump.latestReleaseTag();
+  if (!since) {
+    console.error('❌ No release tag found, pass the release to compare with using --since <ref>');
+    process.exit(1);
+  }
+
+  const root = path.resolve('.');
+  let plan;
+  let source = null;
+  try {
+    source = domainDiff.openSource(since);
+    plan = versionBump.planBumps(domainDiff.loadDomain(source.root), domainDiff.loadDomain(root));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (source) {
+      source.cleanup();
+    }
+    process.exit(1);
+  }
+  source.cleanup();
+
+  if (options.format === 'json') {
+    process.stdout.write(JSON.stringify({ since, components: plan.components, package: plan.package }, null, 2) + '\n');
+  } else {
+    printPlan(plan, since);
+  }
+
+  const pending = plan.components.filter(item => item.needed).length + (plan.package.needed ? 1 : 0);
+  if (!options.apply) {
+    if (pending > 0 && options.format === 'text') {
+      console.log(`\nRun with --apply to write ${pending} version bump(s)`);
+    }
+    return;
+  }
+
+  let result;
+  try {
+    result = versionBump.applyBumps(plan, root);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  const relative = file => path.relative(process.cwd(), file);
+  for (const item of result.bumped) {
+    const renamed = item.renamedFrom ? ` (renamed from ${path.basename(item.renamedFrom)})` : '';
+    console.log(`📝 ${relative(item.file)}: ${item.from} → ${item.to}${renamed}`);
+  }
+  for (const file of result.updated.filter(file => !result.bumped.some(item => item.file === file))) {
+    console.log(`📝 Updated ${relative(file)}`);
+  }
+  for (const message of result.unmatched) {
+    console.warn(`⚠️  ${message}`);
+  }
+  console.log(`✅ Applied ${pending} version bump(s)`);
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { createDomainLoader } = require('./index.js');
+const references = require('./src/references');
+const diagram = require('./src/diagram');
+
+// Parse command line options:
+//   <workflow...>                 workflow keys or files (default: every workflow)
+//   --format mermaid|dot          diagram format (default: mermaid)
+//   --language <code>             label language (default: en-US)
+//   --output <file|directory>     output file, or a directory when several workflows are rendered
+function parseArgs(argv) {
+  const options = { workflows: [], format: 'mermaid', language: diagram.DEFAULT_LANGUAGE, output: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format' || arg === '-f') {
+      options.format = argv[++i];
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg === '--language' || arg === '-l') {
+      options.language = argv[++i];
+    } else if (arg.startsWith('--language=')) {
+      options.language = arg.slice('--language='.length);
+    } else if (arg === '--output' || arg === '-o') {
+      options.output = argv[++i];
+    } else if (arg.startsWith('--output=')) {
+      options.output = arg.slice('--output='.length);
+    } else {
+      options.workflows.push(arg);
+    }
+  }
+  return options;
+}
+
+// Helper function to find a workflow by key, file name or path
+function findWorkflow(workflows, name) {
+  const baseName = path.basename(name, '.json');
+  return workflows.find(workflow =>
+    workflow.content.key === name ||
+    path.basename(workflow.file, '.json') === baseName ||
+    path.resolve(workflow.file) === path.resolve(name));
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+
+  if (!diagram.DIAGRAM_FORMATS.includes(options.format)) {
+    console.error(`❌ Unknown format "${options.format}" (expected one of: ${diagram.DIAGRAM_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const loader = createDomainLoader(process.cwd());
+  const workflows = references.loadComponents(loader, loader.getDomainConfig())
+    .filter(component => component.type === 'workflows');
+
+  if (workflows.length === 0) {
+    console.error('❌ No workflows found in the domain directory');
+    process.exit(1);
+  }
+
+  let selected = workflows;
+  if (options.workflows.length > 0) {
+    selected = options.workflows.map(name => {
+      const workflow = findWorkflow(workflows, name);
+      if (!workflow) {
+        console.error(`❌ Workflow "${name}" not found (available: ${workflows.map(item => item.content.key).join(', ')})`);
+        process.exit(1);
+      }
+      return workflow;
+    });
+  }
+
+  const rendered = selected.map(workflow => ({
+    workflow,
+    output: diagram.renderDiagram(diagram.buildDiagram(workflow.content, {
+      language: options.language,
+      meta: diagram.loadDiagramMeta(workflow.file)
+    }), options.format)
+  }));
+
+  if (!options.output) {
+    process.stdout.write(rendered.map(item => item.output).join('\n'));
+    return;
+  }
+
+  // A single workflow is written to the output file, several to files in the output directory
+  const toDirectory = rendered.length > 1 || (fs.existsSync(options.output) && fs.statSync(options.output).isDirectory());
+  for (const item of rendered) {
+    const target = toDirectory
+      ? path.join(options.output, `${path.basename(item.workflow.file, '.json')}${diagram.FORMAT_EXTENSIONS[options.format]}`)
+      : options.output;
+    fs.mkdirSync(path.dirname(path.resolve(target)), { recursive: true });
+    fs.writeFileSync(target, item.output, 'utf8');
+    console.log(`📝 ${item.workflow.content.key} → ${target}`);
+  }
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const domainDiff = require('./src/domain-diff');
+const semver = require('./src/semver');
+
+const USAGE = 'Usage: morph-touch diff <old> [new] [--format text|json] [--output <file>]\n' +
+  '  <old> and [new] are git refs, directories or packed tarballs (new defaults to the current directory)';
+
+const SEVERITY_ICONS = { major: '🔴 MAJOR', minor: '🟡 MINOR', patch: '⚪ PATCH' };
+
+// Parse command line options:
+//   <old> [new]                   sides to compare
+//   --format text|json            output format (default: text)
+//   --output <file>               write the report to a file instead of stdout
+function parseArgs(argv) {
+  const options = { sources: [], format: 'text', output: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format' || arg === '-f') {
+      options.format = argv[++i];
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg === '--output' || arg === '-o') {
+      options.output = argv[++i];
+    } else if (arg.startsWith('--output=')) {
+      options.output = arg.slice('--output='.length);
+    } else {
+      options.sources.push(arg);
+    }
+  }
+  return options;
+}
+
+// Format the diff as a release-notes friendly report grouped by component
+function formatText(result, oldSide, newSide) {
+  const lines = [`📦 Comparing ${oldSide.label} → ${newSide.label}`, ''];
+  if (result.changes.length === 0) {
+    lines.push('✅ No component changes');
+    return lines.join('\n') + '\n';
+  }
+
+  const groups = new Map();
+  for (const change of result.changes) {
+    const id = `${change.type}/${change.key}`;
+    if (!groups.has(id)) {
+      groups.set(id, []);
+    }
+    groups.get(id).push(change);
+  }
+
+  for (const changes of groups.values()) {
+    const first = changes[0];
+    const versions = first.oldVersion && first.newVersion && first.oldVersion !== first.newVersion
+      ? ` (${first.oldVersion} → ${first.newVersion})`
+      : '';
+    lines.push(`${first.type}/${first.key}${versions} — ${domainDiff.highestSeverity(changes)}`);
+    for (const change of changes) {
+      lines.push(`  ${SEVERITY_ICONS[change.severity]}  ${change.message}`);
+    }
+    lines.push('');
+  }
+
+  const counts = domainDiff.SEVERITIES.slice().reverse()
+    .map(severity => `${result.changes.filter(change => change.severity === severity).length} ${severity}`);
+  lines.push(`📊 ${result.changes.length} change(s): ${counts.join(', ')}`);
+  const oldVersion = oldSide.domain.packageVersion;
+  const newVersion = newSide.domain.packageVersion;
+  if (oldVersion) {
+    const suggested = domainDiff.bumpVersion(oldVersion, result.severity);
+    lines.push(`📌 Required version bump: ${result.severity} (${oldVersion} → ${suggested})`);
+    if (semver.isValid(newVersion) && semver.isValid(suggested) && semver.compare(newVersion, suggested) < 0) {
+      lines.push(`⚠️  New package version ${newVersion} is lower than the required ${suggested}`);
+    }
+  } else {
+    lines.push(`📌 Required version bump: ${result.severity}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+
+  if (options.sources.length < 1 || options.sources.length > 2) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (!['text', 'json'].includes(options.format)) {
+    console.error(`❌ Unknown format "${options.format}" (expected one of: text, json)`);
+    process.exit(1);
+  }
+
+  const sides = [];
+  let report;
+  let failure = null;
+  try {
+    for (const spec of [options.sources[0], options.sources[1] || '.']) {
+      const side = domainDiff.openSource(spec);
+      sides.push(side);
+      side.domain = domainDiff.loadDomain(side.root);
+      if (side.domain.components.size === 0 && !fs.existsSync(path.join(side.root, 'vnext.config.json'))) {
+        throw new Error(`No domain package found in ${spec}`);
+      }
+    }
+
+    const [oldSide, newSide] = sides;
+    const result = domainDiff.diffDomains(oldSide.domain, newSide.domain);
+    report = options.format === 'json'
+      ? JSON.stringify({
+        old: { source: oldSide.label, version: oldSide.domain.packageVersion },
+        new: { source: newSide.label, version: newSide.domain.packageVersion },
+        severity: result.severity,
+        changes: result.changes
+      }, null, 2) + '\n'
+      : formatText(result, oldSide, newSide);
+  } catch (error) {
+    failure = error;
+  } finally {
+    sides.forEach(side => side.cleanup());
+  }
+
+  if (failure) {
+    console.error(`❌ ${failure.message}`);
+    process.exit(1);
+  }
+
+  if (options.output) {
+    fs.writeFileSync(options.output, report, 'utf8');
+    console.log(`📝 Diff written to ${options.output}`);
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const { createDomainLoader } = require('./index.js');
+const references = require('./src/references');
+const domainExports = require('./src/domain-exports');
+const { readJsonFile, writeJsonFile } = require('./src/json-file');
+
+// Parse command line options:
+//   --include <glob>              export only matching files (relative to the domain directory, repeatable)
+//   --exclude <glob>              never export matching files (repeatable)
+//   --write                       save the computed lists (and given patterns) to vnext.config.json
+function parseArgs(argv) {
+  const options = { include: [], exclude: [], write: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--include') {
+      options.include.push(argv[++i]);
+    } else if (arg.startsWith('--include=')) {
+      options.include.push(arg.slice('--include='.length));
+    } else if (arg === '--exclude') {
+      options.exclude.push(argv[++i]);
+    } else if (arg.startsWith('--exclude=')) {
+      options.exclude.push(arg.slice('--exclude='.length));
+    } else if (arg === '--write') {
+      options.write = true;
+    } else {
+      console.error(`❌ Unknown option "${arg}"`);
+      process.exit(1);
+    }
+  }
+  return options;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const configPath = path.resolve('vnext.config.json');
+  const loader = createDomainLoader(process.cwd());
+  const domainName = loader.getDomainName();
+  if (!domainName) {
+    console.error('❌ Domain directory not found');
+    process.exit(1);
+  }
+
+  const { data: config } = readJsonFile(configPath);
+  config.exports = config.exports || {};
+  if (options.include.length > 0) {
+    config.exports.include = options.include;
+  }
+  if (options.exclude.length > 0) {
+    config.exports.exclude = options.exclude;
+  }
+
+  const components = references.loadComponents(loader, config);
+  const computed = domainExports.computeExports(components, domainName, config);
+  let changed = 0;
+
+  for (const type of domainExports.EXPORT_TYPES) {
+    const current = domainExports.exportedFiles(config, type);
+    const added = computed[type].filter(name => !current.includes(name));
+    const removed = current.filter(name => !computed[type].includes(name));
+    changed += added.length + removed.length;
+    console.log(`${type}: ${computed[type].length > 0 ? computed[type].join(', ') : '(none)'}`);
+    added.forEach(name => console.log(`  + ${name}`));
+    removed.forEach(name => console.log(`  - ${name}`));
+  }
+
+  if (!options.write) {
+    if (changed > 0) {
+      console.log(`\n${changed} export change(s), run with --write to update vnext.config.json`);
+    } else {
+      console.log('\n✅ Exports are up to date');
+    }
+    return;
+  }
+
+  domainExports.EXPORT_TYPES.forEach(type => {
+    config.exports[type] = computed[type];
+  });
+  writeJsonFile(configPath, config);
+  console.log(`\n📝 Updated exports in ${path.relative(process.cwd(), configPath)} (${changed} change(s))`);
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+const path = require('path');
+const generator = require('./src/generator');
+
+// Parse command line options: <kind> <key> [--version <semver>] [--task <key>] [--force]
+function parseArgs(argv) {
+  const options = { positional: [], version: null, task: null, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--version' || arg === '-v') {
+      options.version = argv[++i];
+    } else if (arg.startsWith('--version=')) {
+      options.version = arg.slice('--version='.length);
+    } else if (arg === '--task' || arg === '-t') {
+      options.task = argv[++i];
+    } else if (arg.startsWith('--task=')) {
+      options.task = arg.slice('--task='.length);
+    } else if (arg === '--force') {
+      options.force = true;
+    } else {
+      options.positional.push(arg);
+    }
+  }
+  return options;
+}
+
+function printUsage() {
+  const kinds = Object.keys(generator.COMPONENT_KINDS).join('|');
+  console.error(`❌ Usage: morph-touch generate <${kinds}> <key> [--version 1.0.0] [--task <task-key>] [--force]`);
+  console.error('   Example: morph-touch generate workflow order-approval');
+  console.error('   Functions and extensions run a task: morph-touch generate function notify-user --task send-notification');
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const [kind, key] = options.positional;
+
+  if (!kind || !key) {
+    printUsage();
+    process.exit(1);
+  }
+
+  try {
+    const { file, component } = generator.generateComponent(kind, key, {
+      root: process.cwd(),
+      version: options.version,
+      task: options.task,
+      force: options.force
+    });
+    console.log(`✅ Created ${kind} ${component.domain}:${component.key}@${component.version}`);
+    console.log(`   ${path.relative(process.cwd(), file)}`);
+    console.log('\n🚀 Next steps:');
+    console.log('   npm run validate');
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,249 @@
+// Generated by "morph-touch types" from index.js and Schemas/*.json. Do not edit by hand.
+
+declare namespace morphTouch {
+  type ComponentType = 'schemas' | 'workflows' | 'tasks' | 'views' | 'functions' | 'extensions';
+
+  interface Label {
+    label: string;
+    language: string;
+  }
+
+  /** Reference to another component by key, domain, flow and version (or range) */
+  interface ComponentReference {
+    key: string;
+    domain: string;
+    flow?: string;
+    version?: string;
+  }
+
+  /** Properties shared by every component file */
+  interface ComponentEnvelope<TAttributes = Record<string, unknown>> {
+    key: string;
+    version: string;
+    domain: string;
+    flow: string;
+    flowVersion?: string;
+    tags?: string[];
+    attributes: TAttributes;
+  }
+
+  interface Transition {
+    key: string;
+    target: string;
+    triggerType?: number;
+    versionStrategy?: string;
+    labels?: Label[];
+    schema?: ComponentReference | null;
+    [name: string]: unknown;
+  }
+
+  interface SubFlow {
+    type: string;
+    process: ComponentReference;
+    mapping?: { location?: string; code?: string };
+    [name: string]: unknown;
+  }
+
+  interface WorkflowState {
+    key: string;
+    /** 1 = initial, 2 = intermediate, 3 = finish, 4 = subflow */
+    stateType: number;
+    labels?: Label[];
+    transitions?: Transition[];
+    subFlow?: SubFlow | null;
+    [name: string]: unknown;
+  }
+
+  interface WorkflowAttributes {
+    type: string;
+    labels?: Label[];
+    startTransition: Transition;
+    states: WorkflowState[];
+    sharedTransitions?: Array<Transition & { availableIn?: string[] }>;
+    /** Schema bound to the instance data */
+    schema?: ComponentReference;
+    [name: string]: unknown;
+  }
+
+  interface SchemaAttributes {
+    type?: string;
+    /** JSON schema of the payload */
+    schema: Record<string, unknown>;
+    [name: string]: unknown;
+  }
+
+  type SchemaComponent = ComponentEnvelope<SchemaAttributes>;
+  type WorkflowComponent = ComponentEnvelope<WorkflowAttributes>;
+  type Component = ComponentEnvelope<Record<string, unknown>>;
+
+  /** Components of a folder keyed by file name without .json (nested files by relative path) */
+  type ComponentMap<T = Component> = Record<string, T>;
+
+  /** A component with its type and file path, as returned by the query API */
+  interface LocatedComponent<T = Component> {
+    type: ComponentType;
+    key: string;
+    version: string;
+    domain: string;
+    file: string;
+    content: T;
+  }
+
+  interface LoadError {
+    file: string;
+    message: string;
+  }
+
+  interface LoaderOptions {
+    /** Called for every file that cannot be loaded (default: console warning) */
+    onLoadError?: (error: LoadError) => void;
+  }
+
+  interface DomainConfig {
+    domain: string;
+    version: string;
+    paths?: Record<string, string | string[]>;
+    exports?: Record<string, unknown>;
+    [name: string]: unknown;
+  }
+
+  interface DomainLoader {
+    getDomainConfig(): DomainConfig | null;
+    getSchemas(): ComponentMap<SchemaComponent>;
+    getWorkflows(): ComponentMap<WorkflowComponent>;
+    getTasks(): ComponentMap;
+    getViews(): ComponentMap;
+    getFunctions(): ComponentMap;
+    getExtensions(): ComponentMap;
+    getAvailableTypes(): ComponentType[];
+    getDomainName(): string | null;
+    getExports(): Record<ComponentType, ComponentMap>;
+    /** Drop cached files and configuration */
+    reload(): void;
+    getLoadErrors(): LoadError[];
+    iterateComponents(): IterableIterator<LocatedComponent>;
+    listVersions(type: ComponentType, key: string): string[];
+    getLatest(type: ComponentType, key: string): LocatedComponent | null;
+    /** Highest version matching a version or range (latest when omitted) */
+    getComponent(type: ComponentType, key: string, versionRange?: string): LocatedComponent | null;
+    findByTag(tag: string): LocatedComponent[];
+  }
+
+  /** Absence Entry: Absence entry schema for advisor's calendar (meetings, customer visits, vacations, etc.). Can be used for both Portfolio Manager and Investment Advisor. (absence-entry@1.0.0) */
+  interface AbsenceEntry {
+    /** Reference to Advisor (Portfolio Manager or Investment Advisor) (format: touch:portfolio-manager:key, touch:portfolio-manager:id, touch:investment-advisor:key, or touch:investment-advisor:id) */
+    advisor: string;
+    /** Type of absence entry */
+    type: "meeting" | "customer-visit" | "vacation" | "other";
+    /**
+     * Start date and time of the absence (ISO 8601 format)
+     * @format date-time
+     */
+    startDateTime: string;
+    /**
+     * End date and time of the absence (ISO 8601 format)
+     * @format date-time
+     */
+    endDateTime: string;
+    /** Title or subject of the absence entry */
+    title: string;
+    /** Optional description or notes */
+    description?: string;
+    /** Exchange calendar synchronization information */
+    exchangeSync?: {
+      /** Whether this entry is synced with Exchange calendar */
+      synced: boolean;
+      /** Exchange calendar event ID (if synced) */
+      exchangeId?: string;
+      [name: string]: unknown;
+    };
+  }
+
+  /** Portfolio Manager: Portfolio Manager master schema (portfolio-manager@1.0.0) */
+  interface PortfolioManager {
+    /** Reference to User entity in different domain for portfolio manager's personal information (name, surname, phone, etc.) (format: domain:workflow:key or domain:workflow:id) */
+    user: string;
+    /** Reference to Person entity in different domain for portfolio manager's personal information (format: domain:workflow:key or domain:workflow:id) */
+    person: string;
+    /** Array of Portfolio Manager references who can respond on behalf when this manager is unavailable. System will automatically route requests to delegates when manager is offline, busy, on-vacation, or away. */
+    delegates?: string[];
+    /** IANA timezone identifier (e.g., 'Europe/Istanbul', 'America/New_York') */
+    timezone: string;
+    /** Available appointment slot durations in minutes (must be multiples of 15, e.g., 15, 30, 60) */
+    availableSlotDurations: number[];
+    /** Break duration between two consecutive appointments in minutes (must be a multiple of 15, minimum 15) */
+    breakDurationBetweenAppointments: number;
+    /** Working hours for this portfolio manager */
+    workingHours: {
+      /** Working hours for Monday (e.g., '09:00-17:00' or 'closed') */
+      monday: string;
+      /** Working hours for Tuesday (e.g., '09:00-17:00' or 'closed') */
+      tuesday: string;
+      /** Working hours for Wednesday (e.g., '09:00-17:00' or 'closed') */
+      wednesday: string;
+      /** Working hours for Thursday (e.g., '09:00-17:00' or 'closed') */
+      thursday: string;
+      /** Working hours for Friday (e.g., '09:00-17:00' or 'closed') */
+      friday: string;
+      /** Working hours for Saturday (e.g., '09:00-17:00' or 'closed') */
+      saturday: string;
+      /** Working hours for Sunday (e.g., '09:00-17:00' or 'closed') */
+      sunday: string;
+      [name: string]: unknown;
+    };
+  }
+
+  /** Reservation: Reservation schema for appointments between customers and advisors (Portfolio Manager or Investment Advisor) (rezervation@1.0.0) */
+  interface Rezervation {
+    /** Reference to User entity (customer) in different domain (format: domain:workflow:key or domain:workflow:id) */
+    user: string;
+    /** Reference to Advisor (Portfolio Manager or Investment Advisor) (format: touch:portfolio-manager:key, touch:portfolio-manager:id, touch:investment-advisor:key, or touch:investment-advisor:id) */
+    advisor: string;
+    /**
+     * Start date and time of the appointment (ISO 8601 format)
+     * @format date-time
+     */
+    startDateTime: string;
+    /**
+     * End date and time of the appointment (ISO 8601 format)
+     * @format date-time
+     */
+    endDateTime: string;
+    /** WebRTC video call integration information (e.g., LiveKit, Jitsi, etc.) */
+    webrtcIntegration?: {
+      /** Video call room name for the meeting */
+      roomName?: string;
+      /** Video call room ID for the meeting */
+      roomId?: string;
+      /** Whether the video call room has been created */
+      created: boolean;
+      [name: string]: unknown;
+    };
+    /** Chat integration information for this meeting (e.g., Synapse/Matrix, Slack, etc.) */
+    chatIntegration?: {
+      /** Chat room ID (e.g., Matrix room ID) */
+      roomId?: string;
+      /** Session start marker event ID (for daily session grouping) */
+      sessionStartMarker?: string;
+      /** Session end marker event ID (if session is closed) */
+      sessionEndMarker?: string;
+      [name: string]: unknown;
+    };
+    /** Reason for cancellation (if appointment was cancelled by user or advisor) */
+    cancellationReason?: string;
+  }
+
+  /** Payload interface of the latest version of each schema, by schema key */
+  interface SchemaPayloads {
+    "absence-entry": AbsenceEntry;
+    "portfolio-manager": PortfolioManager;
+    "rezervation": Rezervation;
+  }
+}
+
+declare const morphTouch: morphTouch.DomainLoader & {
+  /** Create the same API for another project root */
+  createDomainLoader(rootDir?: string, options?: morphTouch.LoaderOptions): morphTouch.DomainLoader;
+};
+
+export = morphTouch;
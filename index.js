@@ -1,109 +1,242 @@
 const fs = require('fs');
 const path = require('path');
+const semver = require('./src/semver');
+const discovery = require('./src/discovery');
+
+const COMPONENT_FOLDERS = discovery.COMPONENT_FOLDERS;
 
 // Find the domain directory dynamically
-function findDomainDirectory() {
-  const entries = fs.readdirSync('.', { withFileTypes: true });
+function findDomainDirectory(rootDir = '.') {
+  const entries = fs.readdirSync(rootDir, { withFileTypes: true });
   for (const entry of entries) {
-    if (entry.isDirectory() && 
-        !entry.name.startsWith('.') && 
+    if (entry.isDirectory() &&
+        !entry.name.startsWith('.') &&
         entry.name !== 'node_modules' &&
         entry.name !== 'dist') {
       // Check if it contains typical vnext structure
-      const domainPath = entry.name;
+      const domainPath = path.join(rootDir, entry.name);
       if (fs.existsSync(path.join(domainPath, 'Schemas')) ||
           fs.existsSync(path.join(domainPath, 'Workflows')) ||
           fs.existsSync(path.join(domainPath, 'Tasks'))) {
-        return domainPath;
+        return entry.name;
       }
     }
   }
   return null;
 }
 
-// Load JSON files from a directory
-function loadJsonFiles(dirPath) {
+// Load discovered component files as { name: content }, collecting files that cannot be parsed in errors
+function loadJsonFiles(entries, errors = []) {
   const files = {};
-  if (!fs.existsSync(dirPath)) {
-    return files;
-  }
-  
-  const entries = fs.readdirSync(dirPath, { withFileTypes: true });
   for (const entry of entries) {
-    if (entry.isFile() && entry.name.endsWith('.json')) {
+    try {
+      files[entry.name] = JSON.parse(fs.readFileSync(entry.file, 'utf8'));
+    } catch (error) {
+      errors.push({ file: entry.file, message: error.message });
+    }
+  }
+  return files;
+}
+
+// Helper function to copy loaded JSON, so that callers cannot change the cached files
+function copyJson(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+// Create the component API for a project root (defaults to the root of this package).
+// Folders come from paths in vnext.config.json and are read once; call reload() after
+// files change. Getters return copies of the cached files. Files that cannot be loaded are
+// listed by getLoadErrors() and passed to options.onLoadError (a console warning by default).
+function createDomainLoader(rootDir = __dirname, options = {}) {
+  const onLoadError = options.onLoadError ||
+    (error => console.warn(`Warning: Could not load ${path.basename(error.file)}: ${error.message}`));
+  let cache = null;
+
+  // Read vnext.config.json and locate the domain directory once per reload
+  const state = () => {
+    if (cache) {
+      return cache;
+    }
+    cache = { config: null, domainDir: null, folders: {}, errors: [] };
+    const configPath = path.join(rootDir, 'vnext.config.json');
+    if (fs.existsSync(configPath)) {
       try {
-        const filePath = path.join(dirPath, entry.name);
-        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-        const baseName = entry.name.replace('.json', '');
-        files[baseName] = content;
+        cache.config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
       } catch (error) {
-        console.warn(`Warning: Could not load ${entry.name}: ${error.message}`);
+        cache.errors.push({ file: configPath, message: error.message });
+        onLoadError(cache.errors[cache.errors.length - 1]);
       }
     }
-  }
-  return files;
+    const paths = (cache.config && cache.config.paths) || {};
+    if (paths.componentsRoot && fs.existsSync(path.join(rootDir, paths.componentsRoot))) {
+      cache.domainDir = paths.componentsRoot;
+    } else if (fs.existsSync(rootDir)) {
+      cache.domainDir = findDomainDirectory(rootDir);
+    }
+    return cache;
+  };
+
+  // Look up the folder of a component type, throwing for unknown types
+  const folderOf = (type) => {
+    if (!COMPONENT_FOLDERS[type]) {
+      throw new Error(`Unknown component type "${type}" (expected one of: ${Object.keys(COMPONENT_FOLDERS).join(', ')})`);
+    }
+    return discovery.componentFolder(type, state().config);
+  };
+
+  // Load the component folder of a type from the domain directory
+  const loadFolder = (type) => {
+    const current = state();
+    if (!current.domainDir) return {};
+    if (!current.folders[type]) {
+      const errors = [];
+      const entries = discovery.listComponentFiles(path.join(rootDir, current.domainDir), type, current.config);
+      current.folders[type] = loadJsonFiles(entries, errors);
+      current.errors.push(...errors);
+      errors.forEach(onLoadError);
+    }
+    return current.folders[type];
+  };
+
+  // Describe a loaded component with its type, identity and file path
+  const describe = (type, baseName, content) => ({
+    type,
+    key: content && content.key,
+    version: content && content.version,
+    domain: content && content.domain,
+    file: path.join(rootDir, state().domainDir, folderOf(type), `${baseName}.json`),
+    content: copyJson(content)
+  });
+
+  // All versions of one component, sorted from lowest to highest
+  const versionsOf = (type, key) => {
+    const files = loadFolder(type);
+    return Object.entries(files)
+      .filter(([, content]) => content && content.key === key && semver.isValid(content.version))
+      .map(([baseName, content]) => describe(type, baseName, content))
+      .sort((a, b) => semver.compare(a.version, b.version));
+  };
+
+  // Iterate over the components of every folder
+  const iterateComponents = function* () {
+    for (const type of Object.keys(COMPONENT_FOLDERS)) {
+      for (const [baseName, content] of Object.entries(loadFolder(type))) {
+        yield describe(type, baseName, content);
+      }
+    }
+  };
+
+  return {
+    // Get the domain configuration
+    getDomainConfig: function() {
+      return copyJson(state().config);
+    },
+
+    // Get all schemas
+    getSchemas: function() {
+      return copyJson(loadFolder('schemas'));
+    },
+
+    // Get all workflows
+    getWorkflows: function() {
+      return copyJson(loadFolder('workflows'));
+    },
+
+    // Get all tasks
+    getTasks: function() {
+      return copyJson(loadFolder('tasks'));
+    },
+
+    // Get all views
+    getViews: function() {
+      return copyJson(loadFolder('views'));
+    },
+
+    // Get all functions
+    getFunctions: function() {
+      return copyJson(loadFolder('functions'));
+    },
+
+    // Get all extensions
+    getExtensions: function() {
+      return copyJson(loadFolder('extensions'));
+    },
+
+    // Get available component types
+    getAvailableTypes: function() {
+      return ['schemas', 'workflows', 'tasks', 'views', 'functions', 'extensions'];
+    },
+
+    // Get domain directory name
+    getDomainName: function() {
+      return state().domainDir;
+    },
+
+    // Drop cached files and configuration so the next call reads them again
+    reload: function() {
+      cache = null;
+    },
+
+    // Get the files that could not be loaded as { file, message }, loading every folder first
+    getLoadErrors: function() {
+      Object.keys(COMPONENT_FOLDERS).forEach(loadFolder);
+      return state().errors.map(error => Object.assign({}, error));
+    },
+
+    // Get the components listed in the exports section of vnext.config.json, by type
+    getExports: function() {
+      const exportLists = (state().config || {}).exports || {};
+      const exported = {};
+      for (const type of Object.keys(COMPONENT_FOLDERS)) {
+        const names = Array.isArray(exportLists[type]) ? exportLists[type] : [];
+        const files = names.length > 0 ? loadFolder(type) : {};
+        exported[type] = {};
+        // Export lists hold file names, also for components in nested grouping folders
+        for (const [name, content] of Object.entries(files)) {
+          if (names.includes(`${path.posix.basename(name)}.json`)) {
+            exported[type][name] = copyJson(content);
+          }
+        }
+      }
+      return exported;
+    },
+
+    // Iterate over every component as { type, key, version, domain, file, content }
+    iterateComponents: function() {
+      return iterateComponents();
+    },
+
+    // Get the versions of a component, sorted from lowest to highest
+    listVersions: function(type, key) {
+      return versionsOf(type, key).map(component => component.version);
+    },
+
+    // Get the highest version of a component, null when it does not exist
+    getLatest: function(type, key) {
+      const versions = versionsOf(type, key);
+      return versions.length > 0 ? versions[versions.length - 1] : null;
+    },
+
+    // Get the highest version of a component matching a version or range (latest when omitted)
+    getComponent: function(type, key, versionRange) {
+      const versions = versionsOf(type, key);
+      if (!versionRange) {
+        return versions.length > 0 ? versions[versions.length - 1] : null;
+      }
+      const version = semver.maxSatisfying(versions.map(component => component.version), versionRange);
+      return versions.find(component => component.version === version) || null;
+    },
+
+    // Get every component carrying a tag
+    findByTag: function(tag) {
+      return Array.from(iterateComponents())
+        .filter(component => Array.isArray(component.content && component.content.tags) && component.content.tags.includes(tag));
+    }
+  };
 }
 
 // Main module exports
-module.exports = {
-  // Get the domain configuration
-  getDomainConfig: function() {
-    try {
-      return JSON.parse(fs.readFileSync('vnext.config.json', 'utf8'));
-    } catch (error) {
-      return null;
-    }
-  },
-  
-  // Get all schemas
-  getSchemas: function() {
-    const domainDir = findDomainDirectory();
-    if (!domainDir) return {};
-    return loadJsonFiles(path.join(domainDir, 'Schemas'));
-  },
-  
-  // Get all workflows
-  getWorkflows: function() {
-    const domainDir = findDomainDirectory();
-    if (!domainDir) return {};
-    return loadJsonFiles(path.join(domainDir, 'Workflows'));
-  },
-  
-  // Get all tasks
-  getTasks: function() {
-    const domainDir = findDomainDirectory();
-    if (!domainDir) return {};
-    return loadJsonFiles(path.join(domainDir, 'Tasks'));
-  },
-  
-  // Get all views
-  getViews: function() {
-    const domainDir = findDomainDirectory();
-    if (!domainDir) return {};
-    return loadJsonFiles(path.join(domainDir, 'Views'));
-  },
-  
-  // Get all functions
-  getFunctions: function() {
-    const domainDir = findDomainDirectory();
-    if (!domainDir) return {};
-    return loadJsonFiles(path.join(domainDir, 'Functions'));
-  },
-  
-  // Get all extensions
-  getExtensions: function() {
-    const domainDir = findDomainDirectory();
-    if (!domainDir) return {};
-    return loadJsonFiles(path.join(domainDir, 'Extensions'));
-  },
-  
-  // Get available component types
-  getAvailableTypes: function() {
-    return ['schemas', 'workflows', 'tasks', 'views', 'functions', 'extensions'];
-  },
-  
-  // Get domain directory name
-  getDomainName: function() {
-    return findDomainDirectory();
-  }
-};
+module.exports = Object.assign(createDomainLoader(__dirname), {
+  // Create the same API for another project root
+  createDomainLoader
+});
@@ -99,17 +99,47 @@ function copyAndReplace(src, dest, domainName, skipDirs = []) {
   }
 }
 
+// Commands run inside an existing domain project (morph-touch <command> ...). Their names are
+// reserved: "morph-touch init <domain-name>" creates a project with one of them.
+const COMMANDS = {
+  build: './build.js',
+  bump: './bump.js',
+  generate: './generate.js',
+  diagram: './diagram.js',
+  diff: './diff.js',
+  exports: './exports.js',
+  labels: './labels.js',
+  sample: './sample.js',
+  serve: './serve.js',
+  simulate: './simulate.js',
+  types: './types.js',
+  validate: './validate.js'
+};
+
 // Main init function
 function init() {
   const args = process.argv.slice(2);
   
-  if (args.length === 0) {
-    console.error('❌ Usage: npx @burgan-tech/morph-touch <domain-name>');
+  if (args.length === 0 || (args[0] === 'init' && args.length < 2)) {
+    console.error('❌ Usage: npx @burgan-tech/morph-touch [init] <domain-name>');
     console.error('   Example: npx @burgan-tech/morph-touch user-management');
+    console.error(`   Commands inside a project: ${Object.keys(COMMANDS).join(', ')}`);
+    console.error('   Use "init <domain-name>" to create a project named like one of these commands');
     process.exit(1);
   }
+
+  if (args[0] !== 'init' && COMMANDS[args[0]]) {
+    // Outside a project the name was most likely meant as a project name
+    if (!fs.existsSync(path.join(process.cwd(), 'vnext.config.json'))) {
+      console.error(`❌ "${args[0]}" is a morph-touch command and needs a domain project (no vnext.config.json found)`);
+      console.error(`   To create a project named "${args[0]}", run: npx @burgan-tech/morph-touch init ${args[0]}`);
+      process.exit(1);
+    }
+    require(COMMANDS[args[0]]).main(args.slice(1));
+    return;
+  }
   
-  const domainName = args[0].trim();
+  const domainName = (args[0] === 'init' ? args[1] : args[0]).trim();
   
   if (!validateDomainName(domainName)) {
     process.exit(1);
@@ -148,12 +178,26 @@ function init() {
     'vnext.config.json',
     'package.json',
     'index.js',
+    'index.d.ts',
     'README.md',
     'CHANGELOG.md',
     'LICENSE',
     'test.js',
+    'tests',
     'validate.js',
+    'build.js',
+    'bump.js',
+    'diagram.js',
+    'diff.js',
+    'exports.js',
+    'generate.js',
+    'labels.js',
+    'sample.js',
+    'serve.js',
+    'simulate.js',
+    'types.js',
     'sync-schema-version.js',
+    'src',
     'test-domain-detection.sh',
     '.gitignore',
     '.gitattributes',
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { createDomainLoader } = require('./index.js');
+const references = require('./src/references');
+const labels = require('./src/labels');
+const translations = require('./src/translations');
+
+const USAGE = `Usage:
+  morph-touch labels export [--format csv|xliff] [--source <language>] [--target <language>] [--output <file>]
+  morph-touch labels import <file> [--format csv|xliff]`;
+
+// Parse command line options:
+//   export|import                 action
+//   <file>                        translated file to import
+//   --format csv|xliff            file format (default: csv, or the import file's extension)
+//   --source <language>           XLIFF source language (default: first configured language)
+//   --target <language>           XLIFF target language (default: second configured language)
+//   --output <file>               export file (default: stdout)
+function parseArgs(argv) {
+  const options = { action: null, file: null, format: null, source: null, target: null, output: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format' || arg === '-f') {
+      options.format = argv[++i];
+    } else if (arg.startsWith('--format=')) {
+      options.format = arg.slice('--format='.length);
+    } else if (arg === '--source') {
+      options.source = argv[++i];
+    } else if (arg.startsWith('--source=')) {
+      options.source = arg.slice('--source='.length);
+    } else if (arg === '--target') {
+      options.target = argv[++i];
+    } else if (arg.startsWith('--target=')) {
+      options.target = arg.slice('--target='.length);
+    } else if (arg === '--output' || arg === '-o') {
+      options.output = argv[++i];
+    } else if (arg.startsWith('--output=')) {
+      options.output = arg.slice('--output='.length);
+    } else if (!options.action) {
+      options.action = arg;
+    } else {
+      options.file = arg;
+    }
+  }
+  return options;
+}
+
+// Helper function to pick the format of an import file from its extension
+function formatForFile(file) {
+  return /\.(xlf|xliff)$/i.test(file) ? 'xliff' : 'csv';
+}
+
+function exportLabels(options, components, domainDir, languages) {
+  const entries = translations.collectEntries(components, domainDir);
+  let output;
+  if (options.format === 'xliff') {
+    const source = options.source || languages[0];
+    const target = options.target || languages.find(language => language !== source);
+    if (!target) {
+      console.error('❌ XLIFF export needs a --target language different from the source language');
+      process.exit(1);
+    }
+    output = translations.formatXliff(entries, source, target);
+  } else {
+    output = translations.formatCsv(entries, languages);
+  }
+
+  if (!options.output) {
+    process.stdout.write(output);
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+  fs.writeFileSync(options.output, output, 'utf8');
+  console.log(`📝 Exported ${entries.length} label set(s) → ${options.output}`);
+}
+
+function importLabels(options, domainDir) {
+  if (!options.file || !fs.existsSync(options.file)) {
+    console.error(`❌ Translation file not found: ${options.file || '(none given)'}`);
+    process.exit(1);
+  }
+  const text = fs.readFileSync(options.file, 'utf8');
+  const format = options.format || formatForFile(options.file);
+
+  let items;
+  try {
+    items = format === 'xliff' ? translations.parseXliff(text) : translations.parseCsv(text);
+  } catch (error) {
+    console.error(`❌ Could not read ${options.file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const result = translations.applyTranslations(items, domainDir);
+  for (const file of result.files) {
+    console.log(`📝 Updated ${path.relative(process.cwd(), file)}`);
+  }
+  for (const id of result.unknown) {
+    console.warn(`⚠️  Skipped unknown label set: ${id}`);
+  }
+  console.log(`✅ Imported ${result.updated} translation(s) into ${result.files.length} file(s)`);
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+
+  if (!['export', 'import'].includes(options.action)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (options.format && !translations.TRANSLATION_FORMATS.includes(options.format)) {
+    console.error(`❌ Unknown format "${options.format}" (expected one of: ${translations.TRANSLATION_FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+
+  const loader = createDomainLoader(process.cwd());
+  const domainName = loader.getDomainName();
+  if (!domainName) {
+    console.error('❌ Domain directory not found');
+    process.exit(1);
+  }
+  const config = loader.getDomainConfig();
+  const domainDir = path.resolve(domainName);
+
+  if (options.action === 'export') {
+    const components = references.loadComponents(loader, config)
+      .map(component => Object.assign({}, component, { file: path.resolve(component.file) }));
+    exportLabels(options, components, domainDir, labels.configuredLanguages(config));
+  } else {
+    importLabels(options, domainDir);
+  }
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { createDomainLoader } = require('./index.js');
+const sampleData = require('./src/sample-data');
+
+const USAGE = 'Usage: morph-touch sample <schema> [--version <range>] [--count <n>] [--seed <n>] [--minimal] [--invalid] [--output <file>]';
+
+// Parse command line options:
+//   <schema>                      schema key (e.g. rezervation)
+//   --version <range>             schema version or range (default: latest)
+//   --count <n>                   number of valid samples (default: 1, more than one gives an array)
+//   --seed <n>                    seed of the first sample (default: 1)
+//   --minimal                     only fill required properties
+//   --invalid                     write invalid variants (one broken rule each) instead
+//   --output <file>               write to a file instead of stdout
+function parseArgs(argv) {
+  const options = { schema: null, version: null, count: 1, seed: 1, minimal: false, invalid: false, output: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const valued = arg.match(/^--(version|count|seed|output)(?:=(.*))?$/);
+    if (valued) {
+      options[valued[1]] = valued[2] !== undefined ? valued[2] : argv[++i];
+    } else if (arg === '--minimal') {
+      options.minimal = true;
+    } else if (arg === '--invalid') {
+      options.invalid = true;
+    } else if (arg.startsWith('-')) {
+      console.error(`❌ Unknown option "${arg}"`);
+      process.exit(1);
+    } else {
+      options.schema = arg;
+    }
+  }
+  options.count = parseInt(options.count, 10);
+  options.seed = parseInt(options.seed, 10);
+  return options;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (!options.schema) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  if (!(options.count > 0) || Number.isNaN(options.seed)) {
+    console.error('❌ --count must be a positive number and --seed a number');
+    process.exit(1);
+  }
+
+  const component = createDomainLoader(process.cwd()).getComponent('schemas', options.schema, options.version);
+  const schema = component && component.content.attributes && component.content.attributes.schema;
+  if (!schema) {
+    console.error(`❌ Schema "${options.schema}"${options.version ? ` (${options.version})` : ''} not found`);
+    process.exit(1);
+  }
+
+  let output;
+  if (options.invalid) {
+    output = sampleData.generateInvalidSamples(schema, { seed: options.seed, minimal: options.minimal });
+  } else {
+    const samples = Array.from({ length: options.count }, (item, index) =>
+      sampleData.generateSample(schema, { seed: options.seed + index, minimal: options.minimal }));
+    output = options.count === 1 ? samples[0] : samples;
+  }
+
+  const text = JSON.stringify(output, null, 2) + '\n';
+  if (!options.output) {
+    process.stdout.write(text);
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+  fs.writeFileSync(options.output, text, 'utf8');
+  const count = Array.isArray(output) ? output.length : 1;
+  console.log(`📝 Wrote ${count} ${options.invalid ? 'invalid variant(s)' : 'sample(s)'} of ${component.key}@${component.version} to ${options.output}`);
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+const { createDomainLoader } = require('./index.js');
+const { DEFAULT_PORT, API_PREFIX, createMockRuntime, createServer } = require('./src/mock-runtime');
+
+// Parse command line options:
+//   --port <n>                    port to listen on (default: 4201)
+//   --host <host>                 interface to bind (default: 127.0.0.1)
+//   --quiet                       do not log requests
+function parseArgs(argv) {
+  const options = { port: DEFAULT_PORT, host: '127.0.0.1', quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const valued = arg.match(/^--(port|host)(?:=(.*))?$/);
+    if (valued) {
+      options[valued[1]] = valued[2] !== undefined ? valued[2] : argv[++i];
+    } else if (arg === '--quiet') {
+      options.quiet = true;
+    } else {
+      console.error(`❌ Unknown option "${arg}"`);
+      console.error('Usage: morph-touch serve [--port <n>] [--host <host>] [--quiet]');
+      process.exit(1);
+    }
+  }
+  options.port = parseInt(options.port, 10);
+  return options;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (!(options.port >= 0)) {
+    console.error('❌ --port must be a number');
+    process.exit(1);
+  }
+
+  const runtime = createMockRuntime(createDomainLoader(process.cwd()));
+  if (!runtime.domain) {
+    console.error('❌ No domain found, run the command from a project with vnext.config.json');
+    process.exit(1);
+  }
+
+  const server = createServer(runtime, {
+    onRequest: options.quiet ? null : (method, url, status) => console.log(`${status} ${method} ${url}`)
+  });
+  server.on('error', (error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+  server.listen(options.port, options.host, () => {
+    const base = `http://${options.host}:${server.address().port}${API_PREFIX}/${runtime.domain}`;
+    console.log(`🚀 Mock vNext runtime for "${runtime.domain}" listening on ${base}`);
+    console.log(`   Components: GET ${base}/components`);
+    console.log(`   Start:      POST ${base}/workflows/<workflow>/instances/start`);
+    console.log('   Instance state is kept in memory and lost on restart');
+  });
+  return server;
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}
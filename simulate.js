@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+const readline = require('readline');
+const { createDomainLoader } = require('./index.js');
+const { createSimulation } = require('./src/simulator');
+
+const USAGE = 'Usage: morph-touch simulate <workflow> [transition...] [--version <range>] [--data <json>] [--interactive]';
+
+// Parse command line options:
+//   <workflow> [transition...]    workflow key and the transitions to fire in order
+//   --version <range>             workflow version or range (default: latest)
+//   --data <json>                 initial instance data
+//   --interactive, -i             read further transition keys from stdin
+function parseArgs(argv) {
+  const options = { workflow: null, transitions: [], version: null, data: {}, interactive: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--version') {
+      options.version = argv[++i];
+    } else if (arg.startsWith('--version=')) {
+      options.version = arg.slice('--version='.length);
+    } else if (arg === '--data' || arg.startsWith('--data=')) {
+      const value = arg === '--data' ? argv[++i] : arg.slice('--data='.length);
+      try {
+        options.data = JSON.parse(value);
+      } catch (error) {
+        console.error(`❌ --data is not valid JSON: ${error.message}`);
+        process.exit(1);
+      }
+    } else if (arg === '--interactive' || arg === '-i') {
+      options.interactive = true;
+    } else if (arg.startsWith('-')) {
+      console.error(`❌ Unknown option "${arg}"`);
+      process.exit(1);
+    } else if (!options.workflow) {
+      options.workflow = arg;
+    } else {
+      options.transitions.push(arg);
+    }
+  }
+  return options;
+}
+
+// Helper function to print where the simulation stands
+function printState(simulation) {
+  const state = simulation.getState();
+  const location = state.stack.map(frame => `${frame.workflow}:${frame.state}`).join(' › ');
+  if (state.status === 'finished') {
+    console.log(`🏁 Finished in ${location}`);
+    return;
+  }
+  console.log(`📍 ${location}`);
+  const transitions = simulation.availableTransitions()
+    .map(transition => transition.trigger === 'manual' ? transition.key : `${transition.key} (${transition.trigger})`);
+  console.log(`   Transitions: ${transitions.join(', ') || 'none'}`);
+}
+
+// Helper function to fire one transition, returns false when it failed
+function fire(simulation, key) {
+  try {
+    simulation.fire(key);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return false;
+  }
+  console.log(`→ ${key}`);
+  printState(simulation);
+  return true;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  if (!options.workflow) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const simulation = createSimulation(createDomainLoader(process.cwd()), options.workflow, { version: options.version });
+  try {
+    simulation.start(options.data);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  console.log(`▶️  Started ${options.workflow}`);
+  printState(simulation);
+
+  for (const key of options.transitions) {
+    if (!fire(simulation, key)) {
+      process.exit(1);
+    }
+  }
+
+  if (!options.interactive || simulation.getState().status === 'finished') {
+    return;
+  }
+
+  // Read transition keys line by line until the workflow finishes or input ends
+  const input = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'transition> ' });
+  input.prompt();
+  input.on('line', (line) => {
+    const key = line.trim();
+    if (key) {
+      fire(simulation, key);
+    }
+    if (simulation.getState().status === 'finished') {
+      input.close();
+      return;
+    }
+    input.prompt();
+  });
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createDomainLoader } = require('../index.js');
+const references = require('./references');
+const discovery = require('./discovery');
+const { formatJson } = require('./json-file');
+
+// Deployment bundle of a domain: dist/manifest.json lists every component with its type,
+// key, version, content hash and resolved references, and dist/<type>.json optionally holds
+// the contents of every component of a type. Components are sorted and hashes do not depend
+// on file formatting, so building the same components always gives the same bundle.
+
+const MANIFEST_FILE = 'manifest.json';
+
+// Helper function to serialize a value with object keys sorted
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Content hash of a JSON value ("sha256-<hex>")
+function hashContent(value) {
+  return `sha256-${crypto.createHash('sha256').update(canonicalJson(value)).digest('hex')}`;
+}
+
+// Helper function to get a path relative to the domain directory with forward slashes
+function relativePath(domainDir, file) {
+  return path.relative(domainDir, file).split(path.sep).join('/');
+}
+
+// Helper function to describe one reference made by a component, with the component or
+// file it resolves to (resolvedVersion and file are null when it does not resolve)
+function resolveManifestReference(index, reference, options) {
+  if (reference.kind === 'file') {
+    const target = path.resolve(options.domainDir, reference.ref.split('#')[0]);
+    return {
+      pointer: reference.pointer,
+      ref: reference.ref,
+      file: fs.existsSync(target) ? relativePath(options.domainDir, target) : null
+    };
+  }
+
+  const entry = {
+    pointer: reference.pointer,
+    domain: reference.domain,
+    key: reference.key,
+    flow: reference.flow,
+    version: reference.version,
+    resolvedVersion: null,
+    file: null
+  };
+  if (options.domain && reference.domain !== options.domain) {
+    return Object.assign(entry, { external: true });
+  }
+  const result = references.resolveReference(index, reference, options);
+  if (result.status === 'resolved') {
+    entry.resolvedVersion = result.target.version;
+    entry.file = relativePath(options.domainDir, result.target.file);
+  }
+  return entry;
+}
+
+// Build the bundle of the project at root.
+// Returns { manifest, types: { <type>: [content] } } without writing anything.
+function buildBundle(root) {
+  const loader = createDomainLoader(root, { onLoadError: () => {} });
+  const domainName = loader.getDomainName();
+  if (!domainName) {
+    throw new Error('No domain directory found');
+  }
+
+  const config = loader.getDomainConfig() || {};
+  const packageJson = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+  const domainDir = path.join(root, domainName);
+  const components = references.loadComponents(loader, config, root);
+  // Checked once every folder is loaded, a bundle without the unreadable files would be incomplete
+  const loadErrors = loader.getLoadErrors();
+  if (loadErrors.length > 0) {
+    throw new Error(`Cannot bundle unreadable files: ${loadErrors.map(error => error.file).join(', ')}`);
+  }
+  const index = references.indexComponents(components);
+  const resolution = config.referenceResolution || {};
+  const options = {
+    domain: config.domain,
+    domainDir,
+    validateReferenceConsistency: resolution.validateReferenceConsistency !== false
+  };
+
+  const types = Object.keys(discovery.COMPONENT_FOLDERS);
+  const order = component => [types.indexOf(component.type), relativePath(domainDir, component.file)];
+  const sorted = components.slice().sort((a, b) => {
+    const [typeA, fileA] = order(a);
+    const [typeB, fileB] = order(b);
+    return typeA - typeB || (fileA < fileB ? -1 : fileA > fileB ? 1 : 0);
+  });
+
+  const bundled = {};
+  types.forEach(type => {
+    bundled[type] = [];
+  });
+  const entries = sorted.map(component => {
+    const content = component.content || {};
+    bundled[component.type].push(content);
+    return {
+      type: component.type,
+      key: content.key,
+      version: content.version,
+      domain: content.domain,
+      flow: content.flow,
+      file: relativePath(domainDir, component.file),
+      hash: hashContent(content),
+      references: references.collectReferences(content).map(reference => resolveManifestReference(index, reference, options))
+    };
+  });
+
+  const manifest = {
+    name: packageJson.name,
+    version: packageJson.version,
+    domain: config.domain,
+    runtimeVersion: config.runtimeVersion,
+    schemaVersion: config.schemaVersion,
+    hash: hashContent(entries),
+    components: entries
+  };
+  return { manifest, types: bundled };
+}
+
+// Write a bundle to outDir: the manifest and, with concat, one <type>.json per component type.
+// <type>.json files of an earlier build are removed first, so outDir only holds what the
+// manifest lists. Returns the written files.
+function writeBundle(bundle, outDir, options = {}) {
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const type of Object.keys(discovery.COMPONENT_FOLDERS)) {
+    fs.rmSync(path.join(outDir, `${type}.json`), { force: true });
+  }
+  const written = [];
+  const write = (name, data) => {
+    const file = path.join(outDir, name);
+    fs.writeFileSync(file, formatJson(data), 'utf8');
+    written.push(file);
+  };
+
+  const manifest = Object.assign({}, bundle.manifest);
+  if (options.concat) {
+    manifest.files = {};
+    for (const [type, contents] of Object.entries(bundle.types)) {
+      manifest.files[type] = { file: `${type}.json`, hash: hashContent(contents), count: contents.length };
+      write(`${type}.json`, contents);
+    }
+  }
+  write(MANIFEST_FILE, manifest);
+  return written;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  canonicalJson,
+  hashContent,
+  buildBundle,
+  writeBundle
+};
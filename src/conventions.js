@@ -0,0 +1,104 @@
+const path = require('path');
+const semver = require('./semver');
+const { escapePointer } = require('./json-source-map');
+
+// Naming and versioning conventions of domain components, switched on and off by
+// referenceResolution.schemaValidationRules in vnext.config.json.
+
+// Kebab-case component keys (e.g. "absence-entry")
+const KEY_REGEX = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Top-level properties of a component instance; id and eTag are added by the platform
+const COMPONENT_PROPERTIES = ['id', 'key', 'version', 'domain', 'flow', 'flowVersion', 'tags', 'eTag', 'attributes'];
+
+// Component types whose files are named <key>.json instead of <key>.<version>.json
+const UNVERSIONED_FILE_TYPES = ['workflows'];
+
+// Read the schema validation rules from vnext.config.json.
+// Format and filename rules default to on; unknown properties are allowed unless disabled.
+function validationRules(config) {
+  const rules = (config && config.referenceResolution && config.referenceResolution.schemaValidationRules) || {};
+  return {
+    enforceKeyFormat: rules.enforceKeyFormat !== false,
+    enforceVersionFormat: rules.enforceVersionFormat !== false,
+    enforceFilenameConsistency: rules.enforceFilenameConsistency !== false,
+    allowUnknownProperties: rules.allowUnknownProperties !== false
+  };
+}
+
+// File name a component of the given type, key and version is stored under
+function componentFileName(type, key, version) {
+  return UNVERSIONED_FILE_TYPES.includes(type) ? `${key}.json` : `${key}.${version}.json`;
+}
+
+// Check a loaded component ({ type, file, content }) against the conventions.
+// options: { domain, rules } where rules is the result of validationRules.
+// Returns diagnostics ({ rule, severity, pointer, message }).
+function checkComponent(component, options = {}) {
+  const diagnostics = [];
+  const content = component.content;
+  const rules = options.rules || validationRules(null);
+  const report = (rule, pointer, message) => {
+    diagnostics.push({ rule, severity: 'error', pointer, message });
+  };
+
+  if (!content || typeof content !== 'object' || Array.isArray(content)) {
+    return diagnostics;
+  }
+
+  const hasKey = typeof content.key === 'string' && content.key !== '';
+  const hasVersion = typeof content.version === 'string' && content.version !== '';
+
+  if (rules.enforceKeyFormat) {
+    if (!hasKey) {
+      report('convention/key-format', '', 'Component has no key');
+    } else if (!KEY_REGEX.test(content.key)) {
+      report('convention/key-format', '/key', `Key "${content.key}" must be kebab-case (lowercase letters, digits and hyphens)`);
+    }
+  }
+
+  if (rules.enforceVersionFormat) {
+    if (!hasVersion) {
+      report('convention/version-format', '', 'Component has no version');
+    } else if (!semver.SEMVER_REGEX.test(content.version)) {
+      report('convention/version-format', '/version', `Version "${content.version}" does not follow semantic versioning`);
+    }
+    if (content.flowVersion !== undefined && !semver.SEMVER_REGEX.test(String(content.flowVersion))) {
+      report('convention/version-format', '/flowVersion', `Flow version "${content.flowVersion}" does not follow semantic versioning`);
+    }
+  }
+
+  if (options.domain && content.domain !== options.domain) {
+    report('convention/domain', content.domain === undefined ? '' : '/domain',
+      `Domain "${content.domain}" does not match the configured domain "${options.domain}"`);
+  }
+
+  if (rules.enforceFilenameConsistency && hasKey && (hasVersion || UNVERSIONED_FILE_TYPES.includes(component.type))) {
+    const expected = componentFileName(component.type, content.key, content.version);
+    const actual = path.basename(component.file);
+    if (actual !== expected) {
+      report('convention/filename', UNVERSIONED_FILE_TYPES.includes(component.type) ? '/key' : '/version',
+        `File name ${actual} does not match key and version (expected ${expected})`);
+    }
+  }
+
+  if (!rules.allowUnknownProperties) {
+    for (const name of Object.keys(content)) {
+      if (!COMPONENT_PROPERTIES.includes(name)) {
+        report('convention/unknown-property', `/${escapePointer(name)}`,
+          `Unknown top-level property "${name}" (expected: ${COMPONENT_PROPERTIES.join(', ')})`);
+      }
+    }
+  }
+
+  return diagnostics;
+}
+
+module.exports = {
+  KEY_REGEX,
+  COMPONENT_PROPERTIES,
+  UNVERSIONED_FILE_TYPES,
+  validationRules,
+  componentFileName,
+  checkComponent
+};
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const { escapePointer } = require('./json-source-map');
+
+// Data contracts between workflows and the schemas of their instance data.
+// A workflow binds its instance data to a schema with attributes.schema
+// ({ key, domain, version, flow: "sys-schemas" }). Transitions may bind their payload
+// to a schema the same way (transition.schema). With a binding in place:
+//   - mapping scripts (subFlow, task and transition mappings) may only read instance data
+//     properties the workflow schema defines (Data.<property> or Data["<property>"])
+//   - transition payload properties must exist in the workflow schema with the same type
+
+// Helper function to check whether a value is a component reference
+function isReference(value) {
+  return Boolean(value) && typeof value === 'object' && typeof value.key === 'string' && typeof value.domain === 'string';
+}
+
+// Schema reference that a workflow binds its instance data to, or null
+function schemaBinding(workflow) {
+  const attributes = (workflow && workflow.attributes) || {};
+  return isReference(attributes.schema) ? attributes.schema : null;
+}
+
+// Helper function to merge the properties of a JSON schema node, following allOf
+function propertiesOf(node) {
+  if (!node || typeof node !== 'object') {
+    return null;
+  }
+  let properties = node.properties && typeof node.properties === 'object' ? Object.assign({}, node.properties) : null;
+  for (const part of Array.isArray(node.allOf) ? node.allOf : []) {
+    const merged = propertiesOf(part);
+    if (merged) {
+      properties = Object.assign(properties || {}, merged);
+    }
+  }
+  return properties;
+}
+
+// Find a property path (["webrtcIntegration", "roomId"]) in a JSON schema.
+// Returns { found, missing } where missing is the first undefined segment. Objects without
+// declared properties, or allowing additional properties, accept any nested path.
+function findProperty(jsonSchema, segments) {
+  let node = jsonSchema;
+  for (let i = 0; i < segments.length; i++) {
+    const properties = propertiesOf(node);
+    if (!properties) {
+      return { found: true, missing: null };
+    }
+    if (!(segments[i] in properties)) {
+      if (node.additionalProperties === true || (node.additionalProperties && typeof node.additionalProperties === 'object')) {
+        return { found: true, missing: null };
+      }
+      return { found: false, missing: segments.slice(0, i + 1).join('.') };
+    }
+    node = properties[segments[i]];
+  }
+  return { found: true, missing: null, node };
+}
+
+// Find every mapping object of a workflow. Returns [{ pointer, mapping }].
+function collectMappings(workflow) {
+  const mappings = [];
+  const walk = (node, pointer) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => walk(item, `${pointer}/${index}`));
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    for (const [name, value] of Object.entries(node)) {
+      const childPointer = `${pointer}/${escapePointer(name)}`;
+      if (name === 'mapping' && value && typeof value === 'object' && ('code' in value || 'location' in value)) {
+        mappings.push({ pointer: childPointer, mapping: value });
+      } else {
+        walk(value, childPointer);
+      }
+    }
+  };
+  walk(workflow, '');
+  return mappings;
+}
+
+// Source of a mapping script: the base64 encoded code, or the file at location
+// (relative to the workflow file). Returns { text, pointer } or null.
+function mappingScript(mapping, workflowFile) {
+  if (typeof mapping.code === 'string' && mapping.code.trim() !== '') {
+    return { text: Buffer.from(mapping.code, 'base64').toString('utf8'), pointer: '/code' };
+  }
+  if (typeof mapping.location === 'string' && mapping.location.trim() !== '' && workflowFile) {
+    const scriptPath = path.resolve(path.dirname(workflowFile), mapping.location);
+    if (fs.existsSync(scriptPath) && fs.statSync(scriptPath).isFile()) {
+      return { text: fs.readFileSync(scriptPath, 'utf8'), pointer: '/location' };
+    }
+  }
+  return null;
+}
+
+// Instance data paths read or written by a mapping script, e.g. Data.webrtcIntegration.roomId
+// or Data["webrtcIntegration"]. Method calls at the end of a path are dropped.
+function dataPaths(script) {
+  const paths = new Map();
+  const accessPattern = /\bData\??((?:\??\.[A-Za-z_][A-Za-z0-9_]*|\[\s*"[^"]+"\s*\])+)/g;
+  let match;
+  while ((match = accessPattern.exec(script)) !== null) {
+    const segments = [];
+    const segmentPattern = /\.([A-Za-z_][A-Za-z0-9_]*)|\[\s*"([^"]+)"\s*\]/g;
+    let segment;
+    while ((segment = segmentPattern.exec(match[1])) !== null) {
+      segments.push(segment[1] || segment[2]);
+    }
+    if (/^\s*[(<]/.test(script.slice(accessPattern.lastIndex))) {
+      segments.pop();
+    }
+    if (segments.length > 0) {
+      paths.set(segments.join('.'), segments);
+    }
+  }
+  return [...paths.values()];
+}
+
+// Helper function to list the transitions of a workflow with their pointers
+function transitionsOf(workflow) {
+  const attributes = (workflow && workflow.attributes) || {};
+  const transitions = [];
+  if (attributes.startTransition) {
+    transitions.push({ transition: attributes.startTransition, pointer: '/attributes/startTransition' });
+  }
+  (Array.isArray(attributes.states) ? attributes.states : []).forEach((state, stateIndex) => {
+    (state && Array.isArray(state.transitions) ? state.transitions : []).forEach((transition, index) => {
+      transitions.push({ transition, pointer: `/attributes/states/${stateIndex}/transitions/${index}` });
+    });
+  });
+  (Array.isArray(attributes.sharedTransitions) ? attributes.sharedTransitions : []).forEach((transition, index) => {
+    transitions.push({ transition, pointer: `/attributes/sharedTransitions/${index}` });
+  });
+  return transitions.filter(item => item.transition && typeof item.transition === 'object');
+}
+
+// Helper function to compare payload schema properties with the instance schema, recursively
+function comparePayload(payloadNode, instanceNode, prefix, report) {
+  const payloadProperties = propertiesOf(payloadNode) || {};
+  for (const [name, property] of Object.entries(payloadProperties)) {
+    const propertyPath = prefix.concat(name);
+    const result = findProperty(instanceNode, [name]);
+    if (!result.found) {
+      report('contract/unknown-property', `Payload property "${propertyPath.join('.')}" is not defined by the workflow schema`);
+      continue;
+    }
+    if (!result.node) {
+      continue;
+    }
+    if (property && result.node.type && property.type && JSON.stringify(result.node.type) !== JSON.stringify(property.type)) {
+      report('contract/type-mismatch',
+        `Payload property "${propertyPath.join('.')}" is ${JSON.stringify(property.type)} but the workflow schema defines ${JSON.stringify(result.node.type)}`);
+      continue;
+    }
+    comparePayload(property, result.node, propertyPath, report);
+  }
+}
+
+// Helper function to describe a schema reference in messages
+function describeSchema(reference) {
+  return `${reference.domain}:${reference.key}${reference.version ? `@${reference.version}` : ''}`;
+}
+
+// Check the data contract of a workflow.
+// options:
+//   resolveSchema(reference) - returns the JSON schema (attributes.schema) of a schema
+//                              component, or null when it cannot be resolved
+//   file                     - workflow file, used to find mapping scripts by location
+// Returns diagnostics ({ rule, severity, pointer, message }).
+function checkDataContract(workflow, options = {}) {
+  const diagnostics = [];
+  const binding = schemaBinding(workflow);
+  if (!binding) {
+    return diagnostics;
+  }
+  // Unresolved bindings are reported by the reference check
+  const instanceSchema = options.resolveSchema(binding);
+  if (!instanceSchema) {
+    return diagnostics;
+  }
+  const schemaName = describeSchema(binding);
+
+  for (const { pointer, mapping } of collectMappings(workflow.attributes)) {
+    const script = mappingScript(mapping, options.file);
+    if (!script) {
+      continue;
+    }
+    for (const segments of dataPaths(script.text)) {
+      const result = findProperty(instanceSchema, segments);
+      if (!result.found) {
+        diagnostics.push({
+          rule: 'contract/unknown-property',
+          severity: 'error',
+          pointer: `/attributes${pointer}${script.pointer}`,
+          message: `Mapping uses "${segments.join('.')}" but schema ${schemaName} does not define "${result.missing}"`
+        });
+      }
+    }
+  }
+
+  for (const { transition, pointer } of transitionsOf(workflow)) {
+    if (!isReference(transition.schema)) {
+      continue;
+    }
+    const payloadSchema = options.resolveSchema(transition.schema);
+    if (!payloadSchema) {
+      continue;
+    }
+    comparePayload(payloadSchema, instanceSchema, [], (rule, message) => {
+      diagnostics.push({
+        rule,
+        severity: 'error',
+        pointer: `${pointer}/schema`,
+        message: `Transition "${transition.key}": ${message} (${schemaName})`
+      });
+    });
+  }
+
+  return diagnostics;
+}
+
+module.exports = {
+  schemaBinding,
+  findProperty,
+  dataPaths,
+  checkDataContract
+};
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { createDomainLoader } = require('../index.js');
+const references = require('./references');
+const semver = require('./semver');
+const domainExports = require('./domain-exports');
+
+// Other domains this domain depends on, declared in vnext.config.json:
+//   "dependencies": {
+//     "domains": [{ "domain": "user", "package": "@burgan-tech/user-domain", "version": "^1.0.0" }],
+//     "npm": [{ "package": "lodash", "version": "^4.17.0" }]
+//   }
+// Entries may also be plain package specs ("@burgan-tech/user-domain@^1.0.0"). Domain packages
+// are loaded from node_modules through their own index.js getters. Packages must have been
+// installed from one of referenceResolution.allowedHosts.
+
+// Helper function to split a package spec ("@scope/name@^1.0.0") into name and version range
+function parseSpec(spec) {
+  const at = spec.lastIndexOf('@');
+  return at > 0 ? { package: spec.slice(0, at), version: spec.slice(at + 1) } : { package: spec, version: null };
+}
+
+// Normalize the entries of dependencies.domains or dependencies.npm.
+// Returns [{ domain, package, version, registry, pointer }].
+function dependencyEntries(config, kind = 'domains') {
+  const list = config && config.dependencies && Array.isArray(config.dependencies[kind]) ? config.dependencies[kind] : [];
+  return list.map((item, index) => {
+    const entry = typeof item === 'string' ? parseSpec(item) : Object.assign({}, item);
+    return {
+      domain: entry.domain || null,
+      package: entry.package || entry.name || null,
+      version: entry.version || null,
+      registry: entry.registry || null,
+      pointer: `/dependencies/${kind}/${index}`
+    };
+  });
+}
+
+// Helper function to read a JSON file, null when missing or invalid
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// URL a package was installed from, taken from package-lock.json or the installed package.json
+function resolvedUrl(root, packageName) {
+  const lock = readJson(path.join(root, 'package-lock.json'));
+  const locked = lock && lock.packages && lock.packages[`node_modules/${packageName}`];
+  if (locked && locked.resolved) {
+    return locked.resolved;
+  }
+  const installed = readJson(path.join(root, 'node_modules', packageName, 'package.json'));
+  return installed && installed._resolved ? installed._resolved : null;
+}
+
+// Host of a registry or tarball URL (git+https://, https://, git@host:path), null for local installs
+function urlHost(url) {
+  if (!url || /^(file|link):/.test(url)) {
+    return null;
+  }
+  const scp = url.match(/^[\w.-]+@([\w.-]+):/);
+  if (scp) {
+    return scp[1];
+  }
+  try {
+    return new URL(url.replace(/^git\+/, '')).hostname || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Check a host against referenceResolution.allowedHosts (no list allows every host)
+function isHostAllowed(host, allowedHosts) {
+  if (!host || !Array.isArray(allowedHosts) || allowedHosts.length === 0) {
+    return true;
+  }
+  return allowedHosts.includes(host);
+}
+
+// Load a declared domain dependency from node_modules.
+// Returns { entry, root, packageJson, config, domain, components, index, problems } where problems
+// lists { rule, message } for missing packages, version or domain mismatches and disallowed hosts.
+function loadDependency(root, entry, allowedHosts) {
+  const problems = [];
+  const result = { entry, root: null, packageJson: null, config: null, domain: entry.domain, components: [], index: null, problems };
+
+  let packageRoot = entry.package ? path.join(root, 'node_modules', entry.package) : null;
+  if (!packageRoot && entry.domain) {
+    packageRoot = domainExports.findDomainPackage(root, entry.domain);
+  }
+  const name = entry.package || entry.domain || '(unnamed)';
+  if (!packageRoot || !fs.existsSync(path.join(packageRoot, 'package.json'))) {
+    problems.push({ rule: 'dependency/missing', message: `Dependency ${name} is not installed in node_modules (run npm install)` });
+    return result;
+  }
+  result.root = packageRoot;
+  result.packageJson = readJson(path.join(packageRoot, 'package.json')) || {};
+
+  for (const url of [entry.registry, resolvedUrl(root, result.packageJson.name || entry.package)]) {
+    const host = urlHost(url);
+    if (!isHostAllowed(host, allowedHosts)) {
+      problems.push({
+        rule: 'dependency/host-not-allowed',
+        message: `Dependency ${name} comes from ${host}, which is not in referenceResolution.allowedHosts (${allowedHosts.join(', ')})`
+      });
+    }
+  }
+
+  if (entry.version && !semver.satisfies(result.packageJson.version || '', entry.version)) {
+    problems.push({
+      rule: 'dependency/version-mismatch',
+      message: `Dependency ${name} is installed at ${result.packageJson.version}, which does not satisfy ${entry.version}`
+    });
+  }
+
+  // Prefer the package's own index.js getters, falling back to this package's loader
+  let loader;
+  try {
+    const domainModule = require(packageRoot);
+    loader = typeof domainModule.createDomainLoader === 'function' ? domainModule.createDomainLoader(packageRoot) : null;
+  } catch (error) {
+    loader = null;
+  }
+  loader = loader || createDomainLoader(packageRoot);
+
+  result.config = loader.getDomainConfig() || {};
+  result.domain = result.config.domain || entry.domain;
+  if (entry.domain && result.config.domain && entry.domain !== result.config.domain) {
+    problems.push({
+      rule: 'dependency/domain-mismatch',
+      message: `Dependency ${name} declares domain "${result.config.domain}" instead of "${entry.domain}"`
+    });
+  }
+  result.components = references.loadComponents(loader, result.config, packageRoot);
+  result.index = references.indexComponents(result.components);
+  return result;
+}
+
+// Check the host of a plain npm dependency. Returns problems ({ rule, message }).
+function checkNpmDependency(root, entry, allowedHosts) {
+  const problems = [];
+  for (const url of [entry.registry, entry.package ? resolvedUrl(root, entry.package) : null]) {
+    const host = urlHost(url);
+    if (!isHostAllowed(host, allowedHosts)) {
+      problems.push({
+        rule: 'dependency/host-not-allowed',
+        message: `Package ${entry.package} comes from ${host}, which is not in referenceResolution.allowedHosts (${allowedHosts.join(', ')})`
+      });
+    }
+  }
+  return problems;
+}
+
+// Resolve a reference into another domain against the loaded dependencies.
+// Returns { status, reason, target } where status is 'resolved', 'not-exported', 'undeclared',
+// 'unavailable' or one of the statuses of references.resolveReference.
+function resolveExternalReference(dependencies, reference, options = {}) {
+  const dependency = dependencies.find(item => item.domain === reference.domain);
+  if (!dependency) {
+    return { status: 'undeclared', reason: `domain "${reference.domain}" is not declared in dependencies.domains` };
+  }
+  if (!dependency.index) {
+    return { status: 'unavailable', reason: `package of domain "${reference.domain}" could not be loaded` };
+  }
+  const result = references.resolveReference(dependency.index, reference, options);
+  if (result.status === 'resolved' && !domainExports.isExported(dependency.config, result.target)) {
+    return { status: 'not-exported', reason: `domain "${reference.domain}" does not export ${path.basename(result.target.file)}`, target: result.target };
+  }
+  return result;
+}
+
+module.exports = {
+  dependencyEntries,
+  urlHost,
+  isHostAllowed,
+  loadDependency,
+  checkNpmDependency,
+  resolveExternalReference
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const workflowGraph = require('./workflow-graph');
+const discovery = require('./discovery');
+const jsonSourceMap = require('./json-source-map');
+const { formatJson } = require('./json-file');
+
+// Consistency between workflows and their designer metadata (Workflows/.meta/<workflow>.diagram.json).
+// nodePos is keyed by state key, plus the special "__start__" key for the start transition node.
+
+const META_DIRECTORY = '.meta';
+const DIAGRAM_SUFFIX = '.diagram.json';
+
+// Spacing used when placing new nodes next to existing ones
+const NODE_SPACING = { x: 250, y: 200 };
+
+// Path of the designer metadata file of a workflow
+function diagramMetaPath(workflowFile) {
+  const baseName = path.basename(workflowFile, '.json');
+  return path.join(path.dirname(workflowFile), META_DIRECTORY, `${baseName}${DIAGRAM_SUFFIX}`);
+}
+
+// Path of the workflow a designer metadata file belongs to
+function workflowPathForMeta(metaFile) {
+  const baseName = path.basename(metaFile, DIAGRAM_SUFFIX);
+  return path.join(path.dirname(path.dirname(metaFile)), `${baseName}.json`);
+}
+
+// List the diagram files of a workflows directory, including the .meta folders of nested
+// grouping folders. Options are those of discovery.listJsonFiles (domainDir, ignore).
+function listDiagramFiles(workflowsDir, options = {}) {
+  return discovery.listJsonFiles(workflowsDir, Object.assign({}, options, { includeMetadata: true }))
+    .filter(file => file.endsWith(DIAGRAM_SUFFIX) && path.basename(path.dirname(file)) === META_DIRECTORY);
+}
+
+// Node keys a workflow diagram needs a position for
+function expectedNodes(workflow) {
+  const attributes = (workflow && workflow.attributes) || {};
+  const states = Array.isArray(attributes.states) ? attributes.states : [];
+  const keys = states.filter(state => state && typeof state.key === 'string').map(state => state.key);
+  return attributes.startTransition ? [workflowGraph.START_NODE].concat(keys) : keys;
+}
+
+// Compare a workflow with its designer metadata.
+// Returns diagnostics ({ rule, severity, pointer, message }) located in the metadata file.
+function checkDiagramMeta(workflow, meta) {
+  const diagnostics = [];
+  const nodePos = (meta && meta.nodePos && typeof meta.nodePos === 'object') ? meta.nodePos : null;
+  if (!nodePos) {
+    diagnostics.push({
+      rule: 'meta/invalid-diagram',
+      severity: 'warning',
+      pointer: '',
+      message: 'Diagram file has no nodePos object'
+    });
+    return diagnostics;
+  }
+
+  const expected = expectedNodes(workflow);
+  for (const key of Object.keys(nodePos)) {
+    if (!expected.includes(key)) {
+      diagnostics.push({
+        rule: 'meta/stale-position',
+        severity: 'warning',
+        pointer: `/nodePos/${jsonSourceMap.escapePointer(key)}`,
+        message: `Position stored for "${key}" but workflow ${workflow.key} has no such state`
+      });
+    }
+  }
+  for (const key of expected) {
+    if (!nodePos[key]) {
+      diagnostics.push({
+        rule: 'meta/missing-position',
+        severity: 'warning',
+        pointer: '/nodePos',
+        message: `State "${key}" of workflow ${workflow.key} has no position`
+      });
+    }
+  }
+  return diagnostics;
+}
+
+// Helper function to find a free spot for a node, moving right while another node is too close
+function findFreePosition(position, taken) {
+  const candidate = { x: position.x, y: position.y };
+  const isTaken = () => taken.some(other =>
+    Math.abs(other.x - candidate.x) < NODE_SPACING.x / 2 && Math.abs(other.y - candidate.y) < NODE_SPACING.y / 2);
+  while (isTaken()) {
+    candidate.x += NODE_SPACING.x;
+  }
+  return candidate;
+}
+
+// Bring designer metadata in line with its workflow: drop positions of removed states and
+// place new states below a positioned state that transitions to them (or below the diagram).
+// Returns { meta, removed, added } without touching the original object.
+function fixDiagramMeta(workflow, meta) {
+  const expected = expectedNodes(workflow);
+  const current = (meta && meta.nodePos && typeof meta.nodePos === 'object') ? meta.nodePos : {};
+  const nodePos = {};
+  const removed = [];
+  const added = [];
+
+  for (const [key, position] of Object.entries(current)) {
+    if (expected.includes(key)) {
+      nodePos[key] = position;
+    } else {
+      removed.push(key);
+    }
+  }
+
+  const graph = workflowGraph.buildGraph(workflow);
+  for (const key of expected.filter(item => !nodePos[item])) {
+    const taken = Object.values(nodePos);
+    const source = graph.edges.find(edge => edge.to === key && nodePos[edge.from]);
+    let position;
+    if (source) {
+      position = { x: nodePos[source.from].x, y: nodePos[source.from].y + NODE_SPACING.y };
+    } else if (taken.length > 0) {
+      position = {
+        x: Math.min(...taken.map(item => item.x)),
+        y: Math.max(...taken.map(item => item.y)) + NODE_SPACING.y
+      };
+    } else {
+      position = { x: 100, y: 100 };
+    }
+    nodePos[key] = findFreePosition(position, taken);
+    added.push(key);
+  }
+
+  return { meta: Object.assign({}, meta, { nodePos }), removed, added };
+}
+
+// Fix a workflow's diagram file in place, keeping its formatting. Returns the fix result
+// or null when the workflow has no diagram file or nothing needed to change. A diagram file
+// that is not valid JSON is left alone and returned with a json/syntax diagnostic instead.
+function fixDiagramFile(workflowFile, workflow) {
+  const metaPath = diagramMetaPath(workflowFile);
+  if (!fs.existsSync(metaPath)) {
+    return null;
+  }
+  const text = fs.readFileSync(metaPath, 'utf8');
+  let data;
+  try {
+    data = jsonSourceMap.parse(text).data;
+  } catch (error) {
+    return {
+      file: metaPath,
+      removed: [],
+      added: [],
+      diagnostic: {
+        rule: 'json/syntax',
+        severity: 'error',
+        pointer: '',
+        line: error.line || null,
+        column: error.column || null,
+        message: `Diagram file is not valid JSON: ${error.message}`
+      }
+    };
+  }
+  const result = fixDiagramMeta(workflow, data);
+  if (result.removed.length === 0 && result.added.length === 0) {
+    return null;
+  }
+  fs.writeFileSync(metaPath, formatJson(result.meta, text), 'utf8');
+  return Object.assign({ file: metaPath }, result);
+}
+
+module.exports = {
+  META_DIRECTORY,
+  diagramMetaPath,
+  workflowPathForMeta,
+  listDiagramFiles,
+  checkDiagramMeta,
+  fixDiagramMeta,
+  fixDiagramFile
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const workflowGraph = require('./workflow-graph');
+const { diagramMetaPath } = require('./diagram-meta');
+
+// Workflow diagrams rendered as Mermaid stateDiagram-v2 or Graphviz DOT.
+// Labels are taken in the requested language and node positions come from the workflow's
+// .meta/<workflow>.diagram.json file (written by the vNext designer) when present.
+
+const DIAGRAM_FORMATS = ['mermaid', 'dot'];
+const DEFAULT_LANGUAGE = 'en-US';
+
+// State types (vNext runtime): 1 = initial, 2 = intermediate, 3 = finish, 4 = subflow
+const STATE_TYPE_NAMES = { 1: 'initial', 2: 'intermediate', 3: 'finish', 4: 'subflow' };
+
+// Transition trigger types (vNext runtime)
+const TRIGGER_TYPE_NAMES = { 0: 'manual', 1: 'automatic', 2: 'scheduled', 3: 'event' };
+
+// File extension of each diagram format
+const FORMAT_EXTENSIONS = { mermaid: '.mmd', dot: '.dot' };
+
+// Pick the label in the given language, falling back to the first label
+function findLabel(labels, language) {
+  if (!Array.isArray(labels) || labels.length === 0) {
+    return null;
+  }
+  const match = labels.find(item => item && item.language === language) || labels[0];
+  return match && typeof match.label === 'string' ? match.label : null;
+}
+
+// Load the designer metadata of a workflow, returns null when missing or unreadable
+function loadDiagramMeta(workflowFile) {
+  const metaPath = diagramMetaPath(workflowFile);
+  if (!fs.existsSync(metaPath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper function to describe a subflow process reference as domain/key@version
+function describeProcess(process) {
+  if (!process || typeof process.key !== 'string') {
+    return null;
+  }
+  const domain = process.domain ? `${process.domain}/` : '';
+  const version = process.version ? `@${process.version}` : '';
+  return `${domain}${process.key}${version}`;
+}
+
+// Build a format-independent diagram model of a workflow.
+// Options: language (default en-US), meta (designer metadata with nodePos)
+function buildDiagram(workflow, options = {}) {
+  const language = options.language || DEFAULT_LANGUAGE;
+  const attributes = (workflow && workflow.attributes) || {};
+  const nodePos = (options.meta && options.meta.nodePos) || {};
+  const graph = workflowGraph.buildGraph(workflow);
+
+  const nodes = [...graph.nodes.values()].map(({ state }) => ({
+    key: state.key,
+    label: findLabel(state.labels, language) || state.key,
+    stateType: STATE_TYPE_NAMES[state.stateType] || 'intermediate',
+    subFlow: state.subFlow ? describeProcess(state.subFlow.process) : null,
+    position: nodePos[state.key] || null
+  }));
+
+  // Follow the designer layout: top to bottom, then left to right
+  if (nodes.some(node => node.position)) {
+    const order = node => node.position || { x: Infinity, y: Infinity };
+    nodes.sort((a, b) => (order(a).y - order(b).y) || (order(a).x - order(b).x));
+  }
+
+  const edges = graph.edges
+    .filter(edge => edge.from === workflowGraph.START_NODE || graph.nodes.has(edge.from))
+    .map(edge => ({
+      from: edge.from,
+      to: edge.to,
+      key: edge.transition.key,
+      label: findLabel(edge.transition.labels, language) || edge.transition.key || '',
+      trigger: TRIGGER_TYPE_NAMES[edge.transition.triggerType] || 'manual',
+      shared: edge.shared,
+      dangling: !graph.nodes.has(edge.to)
+    }));
+
+  return {
+    key: workflow.key,
+    version: workflow.version,
+    domain: workflow.domain,
+    title: findLabel(attributes.labels, language) || workflow.key,
+    language,
+    startPosition: nodePos[workflowGraph.START_NODE] || null,
+    nodes,
+    edges
+  };
+}
+
+// Helper function to turn a state key into a Mermaid identifier
+function mermaidId(key) {
+  return `s_${String(key).replace(/[^A-Za-z0-9_]/g, '_')}`;
+}
+
+// Helper function to make a label safe inside Mermaid text
+function mermaidText(text) {
+  return String(text).replace(/"/g, '#quot;').replace(/[\r\n]+/g, ' ').replace(/:/g, '#58;');
+}
+
+// Helper function to describe an edge label including non-manual triggers
+function edgeLabel(edge) {
+  return edge.trigger === 'manual' ? edge.label : `${edge.label} (${edge.trigger})`;
+}
+
+function renderMermaid(diagram) {
+  const lines = [];
+  lines.push('---');
+  lines.push(`title: ${mermaidText(diagram.title)}`);
+  lines.push('---');
+  lines.push('stateDiagram-v2');
+  lines.push(`  %% ${diagram.domain}/${diagram.key}@${diagram.version} (${diagram.language})`);
+
+  for (const node of diagram.nodes) {
+    const id = mermaidId(node.key);
+    if (node.stateType === 'subflow') {
+      lines.push(`  state "${mermaidText(node.label)}" as ${id} {`);
+      lines.push(`    ${id}_process : ${mermaidText(node.subFlow ? `SubFlow ${node.subFlow}` : 'SubFlow')}`);
+      lines.push('  }');
+    } else {
+      lines.push(`  state "${mermaidText(node.label)}" as ${id}`);
+    }
+  }
+
+  lines.push('');
+  for (const edge of diagram.edges) {
+    const from = edge.from === workflowGraph.START_NODE ? '[*]' : mermaidId(edge.from);
+    const label = mermaidText(edgeLabel(edge));
+    lines.push(`  ${from} --> ${mermaidId(edge.to)}${label ? ` : ${label}` : ''}`);
+  }
+  for (const node of diagram.nodes.filter(item => item.stateType === 'finish')) {
+    lines.push(`  ${mermaidId(node.key)} --> [*]`);
+  }
+
+  const classes = {
+    initial: 'fill:#e3f2fd,stroke:#1e88e5',
+    finish: 'fill:#e8f5e9,stroke:#43a047',
+    subflow: 'fill:#fff8e1,stroke:#fb8c00'
+  };
+  lines.push('');
+  for (const [name, style] of Object.entries(classes)) {
+    const members = diagram.nodes.filter(node => node.stateType === name).map(node => mermaidId(node.key));
+    if (members.length > 0) {
+      lines.push(`  classDef ${name} ${style}`);
+      lines.push(`  class ${members.join(',')} ${name}`);
+    }
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Helper function to quote a DOT identifier or label
+function dotQuote(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+// Helper function to build a DOT attribute list
+function dotAttributes(attributes) {
+  const parts = Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}=${typeof value === 'number' ? value : dotQuote(value)}`);
+  return parts.length > 0 ? ` [${parts.join(', ')}]` : '';
+}
+
+// Helper function to convert a designer position (y grows downwards) into a pinned DOT position
+function dotPosition(position) {
+  if (!position) {
+    return null;
+  }
+  const round = value => Math.round(value * 100) / 100;
+  return `${round(position.x)},${round(-position.y)}!`;
+}
+
+// Graphviz DOT. Node positions from the designer are pinned, render them with `neato -n`.
+function renderDot(diagram) {
+  const lines = [];
+  lines.push(`digraph ${dotQuote(diagram.key)} {`);
+  lines.push(`  // ${diagram.domain}/${diagram.key}@${diagram.version} (${diagram.language})`);
+  lines.push(`  label=${dotQuote(diagram.title)};`);
+  lines.push('  labelloc=t;');
+  lines.push('  node [shape=box, style="rounded,filled", fillcolor="#ffffff", fontname="Helvetica"];');
+  lines.push('  edge [fontname="Helvetica", fontsize=10];');
+  lines.push('');
+
+  lines.push(`  ${dotQuote(workflowGraph.START_NODE)}${dotAttributes({
+    shape: 'circle', label: '', width: 0.25, style: 'filled', fillcolor: '#000000',
+    pos: dotPosition(diagram.startPosition)
+  })};`);
+
+  const fills = { initial: '#e3f2fd', intermediate: '#ffffff', finish: '#e8f5e9', subflow: '#fff8e1' };
+  for (const node of diagram.nodes) {
+    const attributes = {
+      label: node.label,
+      fillcolor: fills[node.stateType],
+      peripheries: node.stateType === 'finish' ? 2 : null,
+      pos: dotPosition(node.position)
+    };
+    if (node.stateType === 'subflow') {
+      lines.push(`  subgraph ${dotQuote(`cluster_${node.key}`)} {`);
+      lines.push(`    label=${dotQuote(node.subFlow ? `SubFlow ${node.subFlow}` : 'SubFlow')};`);
+      lines.push('    style="dashed,rounded";');
+      lines.push(`    ${dotQuote(node.key)}${dotAttributes(attributes)};`);
+      lines.push('  }');
+    } else {
+      lines.push(`  ${dotQuote(node.key)}${dotAttributes(attributes)};`);
+    }
+  }
+
+  lines.push('');
+  for (const edge of diagram.edges) {
+    const attributes = {
+      label: edgeLabel(edge),
+      style: edge.shared ? 'dashed' : (edge.trigger === 'manual' ? null : 'bold'),
+      color: edge.dangling ? '#e53935' : null
+    };
+    lines.push(`  ${dotQuote(edge.from)} -> ${dotQuote(edge.to)}${dotAttributes(attributes)};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+// Render a workflow diagram in the requested format
+function renderDiagram(diagram, format) {
+  switch (format) {
+    case 'mermaid': return renderMermaid(diagram);
+    case 'dot': return renderDot(diagram);
+    default:
+      throw new Error(`Unknown diagram format "${format}" (expected one of: ${DIAGRAM_FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  DIAGRAM_FORMATS,
+  TRIGGER_TYPE_NAMES,
+  DEFAULT_LANGUAGE,
+  FORMAT_EXTENSIONS,
+  findLabel,
+  loadDiagramMeta,
+  buildDiagram,
+  renderMermaid,
+  renderDot,
+  renderDiagram
+};
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const glob = require('./glob');
+
+// Discovery of component files, shared by index.js, validation and watch mode.
+// Component folders may group files in nested folders (Workflows/advisor/*.json). Metadata
+// folders (.meta and other hidden folders) never hold components, and files matching
+// paths.ignore in vnext.config.json (globs relative to the domain directory) are skipped.
+
+// Default folder of each component type in the domain directory
+const COMPONENT_FOLDERS = {
+  schemas: 'Schemas',
+  workflows: 'Workflows',
+  tasks: 'Tasks',
+  views: 'Views',
+  functions: 'Functions',
+  extensions: 'Extensions'
+};
+
+// Helper function to check whether a folder holds metadata (.meta) rather than components
+function isMetadataDirectory(name) {
+  return name.startsWith('.');
+}
+
+// Ignore globs from paths.ignore in vnext.config.json
+function ignorePatterns(config) {
+  const paths = (config && config.paths) || {};
+  return Array.isArray(paths.ignore) ? paths.ignore : [];
+}
+
+// Folder of a component type, taken from paths in vnext.config.json
+function componentFolder(type, config) {
+  const paths = (config && config.paths) || {};
+  return paths[type] || COMPONENT_FOLDERS[type];
+}
+
+// Helper function to make a path relative to a directory, with forward slashes
+function relativeTo(dirPath, file) {
+  return path.relative(dirPath, file).split(path.sep).join('/');
+}
+
+// List the JSON files below a directory, skipping ignored files and, unless includeMetadata
+// is set, metadata folders. Ignore globs are relative to options.domainDir (default: dirPath).
+function listJsonFiles(dirPath, options = {}) {
+  const domainDir = options.domainDir || dirPath;
+  const files = [];
+  if (!fs.existsSync(dirPath)) {
+    return files;
+  }
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    const fullPath = path.join(dirPath, entry.name);
+    if (glob.matchesAny(relativeTo(domainDir, fullPath), options.ignore)) {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      if (options.includeMetadata || !isMetadataDirectory(entry.name)) {
+        files.push(...listJsonFiles(fullPath, Object.assign({}, options, { domainDir })));
+      }
+    } else if (entry.isFile() && entry.name.endsWith('.json')) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+// List the component files of one type as { type, name, file }, where name is the path
+// relative to the type folder without .json (e.g. "advisor/advisor-card")
+function listComponentFiles(domainDir, type, config) {
+  const folderPath = path.join(domainDir, componentFolder(type, config));
+  return listJsonFiles(folderPath, { domainDir, ignore: ignorePatterns(config) }).map(file => ({
+    type,
+    name: relativeTo(folderPath, file).replace(/\.json$/, ''),
+    file
+  }));
+}
+
+// Find the component type of a file, null for metadata, ignored files and files
+// outside the component folders
+function componentTypeForFile(domainDir, file, config) {
+  const relative = relativeTo(domainDir, file);
+  const folders = relative.split('/').slice(0, -1);
+  if (!relative.endsWith('.json') || folders.some(isMetadataDirectory) || glob.matchesAny(relative, ignorePatterns(config))) {
+    return null;
+  }
+  for (const type of Object.keys(COMPONENT_FOLDERS)) {
+    if (relative.startsWith(`${relativeTo('.', componentFolder(type, config))}/`)) {
+      return type;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  COMPONENT_FOLDERS,
+  ignorePatterns,
+  componentFolder,
+  listJsonFiles,
+  listComponentFiles,
+  componentTypeForFile
+};
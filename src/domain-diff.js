@@ -0,0 +1,405 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createDomainLoader } = require('../index.js');
+const references = require('./references');
+const semver = require('./semver');
+const { escapePointer } = require('./json-source-map');
+
+// Semantic diff between two versions of a domain package. Components are matched by type
+// and key (latest version on each side) and every change is classified by its impact:
+//   major - breaks running instances or existing callers (removed states, transitions,
+//           schema properties, newly required fields, changed types or targets)
+//   minor - backwards compatible additions (new components, states, optional properties)
+//   patch - cosmetic changes (labels, descriptions, other settings)
+
+const SEVERITIES = ['patch', 'minor', 'major'];
+
+// Highest severity of a list of changes, or null when there are none
+function highestSeverity(changes) {
+  return changes.reduce((highest, change) =>
+    (highest === null || SEVERITIES.indexOf(change.severity) > SEVERITIES.indexOf(highest) ? change.severity : highest), null);
+}
+
+// Version that follows the given version for a change of the given severity
+function bumpVersion(version, severity) {
+  const parsed = semver.parse(version);
+  if (!parsed || !severity) {
+    return version;
+  }
+  if (severity === 'major') {
+    return `${parsed.major + 1}.0.0`;
+  }
+  if (severity === 'minor') {
+    return `${parsed.major}.${parsed.minor + 1}.0`;
+  }
+  return `${parsed.major}.${parsed.minor}.${parsed.patch + 1}`;
+}
+
+// Helper function to unpack a tarball (npm pack output or plain tar) into a directory
+function extractTarball(file, target) {
+  const flags = /\.t?gz$/i.test(file) ? '-xzf' : '-xf';
+  execFileSync('tar', [flags, path.resolve(file), '-C', target], { stdio: 'pipe' });
+  // npm pack puts everything in a package/ folder
+  const packaged = path.join(target, 'package');
+  return fs.existsSync(path.join(packaged, 'package.json')) ? packaged : target;
+}
+
+// Helper function to check out a git ref into a directory, keeping the project's
+// position inside the repository
+function extractGitRef(ref, cwd, target) {
+  const git = args => execFileSync('git', args, { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  } catch (error) {
+    return null;
+  }
+  const prefix = git(['rev-parse', '--show-prefix']);
+  const archive = path.join(target, '.source.tar');
+  git(['archive', '--format=tar', '-o', archive, ref]);
+  execFileSync('tar', ['-xf', archive, '-C', target], { stdio: 'pipe' });
+  fs.rmSync(archive, { force: true });
+  return path.join(target, prefix);
+}
+
+// Resolve one side of a diff: a directory, a packed tarball or a git ref.
+// Returns { label, root, cleanup() }.
+function openSource(spec, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const resolved = path.resolve(cwd, spec);
+  if (fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()) {
+    return { label: spec, root: resolved, cleanup: () => {} };
+  }
+
+  const target = fs.mkdtempSync(path.join(os.tmpdir(), 'morph-touch-diff-'));
+  const cleanup = () => fs.rmSync(target, { recursive: true, force: true });
+  try {
+    const root = fs.existsSync(resolved) ? extractTarball(resolved, target) : extractGitRef(spec, cwd, target);
+    if (!root) {
+      throw new Error(`"${spec}" is not a directory, tarball or git ref`);
+    }
+    return { label: spec, root, cleanup };
+  } catch (error) {
+    cleanup();
+    throw error;
+  }
+}
+
+// Load the components of a project root, keeping the latest version of each type and key
+function loadDomain(root) {
+  const loader = createDomainLoader(root);
+  const config = loader.getDomainConfig() || {};
+  const latest = new Map();
+  for (const component of references.loadComponents(loader, config, root)) {
+    const content = component.content;
+    if (!content || typeof content.key !== 'string') {
+      continue;
+    }
+    const id = `${component.type}:${content.key}`;
+    const current = latest.get(id);
+    if (!current || (semver.isValid(content.version) && semver.isValid(current.content.version) &&
+        semver.compare(content.version, current.content.version) > 0)) {
+      latest.set(id, component);
+    }
+  }
+  return { config, packageVersion: readPackageVersion(root), components: latest };
+}
+
+// Helper function to read the version of a project's package.json
+function readPackageVersion(root) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8')).version || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Helper function to index an array of keyed items ({ key }) with their pointers
+function byKey(items, pointer) {
+  const map = new Map();
+  (Array.isArray(items) ? items : []).forEach((item, index) => {
+    if (item && typeof item.key === 'string' && !map.has(item.key)) {
+      map.set(item.key, { item, pointer: `${pointer}/${index}` });
+    }
+  });
+  return map;
+}
+
+// Helper function to compare two values ignoring labels and comments
+function sameIgnoringText(a, b) {
+  const strip = value => JSON.stringify(value, (name, item) => (name === 'labels' || name === '_comment' ? undefined : item));
+  return strip(a) === strip(b);
+}
+
+// Helper function to compare two values as JSON
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Helper function to describe a component reference
+function describeProcess(reference) {
+  return reference ? references.describeReference(Object.assign({ domain: '' }, reference)) : 'none';
+}
+
+// Compare one transition of a workflow
+function diffTransition(oldTransition, newTransition, pointer, name, add) {
+  if (oldTransition.target !== newTransition.target) {
+    add('major', `${pointer}/target`, `${name} retargeted from "${oldTransition.target}" to "${newTransition.target}"`);
+  }
+  if (oldTransition.triggerType !== newTransition.triggerType) {
+    add('major', `${pointer}/triggerType`, `${name} trigger type changed from ${oldTransition.triggerType} to ${newTransition.triggerType}`);
+  }
+  if (oldTransition.versionStrategy !== newTransition.versionStrategy) {
+    add('minor', `${pointer}/versionStrategy`,
+      `${name} versionStrategy changed from ${oldTransition.versionStrategy} to ${newTransition.versionStrategy}`);
+  }
+  if (!same(oldTransition.schema, newTransition.schema)) {
+    add('major', `${pointer}/schema`,
+      `${name} payload schema changed from ${describeProcess(oldTransition.schema)} to ${describeProcess(newTransition.schema)}`);
+  }
+  if (!same(oldTransition.availableIn, newTransition.availableIn)) {
+    add('minor', `${pointer}/availableIn`, `${name} availability changed`);
+  }
+
+  const compared = ['target', 'triggerType', 'versionStrategy', 'schema', 'availableIn'];
+  const rest = value => Object.assign({}, value, ...compared.map(key => ({ [key]: undefined })));
+  if (!same(oldTransition.labels, newTransition.labels)) {
+    add('patch', `${pointer}/labels`, `${name} labels changed`);
+  } else if (!sameIgnoringText(rest(oldTransition), rest(newTransition))) {
+    add('patch', pointer, `${name} settings changed`);
+  }
+}
+
+// Compare a list of transitions keyed by transition key
+function diffTransitions(oldList, newList, oldPointer, newPointer, owner, add) {
+  const oldTransitions = byKey(oldList, oldPointer);
+  const newTransitions = byKey(newList, newPointer);
+  for (const [key, { pointer }] of oldTransitions) {
+    if (!newTransitions.has(key)) {
+      add('major', pointer, `${owner}transition "${key}" removed`, 'old');
+    }
+  }
+  for (const [key, { item, pointer }] of newTransitions) {
+    const previous = oldTransitions.get(key);
+    if (!previous) {
+      add('minor', pointer, `${owner}transition "${key}" added`);
+    } else {
+      diffTransition(previous.item, item, pointer, `${owner}transition "${key}"`, add);
+    }
+  }
+}
+
+// Compare two versions of a workflow
+function diffWorkflow(oldWorkflow, newWorkflow, add) {
+  const oldAttributes = oldWorkflow.attributes || {};
+  const newAttributes = newWorkflow.attributes || {};
+
+  if (!same(oldAttributes.schema, newAttributes.schema)) {
+    add('major', '/attributes/schema',
+      `instance schema changed from ${describeProcess(oldAttributes.schema)} to ${describeProcess(newAttributes.schema)}`);
+  }
+  if (oldAttributes.type !== newAttributes.type) {
+    add('major', '/attributes/type', `workflow type changed from "${oldAttributes.type}" to "${newAttributes.type}"`);
+  }
+
+  const oldStart = oldAttributes.startTransition;
+  const newStart = newAttributes.startTransition;
+  if (oldStart && newStart) {
+    diffTransition(oldStart, newStart, '/attributes/startTransition', 'start transition', add);
+  } else if (oldStart || newStart) {
+    add('major', '/attributes/startTransition', `start transition ${newStart ? 'added' : 'removed'}`, newStart ? 'new' : 'old');
+  }
+
+  const oldStates = byKey(oldAttributes.states, '/attributes/states');
+  const newStates = byKey(newAttributes.states, '/attributes/states');
+  for (const [key, { pointer }] of oldStates) {
+    if (!newStates.has(key)) {
+      add('major', pointer, `state "${key}" removed`, 'old');
+    }
+  }
+  for (const [key, { item, pointer }] of newStates) {
+    const previous = oldStates.get(key);
+    if (!previous) {
+      add('minor', pointer, `state "${key}" added`);
+      continue;
+    }
+    const oldState = previous.item;
+    if (oldState.stateType !== item.stateType) {
+      add('major', `${pointer}/stateType`, `state "${key}" type changed from ${oldState.stateType} to ${item.stateType}`);
+    }
+    if (oldState.versionStrategy !== item.versionStrategy) {
+      add('minor', `${pointer}/versionStrategy`,
+        `state "${key}" versionStrategy changed from ${oldState.versionStrategy} to ${item.versionStrategy}`);
+    }
+    const oldProcess = oldState.subFlow && oldState.subFlow.process;
+    const newProcess = item.subFlow && item.subFlow.process;
+    if (!same(oldProcess, newProcess)) {
+      const sameKey = oldProcess && newProcess && oldProcess.key === newProcess.key && oldProcess.domain === newProcess.domain;
+      add(sameKey ? 'minor' : 'major', `${pointer}/subFlow`,
+        `state "${key}" subflow changed from ${describeProcess(oldProcess)} to ${describeProcess(newProcess)}`);
+    }
+    if (!same(oldState.labels, item.labels)) {
+      add('patch', `${pointer}/labels`, `state "${key}" labels changed`);
+    }
+    const compared = ['stateType', 'versionStrategy', 'transitions', 'labels'];
+    const rest = state => Object.assign({}, state, ...compared.map(name => ({ [name]: undefined })),
+      { subFlow: state.subFlow ? Object.assign({}, state.subFlow, { process: undefined }) : undefined });
+    if (!sameIgnoringText(rest(oldState), rest(item))) {
+      add('patch', pointer, `state "${key}" settings changed`);
+    }
+    diffTransitions(oldState.transitions, item.transitions, `${previous.pointer}/transitions`, `${pointer}/transitions`,
+      `state "${key}" `, add);
+  }
+
+  diffTransitions(oldAttributes.sharedTransitions, newAttributes.sharedTransitions,
+    '/attributes/sharedTransitions', '/attributes/sharedTransitions', 'shared ', add);
+
+  if (!same(oldAttributes.labels, newAttributes.labels)) {
+    add('patch', '/attributes/labels', 'workflow labels changed');
+  }
+  const compared = ['schema', 'type', 'startTransition', 'states', 'sharedTransitions', 'labels'];
+  const rest = attributes => Object.assign({}, attributes, ...compared.map(name => ({ [name]: undefined })));
+  if (!sameIgnoringText(rest(oldAttributes), rest(newAttributes))) {
+    add('patch', '/attributes', 'workflow settings changed (functions, features, extensions or timeout)');
+  }
+}
+
+// Helper function to list the required property names of a JSON schema node
+function requiredOf(node) {
+  return node && Array.isArray(node.required) ? node.required : [];
+}
+
+// Compare two JSON schema nodes recursively; prefix is the property path for messages
+function diffSchemaNode(oldNode, newNode, pointer, prefix, add) {
+  const oldProperties = (oldNode && oldNode.properties) || {};
+  const newProperties = (newNode && newNode.properties) || {};
+  const oldRequired = requiredOf(oldNode);
+  const newRequired = requiredOf(newNode);
+  const label = name => `property "${prefix.concat(name).join('.')}"`;
+
+  if (oldNode && newNode && !same(oldNode.type, newNode.type)) {
+    const name = prefix.length > 0 ? `property "${prefix.join('.')}"` : 'schema';
+    add('major', `${pointer}/type`, `${name} type changed from ${JSON.stringify(oldNode.type)} to ${JSON.stringify(newNode.type)}`);
+    return;
+  }
+  if (oldNode && newNode && Array.isArray(oldNode.enum) && Array.isArray(newNode.enum)) {
+    const name = prefix.length > 0 ? `property "${prefix.join('.')}"` : 'schema';
+    const removed = oldNode.enum.filter(value => !newNode.enum.some(item => same(item, value)));
+    const added = newNode.enum.filter(value => !oldNode.enum.some(item => same(item, value)));
+    if (removed.length > 0) {
+      add('major', `${pointer}/enum`, `${name} no longer allows ${removed.map(value => JSON.stringify(value)).join(', ')}`);
+    }
+    if (added.length > 0) {
+      add('minor', `${pointer}/enum`, `${name} now allows ${added.map(value => JSON.stringify(value)).join(', ')}`);
+    }
+  }
+
+  for (const name of Object.keys(oldProperties)) {
+    if (!(name in newProperties)) {
+      add('major', `${pointer}/properties/${escapePointer(name)}`, `${label(name)} removed`, 'old');
+    }
+  }
+  for (const [name, property] of Object.entries(newProperties)) {
+    const propertyPointer = `${pointer}/properties/${escapePointer(name)}`;
+    if (!(name in oldProperties)) {
+      if (newRequired.includes(name)) {
+        add('major', propertyPointer, `required ${label(name)} added`);
+      } else {
+        add('minor', propertyPointer, `optional ${label(name)} added`);
+      }
+      continue;
+    }
+    if (newRequired.includes(name) && !oldRequired.includes(name)) {
+      add('major', `${pointer}/required`, `${label(name)} is now required`);
+    } else if (oldRequired.includes(name) && !newRequired.includes(name)) {
+      add('minor', `${pointer}/required`, `${label(name)} is no longer required`);
+    }
+    diffSchemaNode(oldProperties[name], property, propertyPointer, prefix.concat(name), add);
+  }
+
+  if (prefix.length > 0 && oldNode && newNode) {
+    const text = node => ({ title: node.title, description: node.description, format: node.format });
+    if (!same(text(oldNode), text(newNode))) {
+      add('patch', pointer, `property "${prefix.join('.')}" description or format changed`);
+    }
+  }
+}
+
+// Compare two versions of a schema component
+function diffSchema(oldSchema, newSchema, add) {
+  const oldJsonSchema = (oldSchema.attributes && oldSchema.attributes.schema) || {};
+  const newJsonSchema = (newSchema.attributes && newSchema.attributes.schema) || {};
+  diffSchemaNode(oldJsonSchema, newJsonSchema, '/attributes/schema', [], add);
+  if (!same(oldJsonSchema.title, newJsonSchema.title) || !same(oldJsonSchema.description, newJsonSchema.description)) {
+    add('patch', '/attributes/schema', 'schema title or description changed');
+  }
+}
+
+// Compare two versions of a task, view, function or extension
+function diffAttributes(oldComponent, newComponent, add) {
+  const oldAttributes = oldComponent.attributes || {};
+  const newAttributes = newComponent.attributes || {};
+  if (!same(oldAttributes.type, newAttributes.type)) {
+    add('major', '/attributes/type', `type changed from ${JSON.stringify(oldAttributes.type)} to ${JSON.stringify(newAttributes.type)}`);
+  } else if (!sameIgnoringText(oldAttributes, newAttributes)) {
+    add('minor', '/attributes', 'attributes changed');
+  } else if (!same(oldAttributes, newAttributes)) {
+    add('patch', '/attributes', 'labels or comments changed');
+  }
+}
+
+// Compare two loaded domains (see loadDomain).
+// Returns { changes, severity } where each change is
+// { type, key, oldVersion, newVersion, severity, side, pointer, message } and side tells whether
+// the pointer refers to the old or the new component.
+function diffDomains(oldDomain, newDomain) {
+  const changes = [];
+  const ids = new Set([...oldDomain.components.keys(), ...newDomain.components.keys()]);
+
+  for (const id of [...ids].sort()) {
+    const before = oldDomain.components.get(id);
+    const after = newDomain.components.get(id);
+    const component = after || before;
+    const change = {
+      type: component.type,
+      key: component.content.key,
+      oldVersion: before ? before.content.version : null,
+      newVersion: after ? after.content.version : null
+    };
+    const add = (severity, pointer, message, side = 'new') => {
+      changes.push(Object.assign({}, change, { severity, side, pointer, message }));
+    };
+
+    if (!after) {
+      add('major', '', `${component.type.replace(/s$/, '')} removed`, 'old');
+      continue;
+    }
+    if (!before) {
+      add('minor', '', `${component.type.replace(/s$/, '')} added`);
+      continue;
+    }
+
+    if (component.type === 'workflows') {
+      diffWorkflow(before.content, after.content, add);
+    } else if (component.type === 'schemas') {
+      diffSchema(before.content, after.content, add);
+    } else {
+      diffAttributes(before.content, after.content, add);
+    }
+    if (!same(before.content.tags, after.content.tags)) {
+      add('patch', '/tags', 'tags changed');
+    }
+  }
+
+  return { changes, severity: highestSeverity(changes) };
+}
+
+module.exports = {
+  SEVERITIES,
+  highestSeverity,
+  bumpVersion,
+  openSource,
+  loadDomain,
+  diffDomains
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const references = require('./references');
+const glob = require('./glob');
+
+// The exports section of vnext.config.json lists, per component type, the files other
+// domains may reference (e.g. "workflows": ["rezervation.json"]). The lists are computed
+// from the domain folder:
+//   include              - glob patterns of exported files, relative to the domain directory (default: all)
+//   exclude              - glob patterns of files never exported
+//   visibility           - default visibility, "public" (exported) or "private"
+//   componentVisibility  - { "<glob>": "public" | "private" } overrides per component
+
+const EXPORT_TYPES = Object.keys(references.COMPONENT_TYPES);
+const VISIBILITIES = ['public', 'private'];
+
+// Read the export settings from vnext.config.json
+function exportSettings(config) {
+  const settings = (config && config.exports) || {};
+  return {
+    visibility: settings.visibility || 'public',
+    include: Array.isArray(settings.include) && settings.include.length > 0 ? settings.include : ['**'],
+    exclude: Array.isArray(settings.exclude) ? settings.exclude : [],
+    componentVisibility: settings.componentVisibility && typeof settings.componentVisibility === 'object'
+      ? settings.componentVisibility
+      : {}
+  };
+}
+
+// Helper function to get the path of a component relative to the domain directory
+function relativePath(domainDir, file) {
+  return path.relative(domainDir, file).split(path.sep).join('/');
+}
+
+// Visibility of a component file; the last matching componentVisibility pattern wins
+function visibilityOf(settings, componentPath) {
+  let visibility = settings.visibility;
+  for (const [pattern, value] of Object.entries(settings.componentVisibility)) {
+    if (glob.matches(componentPath, pattern)) {
+      visibility = value;
+    }
+  }
+  return visibility;
+}
+
+// Compute the export lists of a domain from its loaded components.
+// Returns { schemas: [fileName], workflows: [...], ... } sorted by file name.
+function computeExports(components, domainDir, config) {
+  const settings = exportSettings(config);
+  const lists = {};
+  EXPORT_TYPES.forEach(type => {
+    lists[type] = [];
+  });
+
+  for (const component of components) {
+    const componentPath = relativePath(domainDir, component.file);
+    if (!glob.matchesAny(componentPath, settings.include) || glob.matchesAny(componentPath, settings.exclude)) {
+      continue;
+    }
+    if (visibilityOf(settings, componentPath) !== 'public') {
+      continue;
+    }
+    lists[component.type].push(path.basename(component.file));
+  }
+
+  EXPORT_TYPES.forEach(type => lists[type].sort());
+  return lists;
+}
+
+// Files currently listed in the exports section for a component type
+function exportedFiles(config, type) {
+  const settings = (config && config.exports) || {};
+  return Array.isArray(settings[type]) ? settings[type] : [];
+}
+
+// Check whether a loaded component is listed in its domain's exports
+function isExported(config, component) {
+  return exportedFiles(config, component.type).includes(path.basename(component.file));
+}
+
+// Find the installed package of another domain in node_modules (a package whose
+// vnext.config.json declares that domain). Returns its root directory or null.
+function findDomainPackage(root, domain) {
+  const nodeModules = path.join(root, 'node_modules');
+  if (!fs.existsSync(nodeModules)) {
+    return null;
+  }
+  const candidates = [];
+  for (const entry of fs.readdirSync(nodeModules, { withFileTypes: true })) {
+    if (!entry.isDirectory() && !entry.isSymbolicLink()) {
+      continue;
+    }
+    if (entry.name.startsWith('@')) {
+      const scopeDir = path.join(nodeModules, entry.name);
+      fs.readdirSync(scopeDir).forEach(name => candidates.push(path.join(scopeDir, name)));
+    } else if (!entry.name.startsWith('.')) {
+      candidates.push(path.join(nodeModules, entry.name));
+    }
+  }
+  for (const candidate of candidates) {
+    const configPath = path.join(candidate, 'vnext.config.json');
+    try {
+      if (fs.existsSync(configPath) && JSON.parse(fs.readFileSync(configPath, 'utf8')).domain === domain) {
+        return candidate;
+      }
+    } catch (error) {
+      // Packages with a broken vnext.config.json are not domain packages
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  EXPORT_TYPES,
+  VISIBILITIES,
+  exportSettings,
+  visibilityOf,
+  computeExports,
+  exportedFiles,
+  isExported,
+  findDomainPackage
+};
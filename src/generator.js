@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const { createDomainLoader } = require('../index.js');
+const references = require('./references');
+const semver = require('./semver');
+const { formatJson } = require('./json-file');
+const labels = require('./labels');
+const conventions = require('./conventions');
+
+// Templates for new domain components. Every component is an instance wrapper
+// ({ key, version, domain, flow, flowVersion, tags, attributes }) written into the folder
+// configured in vnext.config.json paths.
+
+const COMPONENT_KINDS = {
+  workflow: { type: 'workflows' },
+  schema: { type: 'schemas' },
+  task: { type: 'tasks' },
+  view: { type: 'views' },
+  function: { type: 'functions' },
+  extension: { type: 'extensions' }
+};
+
+// Labels of the standard lifecycle states and transitions
+const LIFECYCLE_LABELS = {
+  'tr-TR': {
+    create: 'Oluştur',
+    draft: 'Taslak',
+    activate: 'Aktifleştir',
+    delete: 'Sil',
+    active: 'Aktif',
+    update: 'Güncelle',
+    deactivate: 'Pasifleştir',
+    passive: 'Pasif'
+  }
+};
+
+// Helper function to turn a key into a title ("order-item" -> "Order Item")
+function toTitle(key) {
+  return key.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Build a labels array with one entry per language
+function createLabels(languages, text, lifecycleKey = null) {
+  return languages.map(language => {
+    const translations = LIFECYCLE_LABELS[language] || {};
+    return { label: (lifecycleKey && translations[lifecycleKey]) || text, language };
+  });
+}
+
+// Helper function to build the instance wrapper shared by all components
+function createInstance(kind, key, options) {
+  return {
+    key,
+    version: options.version,
+    domain: options.domain,
+    flow: references.COMPONENT_TYPES[COMPONENT_KINDS[kind].type].flow,
+    flowVersion: options.flowVersion,
+    tags: [],
+    attributes: {}
+  };
+}
+
+// Helper function to build a transition of the lifecycle pattern
+function lifecycleTransition(languages, key, target, lifecycleKey = key) {
+  return {
+    key,
+    target,
+    triggerType: 0,
+    versionStrategy: 'Minor',
+    labels: createLabels(languages, toTitle(lifecycleKey), lifecycleKey)
+  };
+}
+
+// Helper function to build a state of the lifecycle pattern
+function lifecycleState(languages, key, stateType, transitions) {
+  return {
+    key,
+    stateType,
+    versionStrategy: 'Minor',
+    labels: createLabels(languages, toTitle(key), key),
+    transitions
+  };
+}
+
+// Workflow following the draft / active / passive lifecycle of .cursorrules. passive is the
+// finish state, so the transitions the pattern lists out of it (reactivate, archive) are left
+// out; delete ends a draft in passive.
+function workflowTemplate(key, options) {
+  const languages = options.languages;
+  const instance = createInstance('workflow', key, options);
+  instance.attributes = {
+    type: 'F',
+    labels: createLabels(languages, toTitle(key)),
+    functions: [],
+    features: [],
+    extensions: [],
+    sharedTransitions: [],
+    startTransition: Object.assign(lifecycleTransition(languages, `create-${key}`, 'draft', 'create'), {
+      versionStrategy: 'Major'
+    }),
+    states: [
+      lifecycleState(languages, 'draft', 1, [
+        lifecycleTransition(languages, 'activate', 'active'),
+        lifecycleTransition(languages, 'delete', 'passive')
+      ]),
+      lifecycleState(languages, 'active', 2, [
+        lifecycleTransition(languages, 'update', 'active'),
+        lifecycleTransition(languages, 'deactivate', 'passive')
+      ]),
+      lifecycleState(languages, 'passive', 3, [])
+    ],
+    subFlowType: null,
+    timeout: null
+  };
+  return instance;
+}
+
+// Schema instances are platform managed and carry no labels
+function schemaTemplate(key, options) {
+  const instance = createInstance('schema', key, options);
+  instance.attributes = {
+    type: 'schema',
+    schema: {
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      $id: `https://schemas.${options.domain}.domain/${key}`,
+      title: toTitle(key),
+      type: 'object',
+      description: `${toTitle(key)} schema`,
+      properties: {},
+      required: []
+    }
+  };
+  return instance;
+}
+
+// HTTP task calling a placeholder endpoint
+function taskTemplate(key, options) {
+  const instance = createInstance('task', key, options);
+  instance.attributes = {
+    type: '6',
+    config: {
+      url: `http://localhost/${key}`,
+      method: 'GET',
+      headers: {},
+      timeoutSeconds: 30,
+      validateSsl: true
+    }
+  };
+  return instance;
+}
+
+function viewTemplate(key, options) {
+  const instance = createInstance('view', key, options);
+  instance.attributes = {
+    type: 'Json',
+    display: 'full-page',
+    labels: createLabels(options.languages, toTitle(key)),
+    content: JSON.stringify({ title: toTitle(key), fields: [] })
+  };
+  return instance;
+}
+
+// Helper function to build the task array entry used by functions and extensions
+function taskEntry(task) {
+  return {
+    order: 1,
+    task: { key: task.key, domain: task.domain, version: task.version, flow: task.flow },
+    mapping: { location: '', code: '' }
+  };
+}
+
+function functionTemplate(key, options) {
+  const instance = createInstance('function', key, options);
+  instance.attributes = {
+    scope: 'I',
+    task: taskEntry(options.task)
+  };
+  return instance;
+}
+
+function extensionTemplate(key, options) {
+  const instance = createInstance('extension', key, options);
+  instance.attributes = {
+    type: 1,
+    scope: 1,
+    task: taskEntry(options.task)
+  };
+  return instance;
+}
+
+const TEMPLATES = {
+  workflow: workflowTemplate,
+  schema: schemaTemplate,
+  task: taskTemplate,
+  view: viewTemplate,
+  function: functionTemplate,
+  extension: extensionTemplate
+};
+
+// Find the latest version of a task in the domain, used by functions and extensions
+function findTask(components, domain, key) {
+  const tasks = components
+    .filter(component => component.type === 'tasks' && component.content.key === key && component.content.domain === domain)
+    .map(component => component.content);
+  if (tasks.length === 0) {
+    return null;
+  }
+  const latest = semver.maxSatisfying(tasks.map(task => task.version).filter(semver.isValid), '*');
+  return tasks.find(task => task.version === latest) || tasks[0];
+}
+
+// Generate a component file.
+// Options:
+//   root       - project root (default: cwd)
+//   version    - component version (default: 1.0.0)
+//   task       - task key referenced by functions and extensions
+//   force      - overwrite an existing file
+// Returns { file, component }.
+function generateComponent(kind, key, options = {}) {
+  if (!COMPONENT_KINDS[kind]) {
+    throw new Error(`Unknown component kind "${kind}" (expected one of: ${Object.keys(COMPONENT_KINDS).join(', ')})`);
+  }
+  if (!key || !conventions.KEY_REGEX.test(key)) {
+    throw new Error(`Component key "${key || ''}" must be kebab-case (lowercase letters, digits and hyphens)`);
+  }
+  const version = options.version || '1.0.0';
+  if (!semver.isValid(version)) {
+    throw new Error(`Version "${version}" does not follow semantic versioning`);
+  }
+
+  const root = path.resolve(options.root || process.cwd());
+  const loader = createDomainLoader(root);
+  const config = loader.getDomainConfig() || {};
+  const paths = config.paths || {};
+  const domainDir = paths.componentsRoot || loader.getDomainName();
+  const domain = config.domain || domainDir;
+  if (!domainDir || !domain) {
+    throw new Error('No domain directory found (set paths.componentsRoot and domain in vnext.config.json)');
+  }
+
+  const type = COMPONENT_KINDS[kind].type;
+  const directory = path.join(root, domainDir, paths[type] || references.COMPONENT_TYPES[type].directory);
+  const file = path.join(directory, conventions.componentFileName(type, key, version));
+  if (fs.existsSync(file) && !options.force) {
+    throw new Error(`${path.relative(process.cwd(), file)} already exists (use --force to overwrite)`);
+  }
+
+  const templateOptions = {
+    domain,
+    version,
+    flowVersion: '1.0.0',
+    languages: labels.configuredLanguages(config)
+  };
+
+  if (kind === 'function' || kind === 'extension') {
+    if (!options.task) {
+      throw new Error(`A ${kind} runs a task, pass the task key with --task <key>`);
+    }
+    templateOptions.task = findTask(references.loadComponents(loader, config, root), domain, options.task);
+    if (!templateOptions.task) {
+      throw new Error(`Task "${options.task}" not found in domain ${domain} (generate it first with: generate task ${options.task})`);
+    }
+  }
+
+  const component = TEMPLATES[kind](key, templateOptions);
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(file, formatJson(component), 'utf8');
+  return { file, component };
+}
+
+module.exports = {
+  COMPONENT_KINDS,
+  createLabels,
+  generateComponent
+};
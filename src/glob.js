@@ -0,0 +1,52 @@
+// Minimal glob matching for paths relative to the domain directory (forward slashes).
+//   **  any number of directories
+//   *   anything except a slash
+//   ?   one character except a slash
+
+const cache = new Map();
+
+// Convert a glob pattern to a regular expression
+function globToRegExp(pattern) {
+  if (cache.has(pattern)) {
+    return cache.get(pattern);
+  }
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i++;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  const regex = new RegExp(`^${source}$`);
+  cache.set(pattern, regex);
+  return regex;
+}
+
+// Check whether a relative path matches a glob pattern
+function matches(relativePath, pattern) {
+  return globToRegExp(pattern).test(relativePath.split('\\').join('/'));
+}
+
+// Check whether a relative path matches any of the patterns
+function matchesAny(relativePath, patterns) {
+  return (patterns || []).some(pattern => matches(relativePath, pattern));
+}
+
+module.exports = {
+  globToRegExp,
+  matches,
+  matchesAny
+};
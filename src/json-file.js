@@ -0,0 +1,28 @@
+const fs = require('fs');
+
+// Read and write component JSON files, keeping the layout used in the repository
+// (two-space indentation and whatever trailing whitespace the file already had).
+
+// Read a JSON file, returns { data, text }
+function readJsonFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  return { data: JSON.parse(text), text };
+}
+
+// Serialize data like the original text (defaults to a trailing newline for new files)
+function formatJson(data, originalText = null) {
+  const trailing = originalText === null ? '\n' : originalText.match(/\s*$/)[0];
+  return JSON.stringify(data, null, 2) + trailing;
+}
+
+// Write data to a JSON file, keeping the trailing whitespace of the existing file
+function writeJsonFile(filePath, data) {
+  const originalText = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+  fs.writeFileSync(filePath, formatJson(data, originalText), 'utf8');
+}
+
+module.exports = {
+  readJsonFile,
+  formatJson,
+  writeJsonFile
+};
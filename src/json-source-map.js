@@ -0,0 +1,255 @@
+const fs = require('fs');
+
+// Position-tracking JSON parser.
+// parse(text) returns the parsed data plus a map from every JSON pointer to the exact
+// positions of its key (for object properties) and value. Positions are
+// { line, column, pos } with 1-based line and column and a 0-based character offset.
+
+class JsonSyntaxError extends SyntaxError {
+  constructor(message, position) {
+    super(`${message} at line ${position.line} column ${position.column}`);
+    this.name = 'JsonSyntaxError';
+    this.line = position.line;
+    this.column = position.column;
+    this.pos = position.pos;
+  }
+}
+
+// Escape a property name for use in a JSON pointer
+function escapePointer(part) {
+  return String(part).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function parse(text) {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const offset = source.length === text.length ? 0 : 1;
+  const pointers = {};
+  let pos = 0;
+  let line = 1;
+  let column = 1;
+
+  const position = () => ({ line, column, pos: pos + offset });
+
+  const fail = (message) => {
+    throw new JsonSyntaxError(message, position());
+  };
+
+  const advance = () => {
+    if (source[pos] === '\n') {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+    pos++;
+  };
+
+  const skipWhitespace = () => {
+    while (pos < source.length && ' \t\n\r'.includes(source[pos])) {
+      advance();
+    }
+  };
+
+  const expect = (char) => {
+    if (source[pos] !== char) {
+      fail(pos < source.length ? `Unexpected token ${source[pos]}, expected ${char}` : `Unexpected end of JSON input, expected ${char}`);
+    }
+    advance();
+  };
+
+  const parseString = () => {
+    const start = pos;
+    const startPosition = position();
+    expect('"');
+    while (pos < source.length && source[pos] !== '"') {
+      if (source[pos] === '\\') {
+        advance();
+      } else if (source.charCodeAt(pos) < 0x20) {
+        fail('Bad control character in string literal');
+      }
+      advance();
+    }
+    expect('"');
+    try {
+      return JSON.parse(source.slice(start, pos));
+    } catch (error) {
+      throw new JsonSyntaxError('Bad escape sequence in string literal', startPosition);
+    }
+  };
+
+  const numberPattern = /-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?/y;
+
+  const parseNumber = () => {
+    numberPattern.lastIndex = pos;
+    const match = numberPattern.exec(source);
+    if (!match || match[0].length === 0) {
+      fail(`Unexpected token ${source[pos]}`);
+    }
+    for (let i = 0; i < match[0].length; i++) {
+      advance();
+    }
+    return Number(match[0]);
+  };
+
+  const parseLiteral = () => {
+    for (const [word, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (source.startsWith(word, pos)) {
+        for (let i = 0; i < word.length; i++) {
+          advance();
+        }
+        return value;
+      }
+    }
+    return fail(pos < source.length ? `Unexpected token ${source[pos]}` : 'Unexpected end of JSON input');
+  };
+
+  const parseValue = (pointer) => {
+    skipWhitespace();
+    const entry = pointers[pointer] || (pointers[pointer] = {});
+    entry.value = position();
+    let value;
+
+    switch (source[pos]) {
+      case '{':
+        value = parseObject(pointer);
+        break;
+      case '[':
+        value = parseArray(pointer);
+        break;
+      case '"':
+        value = parseString();
+        break;
+      default:
+        value = (source[pos] === '-' || (source[pos] >= '0' && source[pos] <= '9')) ? parseNumber() : parseLiteral();
+    }
+
+    entry.valueEnd = position();
+    return value;
+  };
+
+  const parseObject = (pointer) => {
+    const result = {};
+    expect('{');
+    skipWhitespace();
+    if (source[pos] === '}') {
+      advance();
+      return result;
+    }
+
+    for (;;) {
+      skipWhitespace();
+      if (source[pos] !== '"') {
+        fail(pos < source.length ? `Unexpected token ${source[pos]}, expected property name` : 'Unexpected end of JSON input');
+      }
+      const keyStart = position();
+      const key = parseString();
+      const childPointer = `${pointer}/${escapePointer(key)}`;
+      pointers[childPointer] = { key: keyStart, keyEnd: position() };
+      skipWhitespace();
+      expect(':');
+      // Defined rather than assigned so that "__proto__" becomes a property, as with JSON.parse
+      Object.defineProperty(result, key, { value: parseValue(childPointer), enumerable: true, writable: true, configurable: true });
+      skipWhitespace();
+      if (source[pos] === ',') {
+        advance();
+        continue;
+      }
+      expect('}');
+      return result;
+    }
+  };
+
+  const parseArray = (pointer) => {
+    const result = [];
+    expect('[');
+    skipWhitespace();
+    if (source[pos] === ']') {
+      advance();
+      return result;
+    }
+
+    for (;;) {
+      result.push(parseValue(`${pointer}/${result.length}`));
+      skipWhitespace();
+      if (source[pos] === ',') {
+        advance();
+        continue;
+      }
+      expect(']');
+      return result;
+    }
+  };
+
+  const data = parseValue('');
+  skipWhitespace();
+  if (pos < source.length) {
+    fail(`Unexpected token ${source[pos]} after JSON`);
+  }
+
+  return { data, pointers };
+}
+
+// Normalize a pointer ("" for the root, "/a/b" otherwise)
+function normalizePointer(pointer) {
+  if (!pointer || pointer === '/') {
+    return '';
+  }
+  return pointer.startsWith('/') ? pointer : `/${pointer}`;
+}
+
+// Find the location of a JSON pointer in a parsed source map.
+// Properties point at their key, array elements and the root at their value.
+// Pointers that do not exist fall back to the closest existing parent.
+function locate(sourceMap, pointer) {
+  let current = normalizePointer(pointer);
+  for (;;) {
+    const entry = sourceMap.pointers[current];
+    if (entry && entry.value) {
+      const start = entry.key || entry.value;
+      return {
+        pointer: current,
+        line: start.line,
+        column: start.column,
+        endLine: entry.valueEnd.line,
+        endColumn: entry.valueEnd.column
+      };
+    }
+    if (current === '') {
+      return null;
+    }
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+}
+
+// Cache of parsed files, invalidated when the file changes
+const fileCache = new Map();
+
+// Parse a JSON file with position tracking (cached by modification time)
+function parseFile(filePath) {
+  const stat = fs.statSync(filePath);
+  const cached = fileCache.get(filePath);
+  if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) {
+    return cached.sourceMap;
+  }
+  const sourceMap = parse(fs.readFileSync(filePath, 'utf8'));
+  fileCache.set(filePath, { mtimeMs: stat.mtimeMs, size: stat.size, sourceMap });
+  return sourceMap;
+}
+
+// Locate a JSON pointer in a file, returns null when the file cannot be parsed
+function locateInFile(filePath, pointer) {
+  try {
+    return locate(parseFile(filePath), pointer);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  JsonSyntaxError,
+  escapePointer,
+  parse,
+  parseFile,
+  locate,
+  locateInFile
+};
@@ -0,0 +1,97 @@
+const { escapePointer } = require('./json-source-map');
+
+// Multi-language labels. Workflows, states, transitions and views carry
+// labels: [{ label, language }] with one entry per language listed in vnext.config.json.
+
+// Languages used when vnext.config.json does not list any
+const DEFAULT_LANGUAGES = ['en-US', 'tr-TR'];
+
+// Languages configured for the domain
+function configuredLanguages(config) {
+  return config && Array.isArray(config.languages) && config.languages.length > 0
+    ? config.languages
+    : DEFAULT_LANGUAGES;
+}
+
+// Helper function to describe the owner of a label set for translators and messages
+function describeOwner(owner, pointer) {
+  const match = pointer.match(/\/(states|transitions|sharedTransitions)\/\d+\/labels$/);
+  const kinds = { states: 'state', transitions: 'transition', sharedTransitions: 'shared transition' };
+  if (match && owner && owner.key) {
+    return `${kinds[match[1]]} "${owner.key}"`;
+  }
+  if (pointer.endsWith('/startTransition/labels') && owner && owner.key) {
+    return `start transition "${owner.key}"`;
+  }
+  return pointer === '/attributes/labels' ? 'component' : pointer.replace(/\/labels$/, '') || 'component';
+}
+
+// Find every labels array of a component.
+// Returns [{ pointer, owner, labels }] where owner is the object holding the labels.
+function collectLabelSets(content) {
+  const sets = [];
+
+  const walk = (node, pointer) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => walk(item, `${pointer}/${index}`));
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    for (const [name, value] of Object.entries(node)) {
+      const childPointer = `${pointer}/${escapePointer(name)}`;
+      if (name === 'labels' && Array.isArray(value) && value.every(item => item && typeof item === 'object' && 'language' in item)) {
+        sets.push({ pointer: childPointer, owner: node, labels: value, description: describeOwner(node, childPointer) });
+      } else {
+        walk(value, childPointer);
+      }
+    }
+  };
+
+  walk(content, '');
+  return sets;
+}
+
+// Check that every label set has exactly one non-blank label per configured language.
+// Returns diagnostics ({ rule, severity, pointer, message }).
+function checkLabels(content, languages) {
+  const diagnostics = [];
+  const report = (rule, pointer, message, severity = 'error') => {
+    diagnostics.push({ rule, severity, pointer, message });
+  };
+
+  for (const set of collectLabelSets(content)) {
+    const seen = new Set();
+    set.labels.forEach((entry, index) => {
+      const pointer = `${set.pointer}/${index}`;
+      if (seen.has(entry.language)) {
+        report('label/duplicate', `${pointer}/language`, `Label of ${set.description} has more than one "${entry.language}" translation`);
+      }
+      seen.add(entry.language);
+
+      if (typeof entry.label !== 'string' || entry.label.trim() === '') {
+        report('label/blank', `${pointer}/label`, `Label of ${set.description} is blank for "${entry.language}"`);
+      }
+      if (!languages.includes(entry.language)) {
+        report('label/unknown-language', `${pointer}/language`,
+          `Label of ${set.description} uses "${entry.language}" which is not in the configured languages (${languages.join(', ')})`,
+          'warning');
+      }
+    });
+
+    const missing = languages.filter(language => !seen.has(language));
+    if (missing.length > 0) {
+      report('label/missing', set.pointer, `Label of ${set.description} is missing ${missing.join(', ')}`);
+    }
+  }
+
+  return diagnostics;
+}
+
+module.exports = {
+  DEFAULT_LANGUAGES,
+  configuredLanguages,
+  collectLabelSets,
+  checkLabels
+};
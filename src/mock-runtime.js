@@ -0,0 +1,299 @@
+// Local stand-in for the vNext runtime, for building clients against the domain's flows.
+// Components are served from an index.js loader and workflow instances run in memory
+// through the simulator (see simulator.js for what is and is not evaluated).
+//
+//   GET   /api/v1/<domain>/components                                   list of { type, key, version }
+//   GET   /api/v1/<domain>/<type>/<key>[?version=<range>]               component content
+//   GET   /api/v1/<domain>/workflows/<workflow>/instances               instances of a workflow
+//   POST  /api/v1/<domain>/workflows/<workflow>/instances/start         start, body: { version?, data? }
+//   GET   /api/v1/<domain>/workflows/<workflow>/instances/<id>          instance state
+//   GET   /api/v1/<domain>/workflows/<workflow>/instances/<id>/transitions
+//   PATCH /api/v1/<domain>/workflows/<workflow>/instances/<id>/transitions/<transition>
+//                                                                       execute, body: payload
+//
+// Payloads are validated before they are merged into the instance data: against the schema
+// bound to the transition (transition.schema) when it has one, otherwise against the schema
+// bound to the workflow (attributes.schema) without its top-level required properties, as a
+// payload only carries part of the instance data.
+
+const http = require('http');
+const crypto = require('crypto');
+const { createSimulation } = require('./simulator');
+const { schemaBinding } = require('./data-contract');
+
+const DEFAULT_PORT = 4201;
+const API_PREFIX = '/api/v1';
+
+// Helper function to create an error carrying an HTTP status
+function httpError(status, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+}
+
+// Create the request handler of a mock runtime for an index.js loader (see createDomainLoader).
+// handle(method, url, body) returns { status, body } and never throws, so it can be used
+// without a server; createServer() wraps it in an http.Server.
+function createMockRuntime(loader) {
+  const domain = (loader.getDomainConfig() || {}).domain || loader.getDomainName();
+  const instances = new Map();
+  const validators = new Map();
+  let ajv = null;
+
+  // Compile (once) the validator of a schema reference, null when the schema is not in this domain
+  const validatorFor = (reference, partial) => {
+    if (!reference || (reference.domain && reference.domain !== domain)) {
+      return null;
+    }
+    const component = loader.getComponent('schemas', reference.key, reference.version);
+    if (!component || !component.content.attributes || !component.content.attributes.schema) {
+      throw httpError(500, `Schema ${reference.key}${reference.version ? `@${reference.version}` : ''} bound to the workflow was not found`);
+    }
+    const cacheKey = `${component.key}@${component.version}${partial ? ':partial' : ''}`;
+    if (!validators.has(cacheKey)) {
+      if (!ajv) {
+        const Ajv = require('ajv');
+        const addFormats = require('ajv-formats');
+        ajv = new Ajv({ strict: false, allErrors: true });
+        addFormats(ajv);
+      }
+      const schema = Object.assign({}, component.content.attributes.schema);
+      if (partial) {
+        delete schema.required;
+      }
+      // Partial and full copies of a schema are compiled side by side, so neither keeps the $id
+      delete schema.$schema;
+      delete schema.$id;
+      validators.set(cacheKey, { validate: ajv.compile(schema), name: `${component.key}@${component.version}` });
+    }
+    return validators.get(cacheKey);
+  };
+
+  // Validate a payload for a transition of a workflow, throws a 400 error listing the problems
+  const validatePayload = (workflow, transition, payload) => {
+    const validator = transition && transition.schema
+      ? validatorFor(transition.schema, false)
+      : validatorFor(schemaBinding(workflow), true);
+    if (!validator || validator.validate(payload)) {
+      return;
+    }
+    const errors = validator.validate.errors.map(error => ({
+      pointer: error.params && error.params.additionalProperty
+        ? `${error.instancePath}/${error.params.additionalProperty}`
+        : error.instancePath || '/',
+      message: error.message
+    }));
+    throw httpError(400, `Payload does not match schema ${validator.name}`, errors);
+  };
+
+  // Load a workflow component by key and version range, 404 when it does not exist
+  const workflowOf = (key, version) => {
+    const component = loader.getComponent('workflows', key, version);
+    if (!component) {
+      throw httpError(404, `Workflow "${key}"${version ? ` (${version})` : ''} not found`);
+    }
+    return component.content;
+  };
+
+  // Helper function to describe an instance in responses
+  const describe = (instance) => {
+    const snapshot = instance.simulation.getState();
+    return {
+      id: instance.id,
+      domain,
+      workflow: instance.workflow,
+      version: instance.version,
+      status: snapshot.status,
+      currentWorkflow: snapshot.workflow,
+      state: snapshot.state,
+      stack: snapshot.stack,
+      data: snapshot.data,
+      transitions: instance.simulation.availableTransitions(),
+      history: snapshot.history
+    };
+  };
+
+  const instanceOf = (workflowKey, id) => {
+    const instance = instances.get(id);
+    if (!instance || instance.workflow !== workflowKey) {
+      throw httpError(404, `Instance "${id}" of workflow "${workflowKey}" not found`);
+    }
+    return instance;
+  };
+
+  const startInstance = (workflowKey, body) => {
+    const request = body || {};
+    const workflow = workflowOf(workflowKey, request.version);
+    const data = request.data || {};
+    validatePayload(workflow, workflow.attributes && workflow.attributes.startTransition, data);
+    const simulation = createSimulation(loader, workflowKey, { version: workflow.version });
+    simulation.start(data);
+    const instance = { id: crypto.randomUUID(), workflow: workflowKey, version: workflow.version, simulation };
+    instances.set(instance.id, instance);
+    return { status: 201, body: describe(instance) };
+  };
+
+  const executeTransition = (instance, transitionKey, payload) => {
+    const snapshot = instance.simulation.getState();
+    if (snapshot.status !== 'running') {
+      throw httpError(409, `Instance "${instance.id}" is ${snapshot.status}`);
+    }
+    const available = instance.simulation.availableTransitions().map(transition => transition.key);
+    if (!available.includes(transitionKey)) {
+      throw httpError(409, `Transition "${transitionKey}" is not available in state "${snapshot.state}" of ${snapshot.workflow} (available: ${available.join(', ') || 'none'})`);
+    }
+    // The innermost workflow of the stack owns the current state and its schema
+    const frame = snapshot.stack[snapshot.stack.length - 1];
+    const workflow = workflowOf(frame.workflow, frame.version);
+    const state = (workflow.attributes.states || []).find(item => item.key === frame.state) || {};
+    const transition = (state.transitions || []).concat(workflow.attributes.sharedTransitions || [])
+      .find(item => item.key === transitionKey);
+    validatePayload(workflow, transition, payload || {});
+    instance.simulation.fire(transitionKey, payload || {});
+    return { status: 200, body: describe(instance) };
+  };
+
+  const listComponents = () => Array.from(loader.iterateComponents(), component => ({
+    type: component.type,
+    key: component.key,
+    version: component.version
+  }));
+
+  // Route a request, throws http errors
+  const route = (method, url, body) => {
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const parts = pathname.replace(/\/+$/, '').split('/').slice(1).map(part => {
+      try {
+        return decodeURIComponent(part);
+      } catch (error) {
+        throw httpError(400, `Malformed escape in path segment "${part}"`);
+      }
+    });
+    const prefix = API_PREFIX.split('/').slice(1);
+    if (prefix.some((part, index) => parts[index] !== part)) {
+      throw httpError(404, `Unknown path ${pathname}`);
+    }
+    const [requestDomain, type, key, collection, id, action, transitionKey] = parts.slice(prefix.length);
+    if (requestDomain !== domain) {
+      throw httpError(404, `Unknown domain "${requestDomain}" (this runtime serves "${domain}")`);
+    }
+
+    if (type === 'components' && !key && method === 'GET') {
+      return { status: 200, body: listComponents() };
+    }
+    if (!type || !key) {
+      throw httpError(404, `Unknown path ${pathname}`);
+    }
+    if (!collection && method === 'GET') {
+      if (!loader.getAvailableTypes().includes(type)) {
+        throw httpError(404, `Unknown component type "${type}"`);
+      }
+      const version = searchParams.get('version') || undefined;
+      const component = loader.getComponent(type, key, version);
+      if (!component) {
+        throw httpError(404, `Component ${type}/${key}${version ? ` (${version})` : ''} not found`);
+      }
+      return { status: 200, body: component.content };
+    }
+    if (type !== 'workflows' || collection !== 'instances') {
+      throw httpError(404, `Unknown path ${pathname}`);
+    }
+
+    if (!id && method === 'GET') {
+      return { status: 200, body: Array.from(instances.values()).filter(item => item.workflow === key).map(describe) };
+    }
+    if (id === 'start' && !action && method === 'POST') {
+      return startInstance(key, body);
+    }
+    if (id && !action && method === 'GET') {
+      return { status: 200, body: describe(instanceOf(key, id)) };
+    }
+    if (id && action === 'transitions' && !transitionKey && method === 'GET') {
+      return { status: 200, body: instanceOf(key, id).simulation.availableTransitions() };
+    }
+    if (id && action === 'transitions' && transitionKey && method === 'PATCH') {
+      return executeTransition(instanceOf(key, id), transitionKey, body);
+    }
+    throw httpError(405, `${method} is not supported for ${pathname}`);
+  };
+
+  return {
+    domain,
+
+    // Handle a request with an already parsed JSON body, returns { status, body }
+    handle: function(method, url, body) {
+      try {
+        return route(method.toUpperCase(), url, body);
+      } catch (error) {
+        const response = { error: error.message };
+        if (error.details) {
+          response.errors = error.details;
+        }
+        // Errors raised without a status are failures of the runtime, not of the request
+        return { status: error.status || 500, body: response };
+      }
+    },
+
+    // Drop all instances
+    reset: function() {
+      instances.clear();
+    }
+  };
+}
+
+// Helper function to read and parse a JSON request body, undefined when empty
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8').trim();
+      try {
+        resolve(text ? JSON.parse(text) : undefined);
+      } catch (error) {
+        reject(httpError(400, `Request body is not valid JSON: ${error.message}`));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+// Wrap a mock runtime in an http.Server. CORS is open so browser apps on other ports can call it.
+// options.onRequest(method, url, status) is called after every response (for logging).
+function createServer(runtime, options = {}) {
+  return http.createServer((request, response) => {
+    const send = (status, body) => {
+      response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+      });
+      response.end(body === undefined ? '' : JSON.stringify(body, null, 2));
+      if (options.onRequest) {
+        options.onRequest(request.method, request.url, status);
+      }
+    };
+
+    if (request.method === 'OPTIONS') {
+      send(204);
+      return;
+    }
+    readBody(request)
+      .then(body => {
+        const result = runtime.handle(request.method, request.url, body);
+        send(result.status, result.body);
+      })
+      .catch(error => send(error.status || 500, { error: error.message }));
+  });
+}
+
+module.exports = {
+  DEFAULT_PORT,
+  API_PREFIX,
+  createMockRuntime,
+  createServer
+};
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const semver = require('./semver');
+const { escapePointer } = require('./json-source-map');
+
+// Component types exposed by index.js, with their getter and default folder
+const COMPONENT_TYPES = {
+  schemas: { getter: 'getSchemas', directory: 'Schemas', flow: 'sys-schemas' },
+  workflows: { getter: 'getWorkflows', directory: 'Workflows', flow: 'sys-flows' },
+  tasks: { getter: 'getTasks', directory: 'Tasks', flow: 'sys-tasks' },
+  views: { getter: 'getViews', directory: 'Views', flow: 'sys-views' },
+  functions: { getter: 'getFunctions', directory: 'Functions', flow: 'sys-functions' },
+  extensions: { getter: 'getExtensions', directory: 'Extensions', flow: 'sys-extensions' }
+};
+
+// Map a reference's flow (e.g. "sys-flows") to a component type
+function typeForFlow(flow) {
+  for (const [type, info] of Object.entries(COMPONENT_TYPES)) {
+    if (info.flow === flow) {
+      return type;
+    }
+  }
+  return null;
+}
+
+// Load every component through the index.js getters, remembering the file each came from.
+// rootDir is the project root the loader was created for (see createDomainLoader).
+function loadComponents(vnextTemplate, config = null, rootDir = '.') {
+  const domainDir = vnextTemplate.getDomainName();
+  if (!domainDir) {
+    return [];
+  }
+
+  const paths = (config && config.paths) || {};
+  const components = [];
+  for (const [type, info] of Object.entries(COMPONENT_TYPES)) {
+    const directory = paths[type] || info.directory;
+    const files = vnextTemplate[info.getter]();
+    for (const [baseName, content] of Object.entries(files)) {
+      components.push({
+        type,
+        file: path.join(rootDir, domainDir, directory, `${baseName}.json`),
+        content
+      });
+    }
+  }
+  return components;
+}
+
+// Build a lookup index of components keyed by domain and key
+function indexComponents(components) {
+  const byKey = new Map();
+  const entries = [];
+
+  for (const component of components) {
+    const content = component.content;
+    if (!content || typeof content !== 'object' || typeof content.key !== 'string') {
+      continue;
+    }
+    const entry = {
+      type: component.type,
+      key: content.key,
+      version: content.version,
+      domain: content.domain,
+      flow: content.flow,
+      file: component.file,
+      content
+    };
+    const indexKey = `${entry.domain}:${entry.key}`;
+    if (!byKey.has(indexKey)) {
+      byKey.set(indexKey, []);
+    }
+    byKey.get(indexKey).push(entry);
+    entries.push(entry);
+  }
+
+  return { entries, byKey };
+}
+
+// Walk a component and collect every reference it makes to another component.
+// A reference is either a { key, domain, flow?, version? } object or a { ref } file path.
+function collectReferences(content) {
+  const references = [];
+
+  const walk = (node, pointer) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, index) => walk(item, `${pointer}/${index}`));
+      return;
+    }
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+
+    if (pointer !== '' && typeof node.key === 'string' && typeof node.domain === 'string') {
+      references.push({
+        kind: 'component',
+        pointer,
+        key: node.key,
+        domain: node.domain,
+        flow: typeof node.flow === 'string' ? node.flow : null,
+        version: typeof node.version === 'string' ? node.version : null
+      });
+      return;
+    }
+
+    if (pointer !== '' && typeof node.ref === 'string' && node.ref.endsWith('.json')) {
+      references.push({ kind: 'file', pointer, ref: node.ref });
+      return;
+    }
+
+    for (const [name, value] of Object.entries(node)) {
+      walk(value, `${pointer}/${escapePointer(name)}`);
+    }
+  };
+
+  walk(content, '');
+  return references;
+}
+
+function describeReference(reference) {
+  const flow = reference.flow ? `${reference.flow}/` : '';
+  const version = reference.version ? `@${reference.version}` : '';
+  return `${reference.domain}:${flow}${reference.key}${version}`;
+}
+
+// Resolve a single component reference against the index
+function resolveReference(index, reference, options = {}) {
+  const candidates = index.byKey.get(`${reference.domain}:${reference.key}`) || [];
+  if (candidates.length === 0) {
+    return { status: 'dangling', reason: 'no component with this key exists' };
+  }
+
+  let typed = candidates;
+  const expectedType = reference.flow ? typeForFlow(reference.flow) : null;
+  if (reference.flow) {
+    typed = candidates.filter(candidate => candidate.flow === reference.flow);
+    if (typed.length === 0) {
+      const found = candidates.map(candidate => `${candidate.type} (${candidate.flow})`).join(', ');
+      if (options.validateReferenceConsistency !== false) {
+        return { status: 'inconsistent', reason: `flow "${reference.flow}" does not match target ${found}` };
+      }
+      typed = expectedType ? candidates.filter(candidate => candidate.type === expectedType) : candidates;
+      if (typed.length === 0) {
+        typed = candidates;
+      }
+    }
+  } else {
+    const types = new Set(candidates.map(candidate => candidate.type));
+    if (types.size > 1) {
+      return {
+        status: 'ambiguous',
+        reason: `reference has no flow and matches ${[...types].join(', ')}`,
+        candidates
+      };
+    }
+  }
+
+  if (!reference.version) {
+    const versions = new Set(typed.map(candidate => candidate.version));
+    if (versions.size > 1) {
+      return {
+        status: 'ambiguous',
+        reason: `reference has no version and ${versions.size} versions exist (${[...versions].join(', ')})`,
+        candidates: typed
+      };
+    }
+    if (typed.length > 1) {
+      return { status: 'ambiguous', reason: `${typed.length} components share this key and version`, candidates: typed };
+    }
+    return { status: 'resolved', target: typed[0] };
+  }
+
+  const versions = [...new Set(typed.map(candidate => candidate.version).filter(semver.isValid))];
+  const best = semver.isRange(reference.version)
+    ? semver.maxSatisfying(versions, reference.version)
+    : (versions.includes(reference.version) ? reference.version : null);
+
+  if (!best) {
+    const available = typed.map(candidate => candidate.version).join(', ');
+    return { status: 'dangling', reason: `no version satisfies "${reference.version}" (available: ${available})` };
+  }
+
+  const matches = typed.filter(candidate => candidate.version === best);
+  if (matches.length > 1) {
+    return {
+      status: 'ambiguous',
+      reason: `${matches.length} components define version ${best}`,
+      candidates: matches
+    };
+  }
+  return { status: 'resolved', target: matches[0] };
+}
+
+// Resolve every reference of every indexed component.
+// Options:
+//   domain                      - local domain; references to other domains are skipped
+//   domainDir                   - base directory for { ref } file references
+//   strictMode                  - report problems as errors instead of warnings
+//   validateReferenceConsistency - require reference flow to match the target's flow
+//   locate(file, pointer)       - returns { line, column, endLine, endColumn } for a JSON pointer
+//   sources                     - only resolve the references made by these files (default: all)
+function resolveAll(index, options = {}) {
+  const severity = options.strictMode === false ? 'warning' : 'error';
+  const locate = options.locate || (() => null);
+  const resolved = [];
+  const external = [];
+  const diagnostics = [];
+
+  const report = (entry, reference, rule, message) => {
+    diagnostics.push(Object.assign({
+      rule,
+      severity,
+      file: entry.file,
+      pointer: reference.pointer,
+      line: null,
+      column: null
+    }, locate(entry.file, reference.pointer), { message }));
+  };
+
+  const sources = options.sources ? new Set(options.sources) : null;
+
+  for (const entry of index.entries) {
+    if (sources && !sources.has(entry.file)) {
+      continue;
+    }
+    for (const reference of collectReferences(entry.content)) {
+      if (reference.kind === 'file') {
+        const baseDir = options.domainDir || path.dirname(path.dirname(entry.file));
+        const targetPath = path.resolve(baseDir, reference.ref.split('#')[0]);
+        if (fs.existsSync(targetPath)) {
+          resolved.push({ source: entry, reference, target: { file: targetPath } });
+        } else {
+          report(entry, reference, 'reference/dangling', `Reference "${reference.ref}" points to a missing file`);
+        }
+        continue;
+      }
+
+      if (options.domain && reference.domain !== options.domain) {
+        external.push({ source: entry, reference });
+        continue;
+      }
+
+      const result = resolveReference(index, reference, options);
+      const label = describeReference(reference);
+      if (result.status === 'resolved') {
+        resolved.push({ source: entry, reference, target: result.target });
+      } else if (result.status === 'ambiguous') {
+        const files = result.candidates.map(candidate => candidate.file).join(', ');
+        report(entry, reference, 'reference/ambiguous', `Reference ${label} is ambiguous: ${result.reason} (${files})`);
+      } else if (result.status === 'inconsistent') {
+        report(entry, reference, 'reference/inconsistent', `Reference ${label} is inconsistent: ${result.reason}`);
+      } else {
+        report(entry, reference, 'reference/dangling', `Reference ${label} cannot be resolved: ${result.reason}`);
+      }
+    }
+  }
+
+  return { resolved, external, diagnostics };
+}
+
+module.exports = {
+  COMPONENT_TYPES,
+  typeForFlow,
+  loadComponents,
+  indexComponents,
+  collectReferences,
+  resolveReference,
+  resolveAll,
+  describeReference
+};
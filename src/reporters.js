@@ -0,0 +1,171 @@
+const path = require('path');
+
+// Machine-readable validation report formats.
+// A report has the shape:
+//   {
+//     tool: { name, version },
+//     summary: { passed, failed, total, errors, warnings },
+//     stages: [{ name, status, message, durationMs, diagnostics }],
+//     diagnostics: [{ stage, rule, severity, file, pointer, line, column, endLine, endColumn, message }]
+//   }
+
+const FORMATS = ['text', 'json', 'junit', 'sarif'];
+
+// Strip ANSI color codes from a message
+function stripColors(text) {
+  return String(text).replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+function escapeXml(text) {
+  return stripColors(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Convert a file path into a forward-slash path relative to the working directory
+function toRelativeUri(file) {
+  if (!file) {
+    return null;
+  }
+  const relative = path.isAbsolute(file) ? path.relative(process.cwd(), file) : file;
+  return relative.split(path.sep).join('/');
+}
+
+function formatLocation(diagnostic) {
+  if (!diagnostic.file) {
+    return '';
+  }
+  let location = toRelativeUri(diagnostic.file);
+  if (diagnostic.line) {
+    location += `:${diagnostic.line}`;
+    if (diagnostic.column) {
+      location += `:${diagnostic.column}`;
+    }
+  }
+  return location;
+}
+
+function formatJson(report) {
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+// JUnit XML: one test case per validation stage, diagnostics listed in the failure body
+function formatJunit(report) {
+  const lines = [];
+  const seconds = ms => ((ms || 0) / 1000).toFixed(3);
+  const totalTime = report.stages.reduce((sum, stage) => sum + (stage.durationMs || 0), 0);
+
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push(`<testsuites name="${escapeXml(report.tool.name)}" tests="${report.summary.total}" failures="${report.summary.failed}" time="${seconds(totalTime)}">`);
+  lines.push(`  <testsuite name="${escapeXml(report.tool.name)} validation" tests="${report.summary.total}" failures="${report.summary.failed}" errors="0" skipped="0" time="${seconds(totalTime)}">`);
+
+  for (const stage of report.stages) {
+    const open = `    <testcase classname="validate" name="${escapeXml(stage.name)}" time="${seconds(stage.durationMs)}"`;
+    const warnings = stage.diagnostics.filter(diagnostic => diagnostic.severity !== 'error');
+
+    if (stage.status === 'passed' && warnings.length === 0) {
+      lines.push(`${open}/>`);
+      continue;
+    }
+
+    lines.push(`${open}>`);
+    const describe = diagnostic => {
+      const location = formatLocation(diagnostic);
+      const pointer = diagnostic.pointer ? ` ${diagnostic.pointer}` : '';
+      return `[${diagnostic.severity}] ${diagnostic.rule}${location ? ` ${location}` : ''}${pointer}: ${diagnostic.message}`;
+    };
+
+    if (stage.status === 'failed') {
+      const errors = stage.diagnostics.filter(diagnostic => diagnostic.severity === 'error');
+      lines.push(`      <failure message="${escapeXml(stage.message || 'Validation failed')}" type="ValidationError">${escapeXml(errors.map(describe).join('\n'))}</failure>`);
+    }
+    if (warnings.length > 0) {
+      lines.push(`      <system-out>${escapeXml(warnings.map(describe).join('\n'))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+// SARIF 2.1.0, suitable for GitHub code scanning and PR annotations
+function formatSarif(report) {
+  const ruleIds = [...new Set(report.diagnostics.map(diagnostic => diagnostic.rule))].sort();
+  const levels = { error: 'error', warning: 'warning', info: 'note' };
+
+  const results = report.diagnostics.map(diagnostic => {
+    const result = {
+      ruleId: diagnostic.rule,
+      ruleIndex: ruleIds.indexOf(diagnostic.rule),
+      level: levels[diagnostic.severity] || 'error',
+      message: { text: stripColors(diagnostic.message) }
+    };
+
+    if (diagnostic.file) {
+      const physicalLocation = { artifactLocation: { uri: toRelativeUri(diagnostic.file) } };
+      if (diagnostic.line) {
+        physicalLocation.region = { startLine: diagnostic.line };
+        if (diagnostic.column) {
+          physicalLocation.region.startColumn = diagnostic.column;
+        }
+        if (diagnostic.endLine) {
+          physicalLocation.region.endLine = diagnostic.endLine;
+          if (diagnostic.endColumn) {
+            physicalLocation.region.endColumn = diagnostic.endColumn;
+          }
+        }
+      }
+      const location = { physicalLocation };
+      if (diagnostic.pointer) {
+        location.logicalLocations = [{ fullyQualifiedName: diagnostic.pointer, kind: 'element' }];
+      }
+      result.locations = [location];
+    }
+
+    return result;
+  });
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: report.tool.name,
+            version: report.tool.version,
+            rules: ruleIds.map(id => ({ id, shortDescription: { text: id } }))
+          }
+        },
+        results
+      }
+    ]
+  };
+
+  return JSON.stringify(sarif, null, 2) + '\n';
+}
+
+// Render a report in the requested format
+function formatReport(report, format) {
+  switch (format) {
+    case 'json': return formatJson(report);
+    case 'junit': return formatJunit(report);
+    case 'sarif': return formatSarif(report);
+    default:
+      throw new Error(`Unknown report format "${format}" (expected one of: ${FORMATS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  FORMATS,
+  stripColors,
+  formatJson,
+  formatJunit,
+  formatSarif,
+  formatReport
+};
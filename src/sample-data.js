@@ -0,0 +1,466 @@
+// Example instances for the JSON schemas in Schemas/*.json (attributes.schema).
+// Valid samples honor type, required, enum/const/oneOf choices, formats, patterns (literals,
+// classes, groups, alternation and quantifiers; lookarounds and backreferences are not
+// supported), numeric bounds, array sizes and additionalProperties: false. Invalid variants break exactly one
+// rule each, for negative tests. Generation is seeded, so the same seed gives the same data.
+
+// Start of the generated date-time range; later date-time properties get later values,
+// so start/end pairs are ordered
+const BASE_DATE = Date.UTC(2025, 0, 6, 9, 0, 0);
+const HOUR = 60 * 60 * 1000;
+
+const WRONG_TYPE_VALUES = {
+  string: 42,
+  integer: 'not-a-number',
+  number: 'not-a-number',
+  boolean: 'yes',
+  object: 'not-an-object',
+  array: 'not-an-array'
+};
+
+// Replacement for strings that must not match the pattern of their schema
+const INVALID_STRING = '!!! invalid !!!';
+
+// Helper function to create a seeded random number generator returning values in [0, 1)
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Helper function to get the type of a schema node
+function typeOf(schema) {
+  if (Array.isArray(schema.type)) {
+    return schema.type.find(type => type !== 'null') || 'null';
+  }
+  if (schema.type) {
+    return schema.type;
+  }
+  if (schema.properties) {
+    return 'object';
+  }
+  if (schema.items) {
+    return 'array';
+  }
+  return null;
+}
+
+// Allowed values of a schema node from enum, const or a oneOf/anyOf list of consts, null when free
+function choicesOf(schema) {
+  if (Array.isArray(schema.enum)) {
+    return schema.enum;
+  }
+  if (Object.prototype.hasOwnProperty.call(schema, 'const')) {
+    return [schema.const];
+  }
+  for (const keyword of ['oneOf', 'anyOf']) {
+    const options = schema[keyword];
+    if (Array.isArray(options) && options.length > 0 && options.every(option => option && Object.prototype.hasOwnProperty.call(option, 'const'))) {
+      return options.map(option => option.const);
+    }
+  }
+  return null;
+}
+
+// Helper function to collect example strings from examples, default and quoted "e.g." values in the description
+function exampleStrings(schema) {
+  const examples = [];
+  if (Array.isArray(schema.examples)) {
+    examples.push(...schema.examples);
+  }
+  if (schema.default !== undefined) {
+    examples.push(schema.default);
+  }
+  const description = schema.description || '';
+  for (const match of description.matchAll(/'([^']+)'/g)) {
+    examples.push(match[1]);
+  }
+  return examples.filter(example => typeof example === 'string');
+}
+
+// Printable ASCII characters, the candidates for negated classes and "."
+const PRINTABLE = Array.from({ length: 94 }, (item, index) => String.fromCharCode(33 + index));
+
+const CLASS_ESCAPES = {
+  d: '0123456789'.split(''),
+  w: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_'.split(''),
+  s: [' ']
+};
+
+// Helper function to read an escape sequence at source[index] (after the backslash).
+// Returns { chars, next } where chars are the characters the escape matches.
+function readEscape(source, index) {
+  const char = source[index];
+  if (CLASS_ESCAPES[char]) {
+    return { chars: CLASS_ESCAPES[char], next: index + 1 };
+  }
+  if (CLASS_ESCAPES[char.toLowerCase()]) {
+    const excluded = CLASS_ESCAPES[char.toLowerCase()];
+    return { chars: PRINTABLE.filter(item => !excluded.includes(item)), next: index + 1 };
+  }
+  if (char === 'u' && /^[0-9a-fA-F]{4}$/.test(source.slice(index + 1, index + 5))) {
+    return { chars: [String.fromCharCode(parseInt(source.slice(index + 1, index + 5), 16))], next: index + 5 };
+  }
+  const controls = { t: '\t', n: '\n', r: '\r' };
+  return { chars: [controls[char] || char], next: index + 1 };
+}
+
+// Helper function to read a character class at source[index] (after the "[")
+function readClass(source, index) {
+  let negated = false;
+  if (source[index] === '^') {
+    negated = true;
+    index++;
+  }
+  const chars = [];
+  while (index < source.length && source[index] !== ']') {
+    let first;
+    if (source[index] === '\\') {
+      const escape = readEscape(source, index + 1);
+      index = escape.next;
+      if (escape.chars.length > 1) {
+        chars.push(...escape.chars);
+        continue;
+      }
+      first = escape.chars[0];
+    } else {
+      first = source[index++];
+    }
+    if (source[index] === '-' && source[index + 1] !== ']' && index + 1 < source.length) {
+      const last = source[index + 1] === '\\' ? readEscape(source, index + 2) : { chars: [source[index + 1]], next: index + 2 };
+      for (let code = first.charCodeAt(0); code <= last.chars[0].charCodeAt(0); code++) {
+        chars.push(String.fromCharCode(code));
+      }
+      index = last.next;
+    } else {
+      chars.push(first);
+    }
+  }
+  return { chars: negated ? PRINTABLE.filter(char => !chars.includes(char)) : chars, next: index + 1 };
+}
+
+// Parse a regular expression into alternatives of items ({ chars } or { alternatives })
+// with { min, max } repetitions. Returns { alternatives, next }.
+function parsePattern(source, index = 0) {
+  const alternatives = [[]];
+  while (index < source.length && source[index] !== ')') {
+    const char = source[index];
+    let item = null;
+    if (char === '|') {
+      alternatives.push([]);
+      index++;
+      continue;
+    } else if (char === '^' || char === '$') {
+      index++;
+      continue;
+    } else if (char === '(') {
+      const lookaround = /^\?[=!<]/.test(source.slice(index + 1, index + 3));
+      const start = source.startsWith('?:', index + 1) ? index + 3 : (source[index + 1] === '?' ? source.indexOf('>', index) + 1 || index + 3 : index + 1);
+      const group = parsePattern(source, start);
+      index = group.next + 1;
+      item = lookaround ? null : { alternatives: group.alternatives };
+    } else if (char === '[') {
+      const charClass = readClass(source, index + 1);
+      index = charClass.next;
+      item = { chars: charClass.chars };
+    } else if (char === '\\') {
+      const escape = readEscape(source, index + 1);
+      index = escape.next;
+      item = { chars: escape.chars };
+    } else if (char === '.') {
+      index++;
+      item = { chars: CLASS_ESCAPES.w };
+    } else {
+      index++;
+      item = { chars: [char] };
+    }
+
+    // Quantifiers: ?, *, +, {n}, {n,}, {n,m}, optionally lazy
+    const quantifier = source.slice(index).match(/^(?:([?*+])|\{(\d+)(?:(,)(\d*))?\})\??/);
+    let min = 1;
+    let max = 1;
+    if (quantifier) {
+      index += quantifier[0].length;
+      if (quantifier[1]) {
+        min = quantifier[1] === '+' ? 1 : 0;
+        max = quantifier[1] === '?' ? 1 : min + 2;
+      } else {
+        min = parseInt(quantifier[2], 10);
+        max = quantifier[3] ? (quantifier[4] ? parseInt(quantifier[4], 10) : min + 2) : min;
+      }
+    }
+    if (item) {
+      alternatives[alternatives.length - 1].push(Object.assign(item, { min, max }));
+    }
+  }
+  return { alternatives, next: index };
+}
+
+// Helper function to generate a string for parsed pattern alternatives
+function renderPattern(alternatives, random) {
+  const items = alternatives[0];
+  let text = '';
+  for (const item of items) {
+    const count = Math.max(item.min, item.min === 0 && item.max > 0 ? 1 : 0);
+    for (let i = 0; i < count; i++) {
+      text += item.alternatives
+        ? renderPattern(item.alternatives, random)
+        : item.chars[Math.floor(random() * item.chars.length)] || '';
+    }
+  }
+  return text;
+}
+
+// Generate a string matching a pattern, null when the pattern uses unsupported syntax
+function patternString(pattern, random) {
+  try {
+    const text = renderPattern(parsePattern(pattern).alternatives, random);
+    return new RegExp(pattern, 'u').test(text) ? text : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Generate a string for a schema node; name is the property name, used for realistic values
+function sampleString(schema, name, context) {
+  if (schema.format === 'date-time') {
+    return new Date(BASE_DATE + (context.dates++) * HOUR).toISOString();
+  }
+  if (schema.format === 'date') {
+    return new Date(BASE_DATE + (context.dates++) * 24 * HOUR).toISOString().slice(0, 10);
+  }
+  if (schema.format === 'email') {
+    return `${name || 'user'}@example.com`;
+  }
+  if (schema.format === 'uri' || schema.format === 'url') {
+    return `https://example.com/${name || 'resource'}`;
+  }
+  if (schema.format === 'uuid') {
+    const hex = Array.from({ length: 32 }, () => Math.floor(context.random() * 16).toString(16)).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+  }
+
+  const pattern = schema.pattern ? new RegExp(schema.pattern, 'u') : null;
+  const examples = exampleStrings(schema).filter(example => !pattern || pattern.test(example));
+  if (examples.length > 0) {
+    return examples[0];
+  }
+
+  if (pattern) {
+    const generated = patternString(schema.pattern, context.random);
+    if (generated !== null) {
+      return generated;
+    }
+  }
+
+  // References to components of this domain are described as "format: touch:portfolio-manager:key"
+  const reference = (schema.description || '').match(/format: ([\w-]+):([\w-]+):(?:key|id)/);
+  const suffix = String(1 + Math.floor(context.random() * 999)).padStart(3, '0');
+  if (reference && reference[1] !== 'domain') {
+    return `${reference[1]}:${reference[2]}:${name || 'item'}-${suffix}`;
+  }
+  let value = `${name || 'value'}-${suffix}`;
+  if (schema.minLength && value.length < schema.minLength) {
+    value = value.padEnd(schema.minLength, 'x');
+  }
+  if (schema.maxLength && value.length > schema.maxLength) {
+    value = value.slice(0, schema.maxLength);
+  }
+  return value;
+}
+
+// Generate a number for a schema node: the lowest value allowed by minimum and multipleOf
+// (0 without a lower bound), lowered to the maximum when it is above it
+function sampleNumber(schema, integer) {
+  if (typeof schema.default === 'number') {
+    return schema.default;
+  }
+  const step = schema.multipleOf || 1;
+  let value = schema.minimum !== undefined ? schema.minimum : (schema.exclusiveMinimum !== undefined ? schema.exclusiveMinimum + step : 0);
+  value = Math.ceil(value / step) * step;
+  if (integer) {
+    value = Math.ceil(value);
+  }
+  const maximum = schema.maximum !== undefined ? schema.maximum : (schema.exclusiveMaximum !== undefined ? schema.exclusiveMaximum - step : undefined);
+  if (maximum !== undefined && value > maximum) {
+    value = Math.floor(maximum / step) * step;
+    if (integer) {
+      value = Math.floor(value);
+    }
+  }
+  return value;
+}
+
+// Generate a valid value for a schema node
+function sampleValue(schema, name, context) {
+  if (!schema || typeof schema !== 'object') {
+    return null;
+  }
+  const choices = choicesOf(schema);
+  if (choices) {
+    return choices[Math.floor(context.random() * choices.length)];
+  }
+  if (Array.isArray(schema.allOf)) {
+    return sampleValue(Object.assign({}, ...schema.allOf, schema, { allOf: undefined }), name, context);
+  }
+  if (!schema.type && (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf))) {
+    return sampleValue((schema.oneOf || schema.anyOf)[0], name, context);
+  }
+
+  switch (typeOf(schema)) {
+    case 'object':
+      return sampleObject(schema, context);
+    case 'array': {
+      const count = Math.max(schema.minItems || 0, context.minimal ? 0 : 1);
+      const items = [];
+      for (let i = 0; i < count; i++) {
+        let item = sampleValue(schema.items || {}, name, context);
+        // Keep unique arrays unique by stepping numbers and suffixing strings
+        if (schema.uniqueItems && items.some(existing => JSON.stringify(existing) === JSON.stringify(item))) {
+          item = typeof item === 'number' ? items[items.length - 1] + ((schema.items && schema.items.multipleOf) || 1) : `${item}-${i}`;
+        }
+        items.push(item);
+      }
+      return items;
+    }
+    case 'string':
+      return sampleString(schema, name, context);
+    case 'integer':
+      return sampleNumber(schema, true);
+    case 'number':
+      return sampleNumber(schema, false);
+    case 'boolean':
+      return schema.default !== undefined ? schema.default : true;
+    case 'null':
+      return null;
+    default:
+      return sampleString(schema, name, context);
+  }
+}
+
+// Generate an object: required properties always, optional ones unless context.minimal
+function sampleObject(schema, context) {
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const result = {};
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (required.includes(name) || !context.minimal) {
+      result[name] = sampleValue(property, name, context);
+    }
+  }
+  return result;
+}
+
+// Generate a valid instance of a JSON schema.
+// Options: seed (default 1), minimal (only required properties)
+function generateSample(schema, options = {}) {
+  const context = { random: createRandom(options.seed || 1), minimal: Boolean(options.minimal), dates: 0 };
+  return sampleValue(schema, null, context);
+}
+
+// Helper function to set a value at a JSON pointer inside a copy of data
+function withValue(data, pointer, update) {
+  const copy = JSON.parse(JSON.stringify(data));
+  const parts = pointer.split('/').slice(1);
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => node[part], copy);
+  update(parent, last);
+  return copy;
+}
+
+// Generate invalid variants of a valid sample, each breaking one rule of the schema.
+// Returns [{ rule, pointer, description, data }].
+function generateInvalidSamples(schema, options = {}) {
+  const valid = generateSample(schema, options);
+  const variants = [];
+  const add = (rule, pointer, description, update) => {
+    variants.push({ rule, pointer, description, data: withValue({ root: valid }, `/root${pointer}`, update).root });
+  };
+
+  const visit = (node, value, pointer) => {
+    if (!node || typeof node !== 'object' || value === undefined) {
+      return;
+    }
+    const type = typeOf(node);
+    const choices = choicesOf(node);
+
+    if (pointer !== '' && type && WRONG_TYPE_VALUES[type] !== undefined) {
+      add('type', pointer, `${pointer} is not of type ${type}`, (parent, key) => {
+        parent[key] = WRONG_TYPE_VALUES[type];
+      });
+    }
+    if (choices && pointer !== '') {
+      add('enum', pointer, `${pointer} is not one of the allowed values`, (parent, key) => {
+        parent[key] = '__not-allowed__';
+      });
+      return;
+    }
+
+    if (type === 'object' && value && typeof value === 'object') {
+      const required = Array.isArray(node.required) ? node.required : [];
+      for (const name of required) {
+        add('required', `${pointer}/${name}`, `required property ${pointer}/${name} is missing`, (parent, key) => {
+          delete parent[key];
+        });
+      }
+      if (node.additionalProperties === false) {
+        add('additionalProperties', `${pointer}/unexpectedProperty`, `${pointer || 'root'} has a property the schema does not allow`, (parent, key) => {
+          parent[key] = 'unexpected';
+        });
+      }
+      for (const [name, property] of Object.entries(node.properties || {})) {
+        visit(property, value[name], `${pointer}/${name}`);
+      }
+    } else if (type === 'array' && Array.isArray(value)) {
+      if (node.minItems) {
+        add('minItems', pointer, `${pointer} has fewer than ${node.minItems} item(s)`, (parent, key) => {
+          parent[key] = [];
+        });
+      }
+      if (node.uniqueItems && value.length > 0) {
+        add('uniqueItems', pointer, `${pointer} has duplicate items`, (parent, key) => {
+          parent[key] = value.concat([value[0]]);
+        });
+      }
+      if (value.length > 0) {
+        visit(node.items, value[0], `${pointer}/0`);
+      }
+    } else if (type === 'string') {
+      if (node.format === 'date-time' || node.format === 'date') {
+        add('format', pointer, `${pointer} is not a valid ${node.format}`, (parent, key) => {
+          parent[key] = 'not-a-date';
+        });
+      }
+      // Skipped for patterns that accept the replacement too, such as ^.*$
+      if (node.pattern && !new RegExp(node.pattern, 'u').test(INVALID_STRING)) {
+        add('pattern', pointer, `${pointer} does not match ${node.pattern}`, (parent, key) => {
+          parent[key] = INVALID_STRING;
+        });
+      }
+    } else if (type === 'integer' || type === 'number') {
+      if (node.minimum !== undefined) {
+        add('minimum', pointer, `${pointer} is below the minimum of ${node.minimum}`, (parent, key) => {
+          parent[key] = node.minimum - (node.multipleOf || 1);
+        });
+      }
+      if (node.multipleOf && node.multipleOf !== 1) {
+        add('multipleOf', pointer, `${pointer} is not a multiple of ${node.multipleOf}`, (parent, key) => {
+          // Half a step is never a multiple, rounded up for integers (1 for multipleOf 2, 2 for 3)
+          parent[key] = value + (type === 'integer' ? Math.ceil(node.multipleOf / 2) : node.multipleOf / 2);
+        });
+      }
+    }
+  };
+
+  visit(schema, valid, '');
+  return variants;
+}
+
+module.exports = {
+  generateSample,
+  generateInvalidSamples
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const { createSimulation } = require('./simulator');
+
+// Declarative workflow scenarios, run by npm test through the simulator:
+//   tests/<workflow>.scenario.json
+//   {
+//     "workflow": "rezervation",
+//     "version": "^1.0.0",                                   (optional, default: latest)
+//     "scenarios": [{
+//       "name": "User cancels an active reservation",
+//       "data": {},                                          (optional initial instance data)
+//       "steps": [
+//         { "transition": "confirm-selection", "state": "confirmation" },
+//         { "transition": "new-reservation", "workflow": "rezervation", "state": "appointment-form", "data": {} }
+//       ],
+//       "final": { "state": "user-cancelled", "status": "finished" }
+//     }]
+//   }
+// "state" is the state of the innermost workflow, so steps inside a subflow name its states.
+// "workflow" and "status" ("running" or "finished") are optional expectations.
+
+const SCENARIO_DIRECTORY = 'tests';
+const SCENARIO_SUFFIX = '.scenario.json';
+
+// List the scenario files of a project
+function listScenarioFiles(root) {
+  const dirPath = path.join(root, SCENARIO_DIRECTORY);
+  if (!fs.existsSync(dirPath)) {
+    return [];
+  }
+  return fs.readdirSync(dirPath)
+    .filter(name => name.endsWith(SCENARIO_SUFFIX))
+    .sort()
+    .map(name => path.join(dirPath, name));
+}
+
+// Read and check the shape of a scenario file
+function loadScenarioFile(file) {
+  const definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const name = path.basename(file);
+  if (!definition || typeof definition.workflow !== 'string') {
+    throw new Error(`${name}: "workflow" must name the workflow under test`);
+  }
+  if (!Array.isArray(definition.scenarios) || definition.scenarios.length === 0) {
+    throw new Error(`${name}: "scenarios" must list at least one scenario`);
+  }
+  definition.scenarios.forEach((scenario, index) => {
+    if (!scenario || typeof scenario.name !== 'string' || !Array.isArray(scenario.steps)) {
+      throw new Error(`${name}: scenario ${index} needs a "name" and a "steps" list`);
+    }
+    scenario.steps.forEach((step, stepIndex) => {
+      if (!step || typeof step.transition !== 'string') {
+        throw new Error(`${name}: step ${stepIndex} of "${scenario.name}" needs a "transition"`);
+      }
+    });
+  });
+  return definition;
+}
+
+// Helper function to compare a simulator snapshot with an expectation, returns a message or null
+function checkExpectation(snapshot, expected) {
+  const problems = [];
+  for (const field of ['state', 'workflow', 'status']) {
+    if (expected[field] !== undefined && expected[field] !== snapshot[field]) {
+      problems.push(`expected ${field} "${expected[field]}" but was "${snapshot[field]}"`);
+    }
+  }
+  return problems.length > 0 ? problems.join(', ') : null;
+}
+
+// Run one scenario of a scenario file with an index.js loader.
+// Returns { name, passed, failures } and stops at the first failing step.
+function runScenario(loader, definition, scenario) {
+  const failures = [];
+  const simulation = createSimulation(loader, definition.workflow, { version: definition.version });
+  try {
+    simulation.start(scenario.data || {});
+    for (const [index, step] of scenario.steps.entries()) {
+      const snapshot = simulation.fire(step.transition, step.data || {});
+      const problem = checkExpectation(snapshot, step);
+      if (problem) {
+        failures.push(`step ${index + 1} (${step.transition}): ${problem}`);
+        break;
+      }
+    }
+    if (failures.length === 0 && scenario.final) {
+      const problem = checkExpectation(simulation.getState(), scenario.final);
+      if (problem) {
+        failures.push(`final: ${problem}`);
+      }
+    }
+  } catch (error) {
+    failures.push(error.message);
+  }
+  return { name: scenario.name, passed: failures.length === 0, failures };
+}
+
+module.exports = {
+  SCENARIO_DIRECTORY,
+  SCENARIO_SUFFIX,
+  listScenarioFiles,
+  loadScenarioFile,
+  runScenario
+};
@@ -0,0 +1,188 @@
+// Minimal semantic versioning helpers for component versions and reference ranges.
+// Supports exact versions, x-ranges (1.x, 1.0.*), caret (^1.0.0), tilde (~1.0.0),
+// comparators (>=1.0.0 <2.0.0) and alternatives joined with ||.
+
+const SEMVER_REGEX = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/;
+
+// Parse a version string into its numeric parts (returns null when invalid)
+function parse(version) {
+  if (typeof version !== 'string') {
+    return null;
+  }
+  const match = version.trim().match(SEMVER_REGEX);
+  if (!match) {
+    return null;
+  }
+  return {
+    major: parseInt(match[1], 10),
+    minor: parseInt(match[2], 10),
+    patch: parseInt(match[3], 10),
+    prerelease: match[4] ? match[4].split('.') : []
+  };
+}
+
+function isValid(version) {
+  return parse(version) !== null;
+}
+
+// Compare two versions, returns -1, 0 or 1
+function compare(a, b) {
+  const left = typeof a === 'string' ? parse(a) : a;
+  const right = typeof b === 'string' ? parse(b) : b;
+  if (!left || !right) {
+    throw new Error(`Cannot compare invalid versions: ${a}, ${b}`);
+  }
+
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) {
+      return left[part] < right[part] ? -1 : 1;
+    }
+  }
+
+  // A version without prerelease has higher precedence
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    if (left.prerelease.length === right.prerelease.length) return 0;
+    return left.prerelease.length === 0 ? 1 : -1;
+  }
+
+  const length = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    const l = left.prerelease[i];
+    const r = right.prerelease[i];
+    if (l === undefined) return -1;
+    if (r === undefined) return 1;
+    if (l === r) continue;
+    const lNum = /^\d+$/.test(l);
+    const rNum = /^\d+$/.test(r);
+    if (lNum && rNum) return parseInt(l, 10) < parseInt(r, 10) ? -1 : 1;
+    if (lNum) return -1;
+    if (rNum) return 1;
+    return l < r ? -1 : 1;
+  }
+  return 0;
+}
+
+// Expand a partial version (e.g. "1", "1.x", "1.2.*") into comparators
+function expandPartial(operator, partial) {
+  const parts = partial.split('.');
+  const isWild = part => part === undefined || part === 'x' || part === 'X' || part === '*';
+  const major = parts[0];
+  const minor = parts[1];
+  const patch = parts[2];
+
+  if (isWild(major)) {
+    return [];
+  }
+  const maj = parseInt(major, 10);
+
+  if (isWild(minor)) {
+    if (operator === '<') return [['<', `${maj}.0.0`]];
+    if (operator === '>') return [['>=', `${maj + 1}.0.0`]];
+    if (operator === '<=') return [['<', `${maj + 1}.0.0`]];
+    if (operator === '>=') return [['>=', `${maj}.0.0`]];
+    return [['>=', `${maj}.0.0`], ['<', `${maj + 1}.0.0`]];
+  }
+  const min = parseInt(minor, 10);
+
+  if (isWild(patch)) {
+    if (operator === '<') return [['<', `${maj}.${min}.0`]];
+    if (operator === '>') return [['>=', `${maj}.${min + 1}.0`]];
+    if (operator === '<=') return [['<', `${maj}.${min + 1}.0`]];
+    if (operator === '>=') return [['>=', `${maj}.${min}.0`]];
+    return [['>=', `${maj}.${min}.0`], ['<', `${maj}.${min + 1}.0`]];
+  }
+
+  return [[operator || '=', partial]];
+}
+
+// Convert a single range token into a list of [operator, version] comparators
+function parseComparator(token) {
+  if (token === '*' || token === 'x' || token === 'X' || token === '') {
+    return [];
+  }
+
+  if (token.startsWith('^')) {
+    const version = parse(token.slice(1));
+    if (!version) return expandPartial('', token.slice(1));
+    let upper;
+    if (version.major > 0) {
+      upper = `${version.major + 1}.0.0`;
+    } else if (version.minor > 0) {
+      upper = `0.${version.minor + 1}.0`;
+    } else {
+      upper = `0.0.${version.patch + 1}`;
+    }
+    return [['>=', token.slice(1)], ['<', upper]];
+  }
+
+  if (token.startsWith('~')) {
+    const version = parse(token.slice(1));
+    if (!version) return expandPartial('', token.slice(1));
+    return [['>=', token.slice(1)], ['<', `${version.major}.${version.minor + 1}.0`]];
+  }
+
+  const match = token.match(/^(>=|<=|>|<|=)?(.+)$/);
+  const operator = match[1] || '';
+  const version = match[2];
+  if (parse(version)) {
+    return [[operator || '=', version]];
+  }
+  return expandPartial(operator, version);
+}
+
+function testComparator(version, [operator, target]) {
+  const result = compare(version, target);
+  switch (operator) {
+    case '>': return result > 0;
+    case '>=': return result >= 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    default: return result === 0;
+  }
+}
+
+// Check whether a version satisfies a range expression
+function satisfies(version, range) {
+  if (!isValid(version)) {
+    return false;
+  }
+  if (range === undefined || range === null || String(range).trim() === '') {
+    return true;
+  }
+
+  return String(range).split('||').some(alternative => {
+    const tokens = alternative.trim()
+      .replace(/(>=|<=|>|<|=)\s+/g, '$1')
+      .split(/\s+/)
+      .filter(token => token.length > 0);
+    try {
+      return tokens.every(token => parseComparator(token).every(comparator => testComparator(version, comparator)));
+    } catch (error) {
+      return false;
+    }
+  });
+}
+
+// Return true when the string is a range rather than an exact version
+function isRange(range) {
+  return typeof range === 'string' && !isValid(range);
+}
+
+// Pick the highest version that satisfies the range
+function maxSatisfying(versions, range) {
+  const matching = versions.filter(version => satisfies(version, range));
+  if (matching.length === 0) {
+    return null;
+  }
+  return matching.sort(compare)[matching.length - 1];
+}
+
+module.exports = {
+  SEMVER_REGEX,
+  parse,
+  isValid,
+  compare,
+  satisfies,
+  isRange,
+  maxSatisfying
+};
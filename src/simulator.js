@@ -0,0 +1,195 @@
+// In-memory interpreter for workflow state machines, used to try flows without a vNext runtime.
+// A simulation starts a workflow through attributes.startTransition and fires transitions by
+// key. Entering a subflow state (stateType 4 with subFlow.type "S") starts that workflow and
+// further transitions go to it until it reaches a finish state; the parent then fires the
+// automatic transition of its subflow state when there is exactly one. Subprocesses
+// (subFlow.type "P") are only recorded, the parent continues right away.
+// Rules, mappings and timers are not evaluated: automatic, scheduled and event transitions
+// can be fired by key like manual ones.
+
+const workflowGraph = require('./workflow-graph');
+const { TRIGGER_TYPE_NAMES } = require('./diagram');
+
+// State type of subflow states (vNext runtime)
+const SUBFLOW_STATE_TYPE = 4;
+const AUTOMATIC_TRIGGER_TYPE = 1;
+
+// Helper function to find a state of a workflow by key
+function findState(workflow, key) {
+  const states = (workflow.attributes && workflow.attributes.states) || [];
+  return states.find(state => state && state.key === key) || null;
+}
+
+// Transitions that can be fired in a state: its own and the shared ones available in it
+function transitionsOf(workflow, state) {
+  const own = Array.isArray(state.transitions) ? state.transitions : [];
+  const shared = ((workflow.attributes && workflow.attributes.sharedTransitions) || []).filter(transition =>
+    Array.isArray(transition.availableIn) && transition.availableIn.length > 0
+      ? transition.availableIn.includes(state.key)
+      : !workflowGraph.isFinishState(state));
+  return own.concat(shared);
+}
+
+// Create a simulation of a workflow loaded through an index.js loader (see createDomainLoader).
+// Options: version (version or range of the workflow, default: latest).
+function createSimulation(loader, workflowKey, options = {}) {
+  const stack = [];
+  const history = [];
+  let status = 'idle';
+
+  // Load a workflow by key and version range
+  const loadWorkflow = (key, version) => {
+    const component = loader.getComponent('workflows', key, version);
+    if (!component) {
+      throw new Error(`Workflow "${key}"${version ? ` (${version})` : ''} not found`);
+    }
+    return component.content;
+  };
+
+  const current = () => stack[stack.length - 1];
+
+  const snapshot = () => {
+    const frame = current();
+    return {
+      status,
+      workflow: frame ? frame.workflow.key : workflowKey,
+      state: frame ? frame.state : null,
+      stack: stack.map(item => ({ workflow: item.workflow.key, version: item.workflow.version, state: item.state })),
+      data: frame ? Object.assign({}, frame.data) : {},
+      history: history.slice()
+    };
+  };
+
+  // Move the innermost workflow into a state, entering subflows and completing finished ones
+  const enter = (target, transition) => {
+    const frame = current();
+    const state = findState(frame.workflow, target);
+    if (!state) {
+      throw new Error(`Transition "${transition.key}" of ${frame.workflow.key} targets unknown state "${target}"`);
+    }
+    history.push({ type: 'transition', workflow: frame.workflow.key, from: frame.state, transition: transition.key, to: target });
+    frame.state = target;
+
+    if (state.stateType === SUBFLOW_STATE_TYPE && state.subFlow && state.subFlow.process) {
+      const process = state.subFlow.process;
+      if (state.subFlow.type === 'P') {
+        history.push({ type: 'subprocess-started', workflow: process.key, parent: frame.workflow.key, state: target });
+        return;
+      }
+      if (process.domain && frame.workflow.domain && process.domain !== frame.workflow.domain) {
+        throw new Error(`Subflow ${process.domain}:${process.key} of state "${target}" belongs to another domain and cannot be simulated`);
+      }
+      startWorkflow(loadWorkflow(process.key, process.version), frame.data);
+      return;
+    }
+
+    if (!workflowGraph.isFinishState(state)) {
+      return;
+    }
+    if (stack.length === 1) {
+      status = 'finished';
+      history.push({ type: 'finished', workflow: frame.workflow.key, state: target });
+      return;
+    }
+
+    // A finished subflow hands control back to its parent
+    stack.pop();
+    const parent = current();
+    history.push({ type: 'subflow-completed', workflow: frame.workflow.key, parent: parent.workflow.key, state: target });
+    const parentState = findState(parent.workflow, parent.state);
+    const automatic = transitionsOf(parent.workflow, parentState).filter(item => item.triggerType === AUTOMATIC_TRIGGER_TYPE);
+    if (automatic.length === 1) {
+      enter(automatic[0].target, automatic[0]);
+    }
+  };
+
+  // Save and restore the stack, history and status, so a failing transition or start
+  // (unknown target, subflow that cannot be loaded) leaves the simulation where it was
+  const checkpoint = () => ({
+    frames: stack.map(frame => Object.assign({}, frame, { data: Object.assign({}, frame.data) })),
+    historyLength: history.length,
+    status
+  });
+  const restore = (saved) => {
+    stack.splice(0, stack.length, ...saved.frames);
+    history.length = saved.historyLength;
+    status = saved.status;
+  };
+
+  // Run a change to the simulation, rolling it back when it throws
+  const atomically = (change) => {
+    const saved = checkpoint();
+    try {
+      change();
+    } catch (error) {
+      restore(saved);
+      throw error;
+    }
+  };
+
+  // Push a workflow and run its start transition
+  const startWorkflow = (workflow, data) => {
+    const startTransition = workflow.attributes && workflow.attributes.startTransition;
+    if (!startTransition) {
+      throw new Error(`Workflow ${workflow.key} has no startTransition`);
+    }
+    stack.push({ workflow, state: null, data: Object.assign({}, data) });
+    history.push({ type: 'started', workflow: workflow.key, version: workflow.version });
+    enter(startTransition.target, startTransition);
+  };
+
+  return {
+    // Start the workflow with optional instance data, returns the state snapshot
+    start: function(data = {}) {
+      if (status !== 'idle') {
+        throw new Error('Simulation already started');
+      }
+      atomically(() => {
+        status = 'running';
+        startWorkflow(loadWorkflow(workflowKey, options.version), data);
+      });
+      return snapshot();
+    },
+
+    // Fire a transition of the current state by key, merging data into the instance data
+    fire: function(transitionKey, data = {}) {
+      if (status !== 'running') {
+        throw new Error(status === 'idle' ? 'Simulation not started' : 'Workflow already finished');
+      }
+      const frame = current();
+      const state = findState(frame.workflow, frame.state);
+      const transition = transitionsOf(frame.workflow, state).find(item => item.key === transitionKey);
+      if (!transition) {
+        const available = transitionsOf(frame.workflow, state).map(item => item.key);
+        throw new Error(`Transition "${transitionKey}" is not available in state "${frame.state}" of ${frame.workflow.key} (available: ${available.join(', ') || 'none'})`);
+      }
+      atomically(() => {
+        Object.assign(current().data, data);
+        enter(transition.target, transition);
+      });
+      return snapshot();
+    },
+
+    // Transitions of the current state as { key, target, trigger }
+    availableTransitions: function() {
+      const frame = current();
+      if (status !== 'running' || !frame) {
+        return [];
+      }
+      return transitionsOf(frame.workflow, findState(frame.workflow, frame.state)).map(transition => ({
+        key: transition.key,
+        target: transition.target,
+        trigger: TRIGGER_TYPE_NAMES[transition.triggerType] || 'manual'
+      }));
+    },
+
+    // Current status, innermost workflow and state, subflow stack, data and history
+    getState: function() {
+      return snapshot();
+    }
+  };
+}
+
+module.exports = {
+  createSimulation
+};
@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const labels = require('./labels');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Exchange label translations with translators as CSV or XLIFF 1.2.
+// Every label set is identified by "<file relative to the domain directory>#<JSON pointer>",
+// e.g. "Workflows/rezervation.json#/attributes/states/0/labels".
+
+const TRANSLATION_FORMATS = ['csv', 'xliff'];
+
+// Helper function to build the id of a label set
+function entryId(domainDir, file, pointer) {
+  return `${path.relative(domainDir, file).split(path.sep).join('/')}#${pointer}`;
+}
+
+// Collect every label set of the given components.
+// Returns [{ id, file, pointer, component, context, values: { [language]: label } }]
+function collectEntries(components, domainDir) {
+  const entries = [];
+  for (const component of components) {
+    for (const set of labels.collectLabelSets(component.content)) {
+      const values = {};
+      for (const entry of set.labels) {
+        if (!(entry.language in values)) {
+          values[entry.language] = typeof entry.label === 'string' ? entry.label : '';
+        }
+      }
+      entries.push({
+        id: entryId(domainDir, component.file, set.pointer),
+        file: component.file,
+        pointer: set.pointer,
+        component: component.content.key,
+        context: set.description,
+        values
+      });
+    }
+  }
+  return entries;
+}
+
+// Helper function to quote a CSV field when needed
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with one row per label set and one column per language.
+// Starts with a byte order mark so spreadsheet tools detect UTF-8.
+function formatCsv(entries, languages) {
+  const rows = [['id', 'component', 'context'].concat(languages)];
+  for (const entry of entries) {
+    rows.push([entry.id, entry.component, entry.context].concat(languages.map(language => entry.values[language] || '')));
+  }
+  return '\uFEFF' + rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Parse CSV text into an array of rows (arrays of fields)
+function parseCsvRows(text) {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(item => item.some(value => value !== ''));
+}
+
+// Parse a translated CSV file into translations ([{ id, language, label }])
+function parseCsv(text) {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header || header[0] !== 'id') {
+    throw new Error('CSV file must start with an "id" column header');
+  }
+  const languageColumns = header
+    .map((name, index) => ({ name, index }))
+    .filter(column => !['id', 'component', 'context'].includes(column.name));
+
+  const translations = [];
+  for (const row of rows) {
+    for (const column of languageColumns) {
+      translations.push({ id: row[0], language: column.name, label: row[column.index] || '' });
+    }
+  }
+  return translations;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+// XLIFF 1.2 with one trans-unit per label set, from the source to the target language
+function formatXliff(entries, sourceLanguage, targetLanguage, original = 'labels') {
+  const lines = [];
+  lines.push('<?xml version="1.0" encoding="UTF-8"?>');
+  lines.push('<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">');
+  lines.push(`  <file original="${escapeXml(original)}" datatype="plaintext" source-language="${escapeXml(sourceLanguage)}" target-language="${escapeXml(targetLanguage)}">`);
+  lines.push('    <body>');
+  for (const entry of entries) {
+    const target = entry.values[targetLanguage] || '';
+    lines.push(`      <trans-unit id="${escapeXml(entry.id)}">`);
+    lines.push(`        <source>${escapeXml(entry.values[sourceLanguage] || '')}</source>`);
+    lines.push(`        <target${target ? '' : ' state="needs-translation"'}>${escapeXml(target)}</target>`);
+    lines.push(`        <note>${escapeXml(`${entry.component}: ${entry.context}`)}</note>`);
+    lines.push('      </trans-unit>');
+  }
+  lines.push('    </body>');
+  lines.push('  </file>');
+  lines.push('</xliff>');
+  return lines.join('\n') + '\n';
+}
+
+// Parse a translated XLIFF 1.2 file into translations ([{ id, language, label }])
+function parseXliff(text) {
+  const translations = [];
+  const filePattern = /<file\b([^>]*)>([\s\S]*?)<\/file>/g;
+  let fileMatch;
+  while ((fileMatch = filePattern.exec(text)) !== null) {
+    const languageMatch = fileMatch[1].match(/target-language="([^"]*)"/);
+    if (!languageMatch) {
+      throw new Error('XLIFF file element must have a target-language attribute');
+    }
+    const language = unescapeXml(languageMatch[1]);
+
+    const unitPattern = /<trans-unit\b[^>]*\bid="([^"]*)"[^>]*>([\s\S]*?)<\/trans-unit>/g;
+    let unitMatch;
+    while ((unitMatch = unitPattern.exec(fileMatch[2])) !== null) {
+      const targetMatch = unitMatch[2].match(/<target\b[^>]*>([\s\S]*?)<\/target>/);
+      if (targetMatch) {
+        translations.push({ id: unescapeXml(unitMatch[1]), language, label: unescapeXml(targetMatch[1]) });
+      }
+    }
+  }
+  return translations;
+}
+
+// Helper function to check whether a path stays inside a directory once resolved
+function isInsideDirectory(dirPath, filePath) {
+  const relative = path.relative(path.resolve(dirPath), path.resolve(filePath));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Write translations back into the component files. Blank translations are skipped.
+// Returns { files, updated, unknown } where unknown lists ids that do not name a label set of
+// the file (see labels.collectLabelSets) or point outside the domain directory.
+function applyTranslations(translations, domainDir) {
+  const byFile = new Map();
+  const unknown = new Set();
+
+  for (const translation of translations) {
+    if (!translation.label || translation.label.trim() === '') {
+      continue;
+    }
+    const separator = translation.id.indexOf('#');
+    const relativeFile = separator >= 0 ? translation.id.slice(0, separator) : '';
+    const file = path.join(domainDir, ...relativeFile.split('/'));
+    if (separator < 0 || !relativeFile || !isInsideDirectory(domainDir, file) || !fs.existsSync(file)) {
+      unknown.add(translation.id);
+      continue;
+    }
+    if (!byFile.has(file)) {
+      byFile.set(file, []);
+    }
+    byFile.get(file).push(Object.assign({ pointer: translation.id.slice(separator + 1) }, translation));
+  }
+
+  const files = [];
+  let updated = 0;
+  for (const [file, items] of byFile) {
+    const { data } = readJsonFile(file);
+    const sets = new Map(labels.collectLabelSets(data).map(set => [set.pointer, set.labels]));
+    let changed = false;
+
+    for (const item of items) {
+      const set = sets.get(item.pointer);
+      if (!set) {
+        unknown.add(item.id);
+        continue;
+      }
+      const existing = set.find(entry => entry && entry.language === item.language);
+      if (existing && existing.label === item.label) {
+        continue;
+      }
+      if (existing) {
+        existing.label = item.label;
+      } else {
+        set.push({ label: item.label, language: item.language });
+      }
+      changed = true;
+      updated++;
+    }
+
+    if (changed) {
+      writeJsonFile(file, data);
+      files.push(file);
+    }
+  }
+
+  return { files, updated, unknown: [...unknown] };
+}
+
+module.exports = {
+  TRANSLATION_FORMATS,
+  collectEntries,
+  formatCsv,
+  parseCsv,
+  formatXliff,
+  parseXliff,
+  applyTranslations
+};
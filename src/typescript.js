@@ -0,0 +1,309 @@
+// TypeScript declarations for index.js: the loader API, the component envelope and one
+// interface per schema in Schemas/*.json, generated from its attributes.schema.
+
+const semver = require('./semver');
+
+const HEADER = '// Generated by "morph-touch types" from index.js and Schemas/*.json. Do not edit by hand.\n';
+
+// Interface name of a schema key, e.g. "absence-entry" -> "AbsenceEntry"
+function interfaceName(key) {
+  const name = String(key)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('');
+  return /^[0-9]/.test(name) ? `Schema${name}` : name;
+}
+
+// Helper function to quote property names that are not identifiers
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+// Helper function to render a doc comment from a schema description and format
+function docComment(schema, indent) {
+  const lines = [];
+  if (schema.description) {
+    lines.push(...String(schema.description).replace(/\*\//g, '*\\/').split('\n'));
+  }
+  if (schema.format) {
+    lines.push(`@format ${schema.format}`);
+  }
+  if (lines.length === 0) {
+    return '';
+  }
+  if (lines.length === 1) {
+    return `${indent}/** ${lines[0]} */\n`;
+  }
+  return `${indent}/**\n${lines.map(line => `${indent} * ${line}`).join('\n')}\n${indent} */\n`;
+}
+
+// Helper function to join the members of a union type, dropping duplicates
+function union(types) {
+  const unique = [...new Set(types)];
+  return unique.length > 0 ? unique.join(' | ') : 'never';
+}
+
+// Convert a JSON schema node to a TypeScript type expression
+function schemaToType(schema, indent = '') {
+  if (schema === true || schema === undefined) {
+    return 'unknown';
+  }
+  if (!schema || typeof schema !== 'object') {
+    return 'never';
+  }
+  if (Object.prototype.hasOwnProperty.call(schema, 'const')) {
+    return JSON.stringify(schema.const);
+  }
+  if (Array.isArray(schema.enum)) {
+    return union(schema.enum.map(value => JSON.stringify(value)));
+  }
+  if (Array.isArray(schema.oneOf) || Array.isArray(schema.anyOf)) {
+    return union((schema.oneOf || schema.anyOf).map(option => schemaToType(option, indent)));
+  }
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.map(part => schemaToType(part, indent)).join(' & ');
+  }
+  if (Array.isArray(schema.type)) {
+    return union(schema.type.map(type => schemaToType(Object.assign({}, schema, { type }), indent)));
+  }
+
+  const type = schema.type || (schema.properties ? 'object' : schema.items ? 'array' : null);
+  switch (type) {
+    case 'string':
+      return 'string';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array': {
+      const item = schemaToType(schema.items, indent);
+      return /[|&]/.test(item) ? `Array<${item}>` : `${item}[]`;
+    }
+    case 'object':
+      return objectType(schema, indent);
+    default:
+      return 'unknown';
+  }
+}
+
+// Helper function to render the members of an object schema
+function objectMembers(schema, indent) {
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const members = [];
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    const optional = required.includes(name) ? '' : '?';
+    members.push(`${docComment(property, indent)}${indent}${propertyName(name)}${optional}: ${schemaToType(property, indent)};`);
+  }
+  if (schema.additionalProperties !== false) {
+    const value = schema.additionalProperties && typeof schema.additionalProperties === 'object'
+      ? schemaToType(schema.additionalProperties, indent)
+      : 'unknown';
+    members.push(`${indent}[name: string]: ${value};`);
+  }
+  return members;
+}
+
+// Helper function to render an inline object type
+function objectType(schema, indent) {
+  const members = objectMembers(schema, `${indent}  `);
+  return members.length > 0 ? `{\n${members.join('\n')}\n${indent}}` : 'Record<string, never>';
+}
+
+// Render the interfaces of the schema components. The latest version of a schema gets the
+// plain name (Rezervation), older versions get a version suffix (Rezervation_1_0_0).
+// Returns { text, names: [{ key, version, name }] }.
+function renderSchemaInterfaces(schemaComponents, indent = '  ') {
+  const byKey = new Map();
+  for (const component of schemaComponents) {
+    const content = component.content || {};
+    if (!content.attributes || !content.attributes.schema || typeof content.key !== 'string') {
+      continue;
+    }
+    if (!byKey.has(content.key)) {
+      byKey.set(content.key, []);
+    }
+    byKey.get(content.key).push(content);
+  }
+
+  const names = [];
+  const blocks = [];
+  for (const key of [...byKey.keys()].sort()) {
+    const versions = byKey.get(key).sort((a, b) =>
+      (semver.isValid(a.version) && semver.isValid(b.version) ? semver.compare(a.version, b.version) : 0));
+    versions.forEach((content, index) => {
+      const latest = index === versions.length - 1;
+      const name = latest ? interfaceName(key) : `${interfaceName(key)}_${String(content.version).replace(/\W/g, '_')}`;
+      const schema = content.attributes.schema;
+      const members = objectMembers(schema, `${indent}  `);
+      const doc = docComment({ description: `${schema.title ? `${schema.title}: ` : ''}${schema.description || key} (${key}@${content.version})` }, indent);
+      blocks.push(`${doc}${indent}interface ${name} {\n${members.join('\n')}\n${indent}}`);
+      names.push({ key, version: content.version, name, latest });
+    });
+  }
+  return { text: blocks.join('\n\n'), names };
+}
+
+// Declarations of the index.js API and the component envelope
+const API_DECLARATIONS = `  type ComponentType = 'schemas' | 'workflows' | 'tasks' | 'views' | 'functions' | 'extensions';
+
+  interface Label {
+    label: string;
+    language: string;
+  }
+
+  /** Reference to another component by key, domain, flow and version (or range) */
+  interface ComponentReference {
+    key: string;
+    domain: string;
+    flow?: string;
+    version?: string;
+  }
+
+  /** Properties shared by every component file */
+  interface ComponentEnvelope<TAttributes = Record<string, unknown>> {
+    key: string;
+    version: string;
+    domain: string;
+    flow: string;
+    flowVersion?: string;
+    tags?: string[];
+    attributes: TAttributes;
+  }
+
+  interface Transition {
+    key: string;
+    target: string;
+    triggerType?: number;
+    versionStrategy?: string;
+    labels?: Label[];
+    schema?: ComponentReference | null;
+    [name: string]: unknown;
+  }
+
+  interface SubFlow {
+    type: string;
+    process: ComponentReference;
+    mapping?: { location?: string; code?: string };
+    [name: string]: unknown;
+  }
+
+  interface WorkflowState {
+    key: string;
+    /** 1 = initial, 2 = intermediate, 3 = finish, 4 = subflow */
+    stateType: number;
+    labels?: Label[];
+    transitions?: Transition[];
+    subFlow?: SubFlow | null;
+    [name: string]: unknown;
+  }
+
+  interface WorkflowAttributes {
+    type: string;
+    labels?: Label[];
+    startTransition: Transition;
+    states: WorkflowState[];
+    sharedTransitions?: Array<Transition & { availableIn?: string[] }>;
+    /** Schema bound to the instance data */
+    schema?: ComponentReference;
+    [name: string]: unknown;
+  }
+
+  interface SchemaAttributes {
+    type?: string;
+    /** JSON schema of the payload */
+    schema: Record<string, unknown>;
+    [name: string]: unknown;
+  }
+
+  type SchemaComponent = ComponentEnvelope<SchemaAttributes>;
+  type WorkflowComponent = ComponentEnvelope<WorkflowAttributes>;
+  type Component = ComponentEnvelope<Record<string, unknown>>;
+
+  /** Components of a folder keyed by file name without .json (nested files by relative path) */
+  type ComponentMap<T = Component> = Record<string, T>;
+
+  /** A component with its type and file path, as returned by the query API */
+  interface LocatedComponent<T = Component> {
+    type: ComponentType;
+    key: string;
+    version: string;
+    domain: string;
+    file: string;
+    content: T;
+  }
+
+  interface LoadError {
+    file: string;
+    message: string;
+  }
+
+  interface LoaderOptions {
+    /** Called for every file that cannot be loaded (default: console warning) */
+    onLoadError?: (error: LoadError) => void;
+  }
+
+  interface DomainConfig {
+    domain: string;
+    version: string;
+    paths?: Record<string, string | string[]>;
+    exports?: Record<string, unknown>;
+    [name: string]: unknown;
+  }
+
+  interface DomainLoader {
+    getDomainConfig(): DomainConfig | null;
+    getSchemas(): ComponentMap<SchemaComponent>;
+    getWorkflows(): ComponentMap<WorkflowComponent>;
+    getTasks(): ComponentMap;
+    getViews(): ComponentMap;
+    getFunctions(): ComponentMap;
+    getExtensions(): ComponentMap;
+    getAvailableTypes(): ComponentType[];
+    getDomainName(): string | null;
+    getExports(): Record<ComponentType, ComponentMap>;
+    /** Drop cached files and configuration */
+    reload(): void;
+    getLoadErrors(): LoadError[];
+    iterateComponents(): IterableIterator<LocatedComponent>;
+    listVersions(type: ComponentType, key: string): string[];
+    getLatest(type: ComponentType, key: string): LocatedComponent | null;
+    /** Highest version matching a version or range (latest when omitted) */
+    getComponent(type: ComponentType, key: string, versionRange?: string): LocatedComponent | null;
+    findByTag(tag: string): LocatedComponent[];
+  }`;
+
+// Generate index.d.ts for the schema components of the domain
+function generateDeclarations(schemaComponents) {
+  const interfaces = renderSchemaInterfaces(schemaComponents);
+  const payloads = interfaces.names.filter(item => item.latest)
+    .map(item => `    ${JSON.stringify(item.key)}: ${item.name};`);
+  const sections = [
+    API_DECLARATIONS,
+    interfaces.text,
+    `  /** Payload interface of the latest version of each schema, by schema key */\n  interface SchemaPayloads {\n${payloads.join('\n')}\n  }`
+  ].filter(Boolean);
+
+  return `${HEADER}
+declare namespace morphTouch {
+${sections.join('\n\n')}
+}
+
+declare const morphTouch: morphTouch.DomainLoader & {
+  /** Create the same API for another project root */
+  createDomainLoader(rootDir?: string, options?: morphTouch.LoaderOptions): morphTouch.DomainLoader;
+};
+
+export = morphTouch;
+`;
+}
+
+module.exports = {
+  interfaceName,
+  schemaToType,
+  renderSchemaInterfaces,
+  generateDeclarations
+};
@@ -0,0 +1,1094 @@
+const fs = require('fs');
+const path = require('path');
+const { createDomainLoader } = require('../index.js');
+const references = require('./references');
+const workflowGraph = require('./workflow-graph');
+const diagramMeta = require('./diagram-meta');
+const labels = require('./labels');
+const conventions = require('./conventions');
+const dataContract = require('./data-contract');
+const domainExports = require('./domain-exports');
+const dependencies = require('./dependencies');
+const discovery = require('./discovery');
+const semver = require('./semver');
+const jsonSourceMap = require('./json-source-map');
+const toolPackage = require('../package.json');
+
+// Programmatic validation API used by validate.js and by build scripts or editor tooling
+
+const DEFAULT_SCHEMA_PACKAGE = '@burgan-tech/vnext-schema';
+
+// Functions every domain package entry point must export
+const REQUIRED_EXPORTS = [
+  'getDomainConfig',
+  'getSchemas',
+  'getWorkflows',
+  'getTasks',
+  'getViews',
+  'getFunctions',
+  'getExtensions',
+  'getAvailableTypes',
+  'getDomainName',
+  'getExports',
+  'reload',
+  'getLoadErrors',
+  'iterateComponents',
+  'listVersions',
+  'getLatest',
+  'getComponent',
+  'findByTag'
+];
+
+// Helper function to find the exact source location of a JSON pointer in a file
+function locatePointer(filePath, pointer) {
+  const location = jsonSourceMap.locateInFile(filePath, pointer);
+  if (!location) {
+    return { line: null, column: null, endLine: null, endColumn: null };
+  }
+  return {
+    line: location.line,
+    column: location.column,
+    endLine: location.endLine,
+    endColumn: location.endColumn
+  };
+}
+
+// Helper function to find the source location of an Ajv error.
+// Additional properties point at the offending key, everything else at the instance path.
+function locateSchemaError(filePath, err) {
+  let pointer = err.instancePath || err.dataPath || '';
+  if (err.params && err.params.additionalProperty) {
+    pointer += `/${jsonSourceMap.escapePointer(err.params.additionalProperty)}`;
+  }
+  return locatePointer(filePath, pointer);
+}
+
+// Helper function to read a JSON file, reporting syntax errors with their exact position
+function checkJsonFile(ctx, filePath, message) {
+  try {
+    return jsonSourceMap.parseFile(filePath).data;
+  } catch (error) {
+    ctx.report({
+      rule: 'json/syntax',
+      file: filePath,
+      line: error.line || null,
+      column: error.column || null,
+      message: message ? `${message}: ${error.message}` : error.message
+    });
+    throw error;
+  }
+}
+
+// Helper function to describe a schema error without colors or line numbers
+function formatSchemaErrorMessage(err, schemaType) {
+  let message = err.message;
+  if (err.params && err.params.additionalProperty) {
+    message = `must NOT have additional property "${err.params.additionalProperty}"`;
+  } else if (err.params && err.params.missingProperty) {
+    message = `must have required property "${err.params.missingProperty}"`;
+  } else if (err.params && Object.keys(err.params).length > 0) {
+    message += ` (${JSON.stringify(err.params)})`;
+  }
+  return `Schema validation failed for ${schemaType}: ${message}`;
+}
+
+// Helper function to read and parse a JSON file
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+// Load the schema package (module name resolved from the project root, or the module itself)
+function loadSchemaPackage(schemaPackage, root) {
+  if (schemaPackage && typeof schemaPackage === 'object') {
+    return schemaPackage;
+  }
+  const resolved = require.resolve(schemaPackage, { paths: [root, __dirname] });
+  return require(resolved);
+}
+
+// Map component directory names to schema types
+const DIRECTORY_SCHEMA_TYPES = {
+  'Schemas': 'schema',
+  'Workflows': 'workflow',
+  'Tasks': 'task',
+  'Views': 'view',
+  'Functions': 'function',
+  'Extensions': 'extension'
+};
+
+// Compiled validators per schema package, so repeated validation runs compile them only once
+const schemaValidatorCache = new Map();
+
+// Load the schema package and compile an Ajv validator for each component directory.
+// Returns { validators: { [directory]: { validator, type } }, warnings } and throws when
+// the schema package or Ajv are not available.
+function loadSchemaValidators(schemaPackage, root) {
+  const cacheKey = typeof schemaPackage === 'string'
+    ? require.resolve(schemaPackage, { paths: [root, __dirname] })
+    : schemaPackage;
+  if (schemaValidatorCache.has(cacheKey)) {
+    return schemaValidatorCache.get(cacheKey);
+  }
+
+  const vnextSchema = loadSchemaPackage(schemaPackage, root);
+  const Ajv = require('ajv');
+  const addFormats = require('ajv-formats');
+
+  // Initialize AJV with formats support
+  const ajv = new Ajv({
+    strict: false, // Allow unknown keywords like enumDescriptions
+    allErrors: true, // Collect all errors
+    verbose: true // Include schema path in errors
+  });
+  addFormats(ajv);
+
+  // Get available schema types
+  const availableTypes = vnextSchema.getAvailableTypes ? vnextSchema.getAvailableTypes() : [];
+
+  // Compile validators for each schema type
+  const validators = {};
+  const warnings = [];
+  for (const [dirName, schemaType] of Object.entries(DIRECTORY_SCHEMA_TYPES)) {
+    if (availableTypes.includes(schemaType)) {
+      try {
+        const schema = vnextSchema.getSchema ? vnextSchema.getSchema(schemaType) : null;
+        if (schema) {
+          validators[dirName] = {
+            validator: ajv.compile(schema),
+            type: schemaType
+          };
+        }
+      } catch (error) {
+        warnings.push(`Could not compile validator for ${schemaType}: ${error.message}`);
+      }
+    }
+  }
+
+  const compiled = { validators, warnings };
+  schemaValidatorCache.set(cacheKey, compiled);
+  return compiled;
+}
+
+// Helper function to find the validator for a file from the first matching directory in its path
+function findSchemaValidator(validators, domainDir, filePath) {
+  const relativePath = path.relative(domainDir, path.dirname(filePath));
+  for (const part of relativePath.split(path.sep)) {
+    if (validators[part]) {
+      return validators[part];
+    }
+  }
+  return null;
+}
+
+// Helper function to validate one file against its schema, reporting every schema error.
+// Returns true when the file is valid.
+function checkSchemaFile(ctx, filePath, validator) {
+  let jsonContent;
+  try {
+    jsonContent = checkJsonFile(ctx, filePath, 'Error validating file');
+  } catch (error) {
+    // Syntax errors were already reported with their position by checkJsonFile
+    const reported = ctx.diagnostics().find(diagnostic => diagnostic.file === filePath);
+    if (reported) {
+      reported.schemaType = validator.type;
+    }
+    return false;
+  }
+
+  if (validator.validator(jsonContent)) {
+    return true;
+  }
+
+  const validationErrors = validator.validator.errors || [];
+  validationErrors.forEach(err => {
+    ctx.report(Object.assign({
+      rule: `schema/${err.keyword}`,
+      file: filePath,
+      pointer: err.instancePath || err.dataPath || '',
+      message: formatSchemaErrorMessage(err, validator.type),
+      schemaType: validator.type,
+      params: err.params
+    }, locateSchemaError(filePath, err)));
+  });
+  return false;
+}
+
+// Helper function to read the reference resolution options from vnext.config.json
+function referenceResolutionOptions(ctx) {
+  const resolution = ctx.config.referenceResolution || {};
+  return {
+    enabled: resolution.enabled !== false,
+    domain: ctx.config.domain,
+    domainDir: ctx.domainDir,
+    strictMode: resolution.strictMode !== false,
+    validateReferenceConsistency: resolution.validateReferenceConsistency !== false,
+    locate: locatePointer
+  };
+}
+
+// Helper function to check the naming and version conventions of one component.
+// Returns the number of errors found.
+function checkComponentConventions(ctx, component) {
+  let errorCount = 0;
+  const options = { domain: ctx.config.domain, rules: conventions.validationRules(ctx.config) };
+  for (const diagnostic of conventions.checkComponent(component, options)) {
+    ctx.report(Object.assign({}, diagnostic, { file: component.file }, locatePointer(component.file, diagnostic.pointer)));
+    if (diagnostic.severity === 'error') {
+      errorCount++;
+    }
+  }
+  return errorCount;
+}
+
+// Helper function to check the label translations of one component.
+// Returns the number of errors found.
+function checkComponentLabels(ctx, component) {
+  let errorCount = 0;
+  for (const diagnostic of labels.checkLabels(component.content, labels.configuredLanguages(ctx.config))) {
+    ctx.report(Object.assign({}, diagnostic, { file: component.file }, locatePointer(component.file, diagnostic.pointer)));
+    if (diagnostic.severity === 'error') {
+      errorCount++;
+    }
+  }
+  return errorCount;
+}
+
+// Helper function to check a workflow's data contract against the schemas it is bound to.
+// index is the component index used to resolve schema references. Returns the number of errors found.
+function checkWorkflowContract(ctx, workflow, index) {
+  const resolution = referenceResolutionOptions(ctx);
+  const resolveSchema = (reference) => {
+    if (resolution.domain && reference.domain !== resolution.domain) {
+      return null;
+    }
+    const result = references.resolveReference(index, reference, resolution);
+    if (result.status !== 'resolved' || result.target.type !== 'schemas') {
+      return null;
+    }
+    const attributes = result.target.content.attributes || {};
+    return attributes.schema && typeof attributes.schema === 'object' ? attributes.schema : null;
+  };
+
+  let errorCount = 0;
+  for (const diagnostic of dataContract.checkDataContract(workflow.content, { resolveSchema, file: workflow.file })) {
+    ctx.report(Object.assign({}, diagnostic, { file: workflow.file }, locatePointer(workflow.file, diagnostic.pointer)));
+    if (diagnostic.severity === 'error') {
+      errorCount++;
+    }
+  }
+  return errorCount;
+}
+
+// Helper function to find the workflows directory of the domain
+function workflowsDirectory(ctx) {
+  const paths = ctx.config.paths || {};
+  return path.join(ctx.domainDir, paths.workflows || references.COMPONENT_TYPES.workflows.directory);
+}
+
+// Helper function to list the diagram files of every workflow folder, nested ones included
+function listDiagramFiles(ctx) {
+  return diagramMeta.listDiagramFiles(workflowsDirectory(ctx), {
+    domainDir: ctx.domainDir,
+    ignore: discovery.ignorePatterns(ctx.config)
+  });
+}
+
+// Helper function to compare a diagram file with its workflow, or report it as an orphan
+function checkDiagramFile(ctx, diagramFile) {
+  const workflowFile = diagramMeta.workflowPathForMeta(diagramFile);
+  const workflow = ctx.components.find(component => component.type === 'workflows' && component.file === workflowFile);
+  if (!workflow) {
+    ctx.report(Object.assign({
+      rule: 'meta/orphan-diagram',
+      severity: 'warning',
+      file: diagramFile,
+      pointer: '',
+      message: `Diagram file has no matching workflow (expected ${workflowFile})`
+    }, locatePointer(diagramFile, '')));
+    return;
+  }
+
+  let meta;
+  try {
+    meta = jsonSourceMap.parseFile(diagramFile).data;
+  } catch (error) {
+    // Syntax errors are reported by the JSON syntax stage
+    return;
+  }
+
+  for (const diagnostic of diagramMeta.checkDiagramMeta(workflow.content, meta)) {
+    ctx.report(Object.assign({}, diagnostic, { file: diagramFile }, locatePointer(diagramFile, diagnostic.pointer)));
+  }
+}
+
+// Update the diagram files of every workflow to match its states (validate --fix).
+// Returns the fixed files as [{ file, removed, added }]; diagram files that are not valid
+// JSON are skipped and listed with a diagnostic ({ rule, severity, line, column, message }).
+function fixDiagramFiles(options = {}) {
+  const ctx = createContext(options);
+  const fixed = [];
+  for (const workflow of ctx.components.filter(component => component.type === 'workflows')) {
+    const result = diagramMeta.fixDiagramFile(workflow.file, workflow.content);
+    if (result) {
+      fixed.push(result.diagnostic
+        ? { file: result.file, removed: [], added: [], diagnostic: result.diagnostic }
+        : { file: result.file, removed: result.removed, added: result.added });
+    }
+  }
+  return fixed;
+}
+
+// Helper function to run the state-machine analysis on one workflow and report its problems.
+// Returns the number of errors found.
+function checkWorkflowGraph(ctx, workflow) {
+  let errorCount = 0;
+  for (const diagnostic of workflowGraph.analyzeWorkflow(workflow.content)) {
+    ctx.report(Object.assign({}, diagnostic, { file: workflow.file }, locatePointer(workflow.file, diagnostic.pointer)));
+    if (diagnostic.severity === 'error') {
+      errorCount++;
+    }
+  }
+  return errorCount;
+}
+
+// Validation stages, run in order. Each stage receives the validation context and
+// either returns true, returns false or throws an Error to fail.
+const STAGES = [];
+
+function stage(id, name, run) {
+  STAGES.push({ id, name, run });
+}
+
+// Validation 1: Package.json structure and content
+stage('package', 'Package.json structure and content', (ctx) => {
+  const packageJson = ctx.packageJson;
+
+  // Required fields (publishConfig is optional during publishing process)
+  const requiredFields = ['name', 'version', 'description', 'main', 'author', 'license', 'repository'];
+  for (const field of requiredFields) {
+    if (!packageJson[field]) {
+      throw new Error(`Missing required field: ${field}`);
+    }
+  }
+
+  // PublishConfig is optional during publishing (workflow may remove it temporarily)
+  if (packageJson.publishConfig) {
+    ctx.log(`  ✓ PublishConfig present`);
+  } else {
+    ctx.log(`  ⚠ PublishConfig not present (may be removed during publishing)`);
+  }
+
+  // Scope validation
+  if (!packageJson.name.startsWith('@burgan-tech/')) {
+    throw new Error('Package name must use @burgan-tech scope');
+  }
+
+  // Version validation
+  if (!/^\d+\.\d+\.\d+/.test(packageJson.version)) {
+    throw new Error('Version must follow semantic versioning');
+  }
+
+  // Main file validation
+  if (!fs.existsSync(path.join(ctx.root, packageJson.main))) {
+    throw new Error(`Main file ${packageJson.main} does not exist`);
+  }
+
+  // PublishConfig validation (if present)
+  if (packageJson.publishConfig) {
+    if (!packageJson.publishConfig.registry || !packageJson.publishConfig.access) {
+      throw new Error('publishConfig must include registry and access');
+    }
+    ctx.log(`  ✓ PublishConfig is valid`);
+  }
+
+  ctx.log(`  ✓ Package name: ${packageJson.name}`);
+  ctx.log(`  ✓ Version: ${packageJson.version}`);
+  ctx.log(`  ✓ Main file: ${packageJson.main}`);
+
+  return true;
+});
+
+// Validation 2: Main entry point functionality
+stage('entry-point', 'Main entry point functionality', (ctx) => {
+  const mainFile = ctx.packageJson.main;
+
+  // Check if file exists and is readable
+  if (!fs.existsSync(path.join(ctx.root, mainFile))) {
+    throw new Error(`Main file ${mainFile} does not exist`);
+  }
+
+  // Try to require the module
+  let vnextTemplate;
+  try {
+    vnextTemplate = require(path.resolve(ctx.root, mainFile));
+  } catch (error) {
+    throw new Error(`Failed to require main file: ${error.message}`);
+  }
+
+  for (const exportName of REQUIRED_EXPORTS) {
+    if (typeof vnextTemplate[exportName] !== 'function') {
+      throw new Error(`Missing or invalid export: ${exportName}`);
+    }
+  }
+
+  ctx.log(`  ✓ All required exports present`);
+  return true;
+});
+
+// Validation 3: vnext.config.json validation
+stage('config', 'vnext.config.json validation', (ctx) => {
+  const configPath = path.join(ctx.root, 'vnext.config.json');
+  if (fs.existsSync(configPath)) {
+    const config = readJson(configPath);
+
+    if (typeof config !== 'object' || config === null) {
+      throw new Error('vnext.config.json must contain a valid JSON object');
+    }
+
+    ctx.log(`  ✓ vnext.config.json is valid JSON`);
+  } else {
+    ctx.log(`  ✓ vnext.config.json not present (optional)`);
+  }
+
+  return true;
+});
+
+// Validation 4: Domain directory structure
+stage('domain-structure', 'Domain directory structure', (ctx) => {
+  if (!ctx.domainName) {
+    ctx.log(`  ⚠ No domain directory found (template will be empty)`);
+    return true;
+  }
+
+  if (!fs.existsSync(ctx.domainDir)) {
+    throw new Error(`Domain directory ${ctx.domainName} does not exist`);
+  }
+
+  // Check for vnext structure directories
+  const vnextDirs = ['Schemas', 'Workflows', 'Tasks', 'Views', 'Functions', 'Extensions'];
+  const existingDirs = vnextDirs.filter(dir => fs.existsSync(path.join(ctx.domainDir, dir)));
+
+  if (existingDirs.length === 0) {
+    throw new Error('No vnext structure directories found in domain directory');
+  }
+
+  ctx.log(`  ✓ Domain directory: ${ctx.domainName}`);
+  ctx.log(`  ✓ Found directories: ${existingDirs.join(', ')}`);
+
+  return true;
+});
+
+// Validation 5: JSON files syntax validation
+stage('json-syntax', 'JSON files syntax validation', (ctx) => {
+  let jsonFileCount = 0;
+
+  const checkJson = (filePath) => {
+    jsonFileCount++;
+    try {
+      checkJsonFile(ctx, filePath);
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    }
+  };
+
+  // Metadata folders are checked too, only ignored files are skipped
+  if (ctx.domainDir && fs.existsSync(ctx.domainDir)) {
+    discovery.listJsonFiles(ctx.domainDir, { ignore: discovery.ignorePatterns(ctx.config), includeMetadata: true }).forEach(checkJson);
+  }
+
+  // Also validate root JSON files
+  const rootJsonFiles = ['package.json', 'vnext.config.json']
+    .map(file => path.join(ctx.root, file))
+    .filter(file => fs.existsSync(file));
+  rootJsonFiles.forEach(checkJson);
+
+  ctx.log(`  ✓ Validated ${jsonFileCount} JSON files`);
+  return true;
+});
+
+// Validation 5b: JSON files schema validation using @burgan-tech/vnext-schema
+stage('schema', 'JSON files schema validation using @burgan-tech/vnext-schema', (ctx) => {
+  let compiled;
+  try {
+    compiled = loadSchemaValidators(ctx.schemaPackage, ctx.root);
+    ctx.schemaValidation.enabled = true;
+  } catch (error) {
+    ctx.log(`  ⚠ ${typeof ctx.schemaPackage === 'string' ? ctx.schemaPackage : 'Schema'} package not available: ${error.message}`);
+    ctx.log(`  ⚠ Skipping schema validation (syntax validation still performed)`);
+    return true; // Don't fail if package is not available
+  }
+
+  if (!ctx.domainDir || !fs.existsSync(ctx.domainDir)) {
+    ctx.log(`  ⚠ No domain directory found, skipping schema validation`);
+    return true;
+  }
+
+  compiled.warnings.forEach(warning => ctx.log(`  ⚠ Warning: ${warning}`));
+  const validators = compiled.validators;
+
+  if (Object.keys(validators).length === 0) {
+    ctx.log(`  ⚠ No validators available, skipping schema validation`);
+    return true;
+  }
+
+  let validatedCount = 0;
+  let errorCount = 0;
+  const passedFiles = [];
+
+  // Validate component files against schemas (metadata folders and ignored files are skipped)
+  for (const type of Object.keys(discovery.COMPONENT_FOLDERS)) {
+    for (const { file } of discovery.listComponentFiles(ctx.domainDir, type, ctx.config)) {
+      const validator = findSchemaValidator(validators, ctx.domainDir, file);
+      if (!validator) {
+        continue;
+      }
+      validatedCount++;
+      if (checkSchemaFile(ctx, file, validator)) {
+        // Track passed files
+        passedFiles.push({
+          file,
+          type: validator.type
+        });
+      } else {
+        errorCount++;
+      }
+    }
+  }
+
+  // Update schema validation statistics
+  ctx.schemaValidation.filesValidated = validatedCount;
+  ctx.schemaValidation.filesPassed = passedFiles.length;
+  ctx.schemaValidation.filesFailed = errorCount;
+  ctx.schemaValidation.passedFiles = passedFiles;
+
+  if (validatedCount === 0) {
+    ctx.log(`  ⚠ No files found to validate against schemas`);
+  }
+
+  // Throw error if there are validation failures
+  if (errorCount > 0) {
+    throw new Error(`Schema validation failed for ${errorCount} file(s)`);
+  }
+
+  return true;
+});
+
+// Validation 5c: Component naming and version conventions (referenceResolution.schemaValidationRules)
+stage('conventions', 'Component naming and version conventions', (ctx) => {
+  if (!ctx.domainName) {
+    ctx.log(`  ⚠ No domain directory found, skipping convention check`);
+    return true;
+  }
+
+  let errorCount = 0;
+  for (const component of ctx.components) {
+    errorCount += checkComponentConventions(ctx, component);
+  }
+
+  ctx.log(`  ✓ Checked ${ctx.components.length} component(s) against domain "${ctx.config.domain || ctx.domainName}"`);
+
+  if (errorCount > 0) {
+    throw new Error(`${errorCount} naming or version problem(s) found`);
+  }
+
+  return true;
+});
+
+// Validation 5d: Cross-component reference resolution (subFlow, schema, task, view references)
+stage('references', 'Cross-component reference resolution', (ctx) => {
+  const resolution = referenceResolutionOptions(ctx);
+
+  if (!resolution.enabled) {
+    ctx.log(`  ⚠ Reference resolution disabled in vnext.config.json (referenceResolution.enabled)`);
+    return true;
+  }
+
+  if (!ctx.domainName) {
+    ctx.log(`  ⚠ No domain directory found, skipping reference resolution`);
+    return true;
+  }
+
+  const index = references.indexComponents(ctx.components);
+  const result = references.resolveAll(index, resolution);
+
+  result.diagnostics.forEach(ctx.report);
+  const errorCount = result.diagnostics.filter(diagnostic => diagnostic.severity === 'error').length;
+
+  ctx.log(`  ✓ Indexed ${index.entries.length} component(s)`);
+  ctx.log(`  ✓ Resolved ${result.resolved.length} reference(s)`);
+  if (result.external.length > 0) {
+    ctx.log(`  ✓ Left ${result.external.length} reference(s) to other domains to the dependency check`);
+  }
+
+  if (errorCount > 0) {
+    throw new Error(`${errorCount} unresolved reference(s) found`);
+  }
+
+  return true;
+});
+
+// Validation 5e: Cross-domain dependencies (dependencies.domains and dependencies.npm)
+stage('dependencies', 'Cross-domain dependency resolution', (ctx) => {
+  const resolution = referenceResolutionOptions(ctx);
+  if (!resolution.enabled) {
+    ctx.log(`  ⚠ Reference resolution disabled in vnext.config.json (referenceResolution.enabled)`);
+    return true;
+  }
+
+  const allowedHosts = (ctx.config.referenceResolution || {}).allowedHosts || [];
+  const configFile = path.join(ctx.displayRoot, 'vnext.config.json');
+  let errorCount = 0;
+  const report = (diagnostic) => {
+    const severity = diagnostic.severity || (resolution.strictMode ? 'error' : 'warning');
+    ctx.report(Object.assign({}, diagnostic, { severity }, locatePointer(diagnostic.file, diagnostic.pointer)));
+    if (severity === 'error') {
+      errorCount++;
+    }
+  };
+
+  const loaded = dependencies.dependencyEntries(ctx.config, 'domains').map((entry) => {
+    const dependency = dependencies.loadDependency(ctx.root, entry, allowedHosts);
+    dependency.problems.forEach(problem => report(Object.assign({ file: configFile, pointer: entry.pointer }, problem)));
+    return dependency;
+  });
+  for (const entry of dependencies.dependencyEntries(ctx.config, 'npm')) {
+    dependencies.checkNpmDependency(ctx.root, entry, allowedHosts)
+      .forEach(problem => report(Object.assign({ file: configFile, pointer: entry.pointer }, problem)));
+  }
+
+  // References into other domains must resolve to exported components of a declared dependency
+  let external = 0;
+  const rules = {
+    'not-exported': 'export/not-exported',
+    undeclared: 'dependency/undeclared',
+    unavailable: 'dependency/unresolved',
+    dangling: 'dependency/unresolved',
+    ambiguous: 'dependency/unresolved',
+    inconsistent: 'dependency/unresolved'
+  };
+  for (const component of ctx.components) {
+    for (const reference of references.collectReferences(component.content)) {
+      if (reference.kind !== 'component' || !resolution.domain || reference.domain === resolution.domain) {
+        continue;
+      }
+      external++;
+      const result = dependencies.resolveExternalReference(loaded, reference, resolution);
+      if (result.status !== 'resolved') {
+        report({
+          rule: rules[result.status],
+          file: component.file,
+          pointer: reference.pointer,
+          message: `Reference ${references.describeReference(reference)} cannot be used: ${result.reason}`
+        });
+      }
+    }
+  }
+
+  ctx.log(`  ✓ Loaded ${loaded.filter(dependency => dependency.index).length} of ${loaded.length} domain dependenc${loaded.length === 1 ? 'y' : 'ies'}`);
+  ctx.log(`  ✓ Checked ${external} reference(s) to other domains`);
+
+  if (errorCount > 0) {
+    throw new Error(`${errorCount} dependency problem(s) found`);
+  }
+
+  return true;
+});
+
+// Validation 5f: Workflow data contracts (attributes.schema bindings)
+stage('data-contract', 'Workflow data contract verification', (ctx) => {
+  if (!ctx.domainName) {
+    ctx.log(`  ⚠ No domain directory found, skipping data contract check`);
+    return true;
+  }
+
+  const index = references.indexComponents(ctx.components);
+  const workflows = ctx.components.filter(component => component.type === 'workflows');
+  const bound = workflows.filter(workflow => dataContract.schemaBinding(workflow.content));
+
+  let errorCount = 0;
+  for (const workflow of bound) {
+    errorCount += checkWorkflowContract(ctx, workflow, index);
+  }
+
+  ctx.log(`  ✓ Checked ${bound.length} of ${workflows.length} workflow(s) bound to a schema`);
+
+  if (errorCount > 0) {
+    throw new Error(`${errorCount} data contract problem(s) found`);
+  }
+
+  return true;
+});
+
+// Validation 5g: Exported components (exports section of vnext.config.json)
+stage('exports', 'Exported components', (ctx) => {
+  if (!ctx.domainName) {
+    ctx.log(`  ⚠ No domain directory found, skipping export check`);
+    return true;
+  }
+
+  const configFile = path.join(ctx.displayRoot, 'vnext.config.json');
+  const reportConfig = (diagnostic) => {
+    ctx.report(Object.assign({ file: configFile }, diagnostic, locatePointer(configFile, diagnostic.pointer)));
+  };
+  let errorCount = 0;
+
+  // Every listed export must name a component of that type
+  let exportCount = 0;
+  for (const type of domainExports.EXPORT_TYPES) {
+    domainExports.exportedFiles(ctx.config, type).forEach((name, index) => {
+      exportCount++;
+      if (!ctx.components.some(component => component.type === type && path.basename(component.file) === name)) {
+        reportConfig({
+          rule: 'export/missing',
+          pointer: `/exports/${type}/${index}`,
+          message: `Exported ${type} file ${name} does not exist`
+        });
+        errorCount++;
+      }
+    });
+  }
+
+  const settings = domainExports.exportSettings(ctx.config);
+  const visibilities = [settings.visibility].concat(Object.values(settings.componentVisibility));
+  if (visibilities.some(value => !domainExports.VISIBILITIES.includes(value))) {
+    reportConfig({
+      rule: 'export/invalid-visibility',
+      pointer: '/exports',
+      message: `Visibility must be one of: ${domainExports.VISIBILITIES.join(', ')}`
+    });
+    errorCount++;
+  }
+
+  const computed = domainExports.computeExports(ctx.components, ctx.domainDir, ctx.config);
+  const outdated = domainExports.EXPORT_TYPES.filter(type =>
+    JSON.stringify(computed[type]) !== JSON.stringify(domainExports.exportedFiles(ctx.config, type).slice().sort()));
+  if (outdated.length > 0) {
+    reportConfig({
+      rule: 'export/outdated',
+      severity: 'warning',
+      pointer: '/exports',
+      message: `Exports of ${outdated.join(', ')} differ from the domain folder, run "morph-touch exports --write" to update them`
+    });
+  }
+
+  ctx.log(`  ✓ ${exportCount} exported file(s), visibility ${settings.visibility}`);
+
+  if (errorCount > 0) {
+    throw new Error(`${errorCount} export problem(s) found`);
+  }
+
+  return true;
+});
+
+// Validation 5h: Workflow state-machine graph analysis
+stage('workflow-graph', 'Workflow state-machine graph analysis', (ctx) => {
+  if (!ctx.domainName) {
+    ctx.log(`  ⚠ No domain directory found, skipping workflow analysis`);
+    return true;
+  }
+
+  const workflows = ctx.components.filter(component => component.type === 'workflows');
+
+  let errorCount = 0;
+  for (const workflow of workflows) {
+    errorCount += checkWorkflowGraph(ctx, workflow);
+  }
+
+  ctx.log(`  ✓ Analyzed ${workflows.length} workflow(s)`);
+
+  if (errorCount > 0) {
+    throw new Error(`${errorCount} workflow structure problem(s) found`);
+  }
+
+  return true;
+});
+
+// Validation 5i: Label translations (languages from vnext.config.json)
+stage('labels', 'Label translation completeness', (ctx) => {
+  if (!ctx.domainName) {
+    ctx.log(`  ⚠ No domain directory found, skipping label check`);
+    return true;
+  }
+
+  const languages = labels.configuredLanguages(ctx.config);
+  let errorCount = 0;
+  for (const component of ctx.components) {
+    errorCount += checkComponentLabels(ctx, component);
+  }
+
+  ctx.log(`  ✓ Languages: ${languages.join(', ')}`);
+  ctx.log(`  ✓ Checked labels of ${ctx.components.length} component(s)`);
+
+  if (errorCount > 0) {
+    throw new Error(`${errorCount} label translation problem(s) found`);
+  }
+
+  return true;
+});
+
+// Validation 5j: Workflow designer metadata (.meta/*.diagram.json) consistency
+stage('diagram-meta', 'Workflow diagram metadata consistency', (ctx) => {
+  if (!ctx.domainName) {
+    ctx.log(`  ⚠ No domain directory found, skipping diagram metadata check`);
+    return true;
+  }
+
+  const diagramFiles = listDiagramFiles(ctx);
+  for (const diagramFile of diagramFiles) {
+    checkDiagramFile(ctx, diagramFile);
+  }
+
+  ctx.log(`  ✓ Checked ${diagramFiles.length} diagram file(s)`);
+  if (ctx.diagnostics().length > 0) {
+    ctx.log(`  ⚠ ${ctx.diagnostics().length} diagram problem(s) found, run with --fix to update node positions`);
+  }
+
+  // Designer metadata does not affect the runtime, so problems are warnings only
+  return true;
+});
+
+// Validation 6: Module functionality test
+stage('module', 'Module functionality test', (ctx) => {
+  const vnextTemplate = ctx.loader;
+
+  // Test basic functionality
+  const availableTypes = vnextTemplate.getAvailableTypes();
+
+  if (!Array.isArray(availableTypes)) {
+    throw new Error('getAvailableTypes must return an array');
+  }
+
+  const expectedTypes = ['schemas', 'workflows', 'tasks', 'views', 'functions', 'extensions'];
+  for (const type of expectedTypes) {
+    if (!availableTypes.includes(type)) {
+      throw new Error(`Missing expected type: ${type}`);
+    }
+  }
+
+  // Test component getters
+  const componentGetters = [
+    'getSchemas',
+    'getWorkflows',
+    'getTasks',
+    'getViews',
+    'getFunctions',
+    'getExtensions'
+  ];
+
+  for (const getter of componentGetters) {
+    const result = vnextTemplate[getter]();
+    if (typeof result !== 'object' || result === null) {
+      throw new Error(`${getter} must return an object`);
+    }
+  }
+
+  ctx.log(`  ✓ All component getters working`);
+  ctx.log(`  ✓ Available types: ${availableTypes.join(', ')}`);
+
+  return true;
+});
+
+// Validation 7: Files array in package.json
+stage('files', 'Files array in package.json', (ctx) => {
+  const packageJson = ctx.packageJson;
+
+  if (!packageJson.files || !Array.isArray(packageJson.files)) {
+    throw new Error('package.json must include a files array');
+  }
+
+  // Check that critical files are included
+  const criticalFiles = ['index.js', 'package.json'];
+  for (const file of criticalFiles) {
+    if (!packageJson.files.includes(file)) {
+      throw new Error(`Critical file ${file} not included in files array`);
+    }
+  }
+
+  // Verify files exist (except for templated paths)
+  for (const file of packageJson.files) {
+    if (!file.includes('{') && !fs.existsSync(path.join(ctx.root, file))) {
+      ctx.log(`  ⚠ Warning: File ${file} listed in files array but does not exist`);
+    }
+  }
+
+  ctx.log(`  ✓ Files array contains ${packageJson.files.length} entries`);
+  return true;
+});
+
+// Validation 8: Semantic versioning compliance
+stage('semver', 'Semantic versioning compliance', (ctx) => {
+  const version = ctx.packageJson.version;
+
+  if (!semver.SEMVER_REGEX.test(version)) {
+    throw new Error(`Version ${version} does not follow semantic versioning`);
+  }
+
+  ctx.log(`  ✓ Version ${version} follows semantic versioning`);
+  return true;
+});
+
+// Check whether a stage is enabled by the rules option.
+// rules may be an array of stage ids to run, or an object mapping stage ids to false to skip them.
+function isStageEnabled(id, rules) {
+  if (!rules) {
+    return true;
+  }
+  if (Array.isArray(rules)) {
+    return rules.includes(id);
+  }
+  return rules[id] !== false;
+}
+
+// Fill in the defaults of a diagnostic reported by a stage
+function createDiagnostic(stageName, diagnostic) {
+  return Object.assign({
+    stage: stageName,
+    severity: 'error',
+    file: null,
+    pointer: null,
+    line: null,
+    column: null,
+    endLine: null,
+    endColumn: null
+  }, diagnostic);
+}
+
+// Create the validation context shared by the stages: project paths, vnext.config.json,
+// the domain loader and every loaded component. Options are those of validateProject.
+function createContext(options = {}) {
+  const root = path.resolve(options.root || process.cwd());
+  const packagePath = path.join(root, 'package.json');
+  const configPath = path.join(root, 'vnext.config.json');
+  const displayRoot = path.relative(process.cwd(), root) || '.';
+
+  // Unreadable component files are reported by the json-syntax stage instead of as warnings
+  const loader = createDomainLoader(displayRoot, { onLoadError: () => {} });
+  const domainName = loader.getDomainName();
+  let config = {};
+  try {
+    config = fs.existsSync(configPath) ? readJson(configPath) : {};
+  } catch (error) {
+    config = {};
+  }
+
+  return {
+    root,
+    displayRoot,
+    config,
+    loader,
+    domainName,
+    domainDir: domainName ? path.join(displayRoot, domainName) : null,
+    schemaPackage: options.schemaPackage || DEFAULT_SCHEMA_PACKAGE,
+    schemaValidation: {
+      enabled: false,
+      filesValidated: 0,
+      filesPassed: 0,
+      filesFailed: 0,
+      passedFiles: []
+    },
+    components: domainName ? references.loadComponents(loader, config, displayRoot) : [],
+    // Read on every access so that a broken package.json fails only the stages that use it
+    get packageJson() {
+      return readJson(packagePath);
+    }
+  };
+}
+
+// Run the validation stages against a project and return a structured result.
+// Options:
+//   root          - project root containing package.json and vnext.config.json (default: cwd)
+//   rules         - stage ids to run (array) or { stageId: false } to skip stages
+//   schemaPackage - schema package name or module (default: @burgan-tech/vnext-schema)
+function validateProject(options = {}) {
+  const ctx = createContext(options);
+  const stages = [];
+  let currentStage = null;
+
+  ctx.log = (text) => {
+    currentStage.log.push(text);
+  };
+
+  // Record a diagnostic ({ rule, severity, file, pointer, line, column, message }) for the running stage
+  ctx.report = (diagnostic) => {
+    currentStage.diagnostics.push(createDiagnostic(currentStage.name, diagnostic));
+  };
+
+  ctx.diagnostics = () => currentStage.diagnostics;
+
+  for (const definition of STAGES) {
+    if (!isStageEnabled(definition.id, options.rules)) {
+      continue;
+    }
+
+    currentStage = {
+      id: definition.id,
+      name: definition.name,
+      status: 'passed',
+      message: null,
+      durationMs: 0,
+      log: [],
+      diagnostics: []
+    };
+    stages.push(currentStage);
+    const startedAt = Date.now();
+
+    try {
+      if (definition.run(ctx) === false) {
+        currentStage.status = 'failed';
+      }
+    } catch (error) {
+      currentStage.status = 'failed';
+      currentStage.message = error.message;
+    }
+
+    // Failures without a specific diagnostic still need to show up in reports
+    if (currentStage.status === 'failed' && !currentStage.diagnostics.some(diagnostic => diagnostic.severity === 'error')) {
+      ctx.report({ rule: 'validation/failed', message: currentStage.message || `${definition.name} failed` });
+    }
+    currentStage.durationMs = Date.now() - startedAt;
+  }
+
+  const diagnostics = stages.reduce((all, item) => all.concat(item.diagnostics), []);
+  const passed = stages.filter(item => item.status === 'passed').length;
+  const failed = stages.length - passed;
+
+  return {
+    valid: failed === 0,
+    root: ctx.root,
+    tool: { name: toolPackage.name, version: toolPackage.version },
+    summary: {
+      passed,
+      failed,
+      total: stages.length,
+      errors: diagnostics.filter(diagnostic => diagnostic.severity === 'error').length,
+      warnings: diagnostics.filter(diagnostic => diagnostic.severity === 'warning').length,
+      schemaValidation: ctx.schemaValidation
+    },
+    stages,
+    diagnostics
+  };
+}
+
+module.exports = {
+  DEFAULT_SCHEMA_PACKAGE,
+  REQUIRED_EXPORTS,
+  STAGES,
+  isStageEnabled,
+  createContext,
+  createDiagnostic,
+  validateProject,
+  locatePointer,
+  loadSchemaValidators,
+  findSchemaValidator,
+  checkJsonFile,
+  checkSchemaFile,
+  checkWorkflowGraph,
+  checkWorkflowContract,
+  checkComponentConventions,
+  checkComponentLabels,
+  checkDiagramFile,
+  workflowsDirectory,
+  listDiagramFiles,
+  fixDiagramFiles,
+  referenceResolutionOptions
+};
@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createDomainLoader } = require('../index.js');
+const references = require('./references');
+const conventions = require('./conventions');
+const semver = require('./semver');
+const domainDiff = require('./domain-diff');
+const { readJsonFile, writeJsonFile } = require('./json-file');
+
+// Per-component version bumps derived from a domain diff (see domain-diff.js).
+// A component's bump is the highest severity of its changes. Changes inside a state or
+// transition are raised to that element's versionStrategy ("Major" or "Minor").
+
+const STRATEGY_SEVERITIES = { Major: 'major', Minor: 'minor' };
+
+// Helper function to read the value at a JSON pointer
+function valueAt(data, pointer) {
+  let node = data;
+  for (const part of pointer.split('/').slice(1)) {
+    const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (!node || typeof node !== 'object') {
+      return undefined;
+    }
+    node = node[key];
+  }
+  return node;
+}
+
+// Helper function to find the versionStrategy of the innermost state or transition
+// containing a pointer
+function strategyAt(content, pointer) {
+  const parts = pointer.split('/');
+  for (let length = parts.length; length > 1; length--) {
+    const node = valueAt(content, parts.slice(0, length).join('/'));
+    if (node && typeof node === 'object' && STRATEGY_SEVERITIES[node.versionStrategy]) {
+      return STRATEGY_SEVERITIES[node.versionStrategy];
+    }
+  }
+  return null;
+}
+
+// Helper function to pick the higher of two severities
+function higher(a, b) {
+  return domainDiff.SEVERITIES.indexOf(b) > domainDiff.SEVERITIES.indexOf(a) ? b : a;
+}
+
+// Helper function to check whether a version is lower than another (invalid versions never are)
+function isLower(version, other) {
+  return semver.isValid(version) && semver.isValid(other) && semver.compare(version, other) < 0;
+}
+
+// Helper function to propose the bumps of the components changed between two domains
+function proposeBumps(oldDomain, newDomain) {
+  const { changes } = domainDiff.diffDomains(oldDomain, newDomain);
+  const bySeverity = new Map();
+
+  for (const change of changes) {
+    const id = `${change.type}:${change.key}`;
+    const before = oldDomain.components.get(id);
+    const after = newDomain.components.get(id);
+    if (!before || !after) {
+      continue;
+    }
+    const strategy = change.type === 'workflows' && change.pointer
+      ? strategyAt((change.side === 'old' ? before : after).content, change.pointer)
+      : null;
+    const severity = strategy ? higher(change.severity, strategy) : change.severity;
+    bySeverity.set(id, bySeverity.has(id) ? higher(bySeverity.get(id), severity) : severity);
+  }
+
+  const components = [];
+  for (const [id, severity] of bySeverity) {
+    const before = oldDomain.components.get(id);
+    const after = newDomain.components.get(id);
+    const proposed = domainDiff.bumpVersion(before.content.version, severity);
+    components.push({
+      type: after.type,
+      key: after.content.key,
+      file: after.file,
+      baseVersion: before.content.version,
+      version: after.content.version,
+      severity,
+      proposed,
+      needed: isLower(after.content.version, proposed)
+    });
+  }
+
+  // The package bump covers every component bump, including added and removed components
+  const severity = changes.map(change => change.severity).concat(components.map(item => item.severity))
+    .reduce((highest, item) => (highest ? higher(highest, item) : item), null);
+  const packageProposed = domainDiff.bumpVersion(oldDomain.packageVersion, severity);
+  return {
+    domain: newDomain.config.domain,
+    severity,
+    changes,
+    components,
+    package: {
+      baseVersion: oldDomain.packageVersion,
+      version: newDomain.packageVersion,
+      severity,
+      proposed: packageProposed,
+      needed: Boolean(severity) && isLower(newDomain.packageVersion, packageProposed)
+    }
+  };
+}
+
+// Helper function to set the value at a JSON pointer
+function setValueAt(data, pointer, value) {
+  const parts = pointer.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const last = parts.pop();
+  const parent = parts.reduce((node, key) => node[key], data);
+  parent[last] = value;
+}
+
+// Helper function to list the reference updates that follow from bumped components
+// ([{ type, key, from, to, file }]): exact-version references by key and flow, and { ref }
+// file references to renamed files. Returns { edits: [{ file, pointer, value }], unmatched: [message] }.
+function referenceEdits(components, bumped, domain) {
+  const edits = [];
+  const unmatched = [];
+  for (const component of components) {
+    for (const reference of references.collectReferences(component.content)) {
+      if (reference.kind === 'component') {
+        const target = bumped.find(item => item.key === reference.key && reference.domain === domain &&
+          (!reference.flow || references.typeForFlow(reference.flow) === item.type));
+        if (!target || !reference.version) {
+          continue;
+        }
+        if (reference.version === target.from) {
+          edits.push({ file: component.file, pointer: `${reference.pointer}/version`, value: target.to });
+        } else if (semver.isRange(reference.version) && !semver.satisfies(target.to, reference.version)) {
+          unmatched.push(`${component.file}: reference ${references.describeReference(reference)} does not match ${target.to}`);
+        }
+      } else if (reference.kind === 'file') {
+        const [refFile, fragment] = reference.ref.split('#');
+        const target = bumped.find(item => !conventions.UNVERSIONED_FILE_TYPES.includes(item.type) &&
+          path.basename(refFile) === path.basename(item.file));
+        if (target) {
+          const renamed = path.posix.join(path.posix.dirname(refFile), conventions.componentFileName(target.type, target.key, target.to));
+          edits.push({ file: component.file, pointer: `${reference.pointer}/ref`, value: fragment === undefined ? renamed : `${renamed}#${fragment}` });
+        }
+      }
+    }
+  }
+  return { edits, unmatched };
+}
+
+// Helper function to list the needed bumps of a plan in the form used by referenceEdits
+function neededBumps(plan) {
+  return plan.components.filter(item => item.needed)
+    .map(item => ({ type: item.type, key: item.key, from: item.version, to: item.proposed, file: item.file }));
+}
+
+// Propose version bumps for the components and the package.
+// oldDomain and newDomain are loaded with domainDiff.loadDomain. Components whose references
+// applyBumps rewrites to a bumped version change too, so they are proposed for the bump the
+// rewritten content needs.
+// Returns { domain, severity, changes, components: [{ type, key, file, baseVersion, version, severity,
+// proposed, needed }], package: { baseVersion, version, severity, proposed, needed } }.
+function planBumps(oldDomain, newDomain) {
+  let domain = newDomain;
+  for (;;) {
+    const plan = proposeBumps(oldDomain, domain);
+    const { edits } = referenceEdits([...domain.components.values()], neededBumps(plan), domain.config.domain);
+    if (edits.length === 0) {
+      return plan;
+    }
+    const components = new Map();
+    for (const [id, component] of domain.components) {
+      const changes = edits.filter(item => item.file === component.file);
+      if (changes.length === 0) {
+        components.set(id, component);
+        continue;
+      }
+      const content = JSON.parse(JSON.stringify(component.content));
+      changes.forEach(change => setValueAt(content, change.pointer, change.value));
+      components.set(id, Object.assign({}, component, { content }));
+    }
+    domain = Object.assign({}, domain, { components });
+  }
+}
+
+// Most recent release tag reachable from HEAD, or null when the project has none
+function latestReleaseTag(cwd = process.cwd()) {
+  try {
+    return execFileSync('git', ['describe', '--tags', '--abbrev=0'], { cwd, encoding: 'utf8', stdio: 'pipe' }).trim() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Apply the needed bumps of a plan to a project:
+//   - set the new version in each component and rename versioned files (<key>.<version>.json)
+//   - update exact-version references and { ref } file references to bumped components
+//   - set package.json and vnext.config.json version to the proposed package version
+//   - keep the exports lists of vnext.config.json in line with renamed files
+// Returns { bumped: [{ type, key, from, to, file, renamedFrom }], updated: [file], unmatched: [message] }.
+function applyBumps(plan, root) {
+  const bumped = neededBumps(plan).map(item => Object.assign(item, { renamedFrom: null }));
+  const targetFile = item => path.join(path.dirname(item.file), conventions.componentFileName(item.type, item.key, item.to));
+
+  // Refuse to overwrite the file of an existing version before anything is written
+  const existing = bumped.filter(item => targetFile(item) !== item.file && fs.existsSync(targetFile(item)));
+  if (existing.length > 0) {
+    throw new Error(`Cannot bump ${existing.map(item => `${item.type}/${item.key} (${path.relative(root, targetFile(item))} already exists)`).join(', ')}`);
+  }
+
+  // The new versions, and the references to bumped components of the local domain
+  const loader = createDomainLoader(root);
+  const components = references.loadComponents(loader, loader.getDomainConfig(), root);
+  const { edits: referenceChanges, unmatched } = referenceEdits(components, bumped, plan.domain);
+  const edits = new Map();
+  for (const change of bumped.map(item => ({ file: item.file, pointer: '/version', value: item.to })).concat(referenceChanges)) {
+    if (!edits.has(change.file)) {
+      edits.set(change.file, []);
+    }
+    edits.get(change.file).push(change);
+  }
+
+  for (const [file, changes] of edits) {
+    const { data } = readJsonFile(file);
+    changes.forEach(change => setValueAt(data, change.pointer, change.value));
+    writeJsonFile(file, data);
+  }
+
+  // Rename versioned files after every edit is written
+  for (const item of bumped) {
+    if (conventions.UNVERSIONED_FILE_TYPES.includes(item.type)) {
+      continue;
+    }
+    const renamed = targetFile(item);
+    if (renamed !== item.file) {
+      fs.renameSync(item.file, renamed);
+      item.renamedFrom = item.file;
+      item.file = renamed;
+    }
+  }
+
+  const updated = [...edits.keys()].filter(file => !bumped.some(item => item.renamedFrom === file));
+  const renamed = bumped.filter(item => item.renamedFrom);
+  for (const name of ['package.json', 'vnext.config.json']) {
+    const file = path.join(root, name);
+    if (!fs.existsSync(file)) {
+      continue;
+    }
+    const { data } = readJsonFile(file);
+    let changed = false;
+    if (plan.package.needed) {
+      data.version = plan.package.proposed;
+      changed = true;
+    }
+    // Keep the export lists pointing at the renamed files
+    if (name === 'vnext.config.json' && data.exports) {
+      for (const item of renamed) {
+        const list = data.exports[item.type];
+        const index = Array.isArray(list) ? list.indexOf(path.basename(item.renamedFrom)) : -1;
+        if (index >= 0) {
+          list[index] = path.basename(item.file);
+          changed = true;
+        }
+      }
+    }
+    if (changed) {
+      writeJsonFile(file, data);
+      updated.push(file);
+    }
+  }
+
+  return { bumped, updated, unmatched };
+}
+
+module.exports = {
+  latestReleaseTag,
+  planBumps,
+  applyBumps
+};
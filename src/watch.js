@@ -0,0 +1,470 @@
+const fs = require('fs');
+const path = require('path');
+const validator = require('./validator');
+const references = require('./references');
+const diagramMeta = require('./diagram-meta');
+const discovery = require('./discovery');
+
+// Watch mode: validate the whole project once, then re-check only the component files that
+// change and the files whose references depend on them. Ajv validators stay compiled between runs.
+
+// Stages that watch mode re-runs per file; every other stage only runs on a full validation
+const INCREMENTAL_STAGES = ['json-syntax', 'schema', 'conventions', 'references', 'data-contract', 'workflow-graph', 'labels', 'diagram-meta'];
+
+// Project-wide stages that depend on which components exist and on their references to other
+// domains; re-run when a component is added, removed or renamed (vnext.config.json changes
+// trigger a full validation)
+const COMPONENT_SET_STAGES = ['exports', 'dependencies'];
+
+// Project files outside the domain directory that trigger a full validation when they change
+const PROJECT_FILES = ['package.json', 'vnext.config.json'];
+
+// Helper function to list every JSON file below a directory, metadata folders included
+function listJsonFiles(dirPath) {
+  return discovery.listJsonFiles(dirPath, { includeMetadata: true });
+}
+
+// Helper function to list a directory and all of its subdirectories
+function listDirectories(dirPath) {
+  const directories = [dirPath];
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      directories.push(...listDirectories(path.join(dirPath, entry.name)));
+    }
+  }
+  return directories;
+}
+
+// Helper function to check whether a path is inside a directory
+function isInside(dirPath, filePath) {
+  const relative = path.relative(dirPath, filePath);
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+// Helper function to build the "domain:key" index key of a component
+function componentKey(content) {
+  if (!content || typeof content !== 'object' || typeof content.key !== 'string') {
+    return null;
+  }
+  return `${content.domain}:${content.key}`;
+}
+
+// Create an incremental validation session. Options are those of validateProject.
+//   run()          - validate the whole project, returns { type: 'full', result, summary }
+//   update(files)  - re-check changed files and their dependents,
+//                    returns { type: 'change', changed, checked, diagnostics, summary }
+//   diagnostics()  - every outstanding diagnostic
+function createWatchSession(options = {}) {
+  let ctx = null;
+  let validators = null;
+  let projectProblems = [];
+  const componentSetProblems = new Map();
+  const components = new Map();
+  const fileProblems = new Map();
+  const referenceProblems = new Map();
+  const contractProblems = new Map();
+  const diagramProblems = new Map();
+  const knownFiles = new Set();
+
+  const enabled = id => validator.isStageEnabled(id, options.rules);
+  const stageName = id => validator.STAGES.find(definition => definition.id === id).name;
+
+  // Stand-in for the validation context of a single stage, collecting its diagnostics
+  const collector = (id) => {
+    const diagnostics = [];
+    return {
+      log: () => {},
+      report: diagnostic => diagnostics.push(validator.createDiagnostic(stageName(id), diagnostic)),
+      diagnostics: () => diagnostics
+    };
+  };
+
+  // Map a file to its component type when it is loaded by index.js
+  const componentTypeForFile = file => discovery.componentTypeForFile(ctx.domainDir, file, ctx.config);
+
+  // Re-run the per-file checks (syntax, schema, conventions, workflow graph, labels) for one file
+  const checkFile = (file) => {
+    fileProblems.delete(file);
+    if (!fs.existsSync(file)) {
+      components.delete(file);
+      knownFiles.delete(file);
+      return;
+    }
+    knownFiles.add(file);
+
+    const problems = [];
+    const syntax = collector('json-syntax');
+    let content;
+    let parsed = false;
+    try {
+      content = validator.checkJsonFile(syntax, file);
+      parsed = true;
+    } catch (error) {
+      if (enabled('json-syntax')) {
+        problems.push(...syntax.diagnostics());
+      }
+    }
+
+    const type = componentTypeForFile(file);
+    const schemaValidator = type && parsed && validators && enabled('schema')
+      ? validator.findSchemaValidator(validators, ctx.domainDir, file)
+      : null;
+    if (schemaValidator) {
+      const schema = collector('schema');
+      validator.checkSchemaFile(schema, file, schemaValidator);
+      problems.push(...schema.diagnostics());
+    }
+
+    if (type && parsed) {
+      components.set(file, { type, file, content });
+      if (enabled('conventions')) {
+        const naming = Object.assign(collector('conventions'), { config: ctx.config });
+        validator.checkComponentConventions(naming, components.get(file));
+        problems.push(...naming.diagnostics());
+      }
+      if (type === 'workflows' && enabled('workflow-graph')) {
+        const graph = collector('workflow-graph');
+        validator.checkWorkflowGraph(graph, components.get(file));
+        problems.push(...graph.diagnostics());
+      }
+      if (enabled('labels')) {
+        const translations = Object.assign(collector('labels'), { config: ctx.config });
+        validator.checkComponentLabels(translations, components.get(file));
+        problems.push(...translations.diagnostics());
+      }
+    } else {
+      components.delete(file);
+    }
+
+    if (problems.length > 0) {
+      fileProblems.set(file, problems);
+    }
+  };
+
+  // Re-check the data contracts of the given files that are workflows bound to a schema
+  const checkContracts = (sources, index) => {
+    sources.forEach(file => contractProblems.delete(file));
+    if (!enabled('data-contract')) {
+      return;
+    }
+    for (const file of sources) {
+      const component = components.get(file);
+      if (!component || component.type !== 'workflows') {
+        continue;
+      }
+      const contract = Object.assign(collector('data-contract'), { config: ctx.config, domainDir: ctx.domainDir });
+      validator.checkWorkflowContract(contract, component, index);
+      if (contract.diagnostics().length > 0) {
+        contractProblems.set(file, contract.diagnostics());
+      }
+    }
+  };
+
+  // Re-check the data contracts and re-resolve the references made by the given files
+  const resolveReferences = (sources) => {
+    sources.forEach(file => referenceProblems.delete(file));
+    const index = references.indexComponents([...components.values()]);
+    checkContracts(sources, index);
+
+    const resolution = validator.referenceResolutionOptions(ctx);
+    if (!enabled('references') || !resolution.enabled || !ctx.domainName) {
+      return;
+    }
+
+    const result = references.resolveAll(index, Object.assign({}, resolution, { sources }));
+    for (const diagnostic of result.diagnostics) {
+      if (!referenceProblems.has(diagnostic.file)) {
+        referenceProblems.set(diagnostic.file, []);
+      }
+      referenceProblems.get(diagnostic.file).push(validator.createDiagnostic(stageName('references'), diagnostic));
+    }
+  };
+
+  // Re-check the diagram file of a workflow against it (keyed by the diagram file)
+  const checkDiagram = (diagramFile) => {
+    diagramProblems.delete(diagramFile);
+    if (!enabled('diagram-meta') || !fs.existsSync(diagramFile)) {
+      return;
+    }
+    const diagram = collector('diagram-meta');
+    validator.checkDiagramFile(Object.assign({}, diagram, { components: [...components.values()] }), diagramFile);
+    if (diagram.diagnostics().length > 0) {
+      diagramProblems.set(diagramFile, diagram.diagnostics());
+    }
+  };
+
+  // Diagram file paired with a changed workflow or diagram file
+  const diagramFileFor = (file) => {
+    if (path.basename(path.dirname(file)) === diagramMeta.META_DIRECTORY) {
+      return file;
+    }
+    return componentTypeForFile(file) === 'workflows' ? diagramMeta.diagramMetaPath(file) : null;
+  };
+
+  // Identity of a component file for COMPONENT_SET_STAGES: its type and key, and the components
+  // of other domains it references; null when the file is not a loaded component
+  const componentIdentity = (file) => {
+    const component = components.get(file);
+    if (!component) {
+      return null;
+    }
+    const domain = validator.referenceResolutionOptions(ctx).domain;
+    const external = references.collectReferences(component.content)
+      .filter(reference => reference.kind === 'component' && reference.domain !== domain)
+      .map(reference => [reference.pointer, reference.domain, reference.key, reference.version]);
+    return JSON.stringify([component.type, componentKey(component.content), external]);
+  };
+
+  // Re-run a project-wide stage against the components known to the session
+  const runProjectStage = (id) => {
+    componentSetProblems.delete(id);
+    if (!enabled(id)) {
+      return;
+    }
+    const definition = validator.STAGES.find(item => item.id === id);
+    const stageContext = Object.assign(collector(id), {
+      root: ctx.root,
+      displayRoot: ctx.displayRoot,
+      config: ctx.config,
+      domainName: ctx.domainName,
+      domainDir: ctx.domainDir,
+      components: [...components.values()]
+    });
+    try {
+      if (definition.run(stageContext) === false) {
+        throw new Error(`${definition.name} failed`);
+      }
+    } catch (error) {
+      if (!stageContext.diagnostics().some(diagnostic => diagnostic.severity === 'error')) {
+        stageContext.report({ rule: 'validation/failed', message: error.message });
+      }
+    }
+    componentSetProblems.set(id, stageContext.diagnostics());
+  };
+
+  // Find the files whose references point at one of the given component keys or files
+  const findDependents = (keys, files) => {
+    const targets = new Set(files.map(file => path.resolve(file)));
+    const dependents = new Set();
+    for (const component of components.values()) {
+      for (const reference of references.collectReferences(component.content)) {
+        const dependsOnKey = reference.kind === 'component' && keys.has(`${reference.domain}:${reference.key}`);
+        const dependsOnFile = reference.kind === 'file' && targets.has(path.resolve(ctx.domainDir, reference.ref.split('#')[0]));
+        if (dependsOnKey || dependsOnFile) {
+          dependents.add(component.file);
+          break;
+        }
+      }
+    }
+    return dependents;
+  };
+
+  const problemsOf = file => (fileProblems.get(file) || [])
+    .concat(referenceProblems.get(file) || [])
+    .concat(contractProblems.get(file) || [])
+    .concat(diagramProblems.get(file) || []);
+
+  const diagnostics = () => {
+    let all = projectProblems.concat(...componentSetProblems.values());
+    for (const file of new Set([...fileProblems.keys(), ...referenceProblems.keys(), ...contractProblems.keys(), ...diagramProblems.keys()])) {
+      all = all.concat(problemsOf(file));
+    }
+    return all;
+  };
+
+  const summary = () => {
+    const all = diagnostics();
+    return {
+      errors: all.filter(diagnostic => diagnostic.severity === 'error').length,
+      warnings: all.filter(diagnostic => diagnostic.severity === 'warning').length,
+      files: new Set(all.map(diagnostic => diagnostic.file).filter(Boolean)).size
+    };
+  };
+
+  const run = () => {
+    const result = validator.validateProject(options);
+
+    ctx = validator.createContext(options);
+    try {
+      validators = validator.loadSchemaValidators(ctx.schemaPackage, ctx.root).validators;
+    } catch (error) {
+      validators = null;
+    }
+
+    projectProblems = result.stages
+      .filter(item => !INCREMENTAL_STAGES.includes(item.id) && !COMPONENT_SET_STAGES.includes(item.id))
+      .reduce((all, item) => all.concat(item.diagnostics), []);
+    componentSetProblems.clear();
+    result.stages
+      .filter(item => COMPONENT_SET_STAGES.includes(item.id))
+      .forEach(item => componentSetProblems.set(item.id, item.diagnostics));
+    components.clear();
+    fileProblems.clear();
+    referenceProblems.clear();
+    contractProblems.clear();
+    diagramProblems.clear();
+    knownFiles.clear();
+
+    if (ctx.domainDir) {
+      listJsonFiles(ctx.domainDir).forEach(checkFile);
+      resolveReferences([...components.keys()]);
+      validator.listDiagramFiles(ctx).forEach(checkDiagram);
+    }
+
+    return { type: 'full', result, summary: summary() };
+  };
+
+  const update = (files) => {
+    const changed = [...new Set(files.map(file => path.relative(process.cwd(), path.resolve(file))))];
+    if (!ctx || !ctx.domainDir || changed.some(file => !isInside(ctx.domainDir, file))) {
+      return run();
+    }
+
+    // Dependents are looked up by the keys each changed file had before and after the change
+    const keys = new Set();
+    const addKey = (file) => {
+      const key = components.has(file) ? componentKey(components.get(file).content) : null;
+      if (key) {
+        keys.add(key);
+      }
+    };
+    changed.forEach(addKey);
+    const identities = changed.map(componentIdentity);
+    changed.forEach(checkFile);
+    changed.forEach(addKey);
+
+    // Adding, removing or renaming a component can break exports and cross-domain dependencies
+    const rerun = changed.some((file, index) => componentIdentity(file) !== identities[index]) ? COMPONENT_SET_STAGES : [];
+    rerun.forEach(runProjectStage);
+
+    const diagramFiles = changed.map(diagramFileFor).filter(Boolean);
+    diagramFiles.forEach(checkDiagram);
+
+    const checked = [...new Set([
+      ...changed,
+      ...findDependents(keys, changed),
+      ...diagramFiles.filter(file => fs.existsSync(file))
+    ])];
+    resolveReferences(checked);
+
+    return {
+      type: 'change',
+      changed,
+      checked,
+      diagnostics: checked.reduce((all, file) => all.concat(problemsOf(file)), [])
+        .concat(...rerun.map(id => componentSetProblems.get(id) || [])),
+      summary: summary()
+    };
+  };
+
+  return {
+    run,
+    update,
+    diagnostics,
+    get context() {
+      return ctx;
+    },
+    // Known JSON files inside a directory, used when a directory is removed
+    filesIn: dirPath => [...knownFiles].filter(file => isInside(dirPath, file))
+  };
+}
+
+// Validate a project and keep re-validating it as files change.
+// Node < 19 does not support recursive fs.watch on Linux, so every directory is watched separately.
+// onUpdate receives the result of each run (see createWatchSession). Returns { close }.
+function watchProject(options = {}, onUpdate) {
+  const session = createWatchSession(options);
+  const watchers = new Map();
+  const pending = new Set();
+  const delay = options.debounceMs || 100;
+  let timer = null;
+
+  const watchDirectory = (dirPath, onEvent) => {
+    if (watchers.has(dirPath)) {
+      return;
+    }
+    try {
+      const watcher = fs.watch(dirPath, (eventType, filename) => onEvent(dirPath, filename ? filename.toString() : null));
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dirPath);
+      });
+      watchers.set(dirPath, watcher);
+    } catch (error) {
+      // The directory was removed before it could be watched
+    }
+  };
+
+  // Watch the domain directory tree, dropping watchers of removed directories
+  const syncWatchers = () => {
+    for (const [dirPath, watcher] of watchers) {
+      if (!fs.existsSync(dirPath)) {
+        watcher.close();
+        watchers.delete(dirPath);
+      }
+    }
+    const ctx = session.context;
+    watchDirectory(ctx.displayRoot, onRootEvent);
+    if (ctx.domainDir && fs.existsSync(ctx.domainDir)) {
+      listDirectories(ctx.domainDir).forEach(dirPath => watchDirectory(dirPath, onDomainEvent));
+    }
+  };
+
+  const flush = () => {
+    timer = null;
+    const files = [...pending];
+    pending.clear();
+    onUpdate(session.update(files));
+    syncWatchers();
+  };
+
+  const schedule = (file) => {
+    pending.add(file);
+    clearTimeout(timer);
+    timer = setTimeout(flush, delay);
+  };
+
+  function onRootEvent(dirPath, filename) {
+    if (filename && PROJECT_FILES.includes(filename)) {
+      schedule(path.join(dirPath, filename));
+    }
+  }
+
+  function onDomainEvent(dirPath, filename) {
+    if (!filename) {
+      listJsonFiles(dirPath).concat(session.filesIn(dirPath)).forEach(schedule);
+      return;
+    }
+
+    const fullPath = path.join(dirPath, filename);
+    if (fullPath.endsWith('.json')) {
+      schedule(fullPath);
+    } else if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+      // New directory: its files are picked up and it is watched after the next update
+      listJsonFiles(fullPath).forEach(schedule);
+      if (pending.size === 0) {
+        syncWatchers();
+      }
+    } else {
+      session.filesIn(fullPath).forEach(schedule);
+    }
+  }
+
+  onUpdate(session.run());
+  syncWatchers();
+
+  return {
+    session,
+    close() {
+      clearTimeout(timer);
+      watchers.forEach(watcher => watcher.close());
+      watchers.clear();
+    }
+  };
+}
+
+module.exports = {
+  INCREMENTAL_STAGES,
+  createWatchSession,
+  watchProject
+};
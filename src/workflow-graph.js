@@ -0,0 +1,154 @@
+// Structural analysis of workflow state machines.
+// Builds a directed graph from the start transition, state transitions and shared
+// transitions, then reports problems the JSON schema cannot express.
+
+// Pseudo node used for the workflow's start transition
+const START_NODE = '__start__';
+
+// State types (vNext runtime): 1 = initial, 2 = intermediate, 3 = finish, 4 = subflow
+const FINISH_STATE_TYPES = [3];
+
+function isFinishState(state) {
+  return FINISH_STATE_TYPES.includes(state.stateType);
+}
+
+// Build the state graph of a workflow instance
+function buildGraph(workflow) {
+  const attributes = (workflow && workflow.attributes) || {};
+  const states = Array.isArray(attributes.states) ? attributes.states : [];
+  const nodes = new Map();
+  const edges = [];
+
+  states.forEach((state, index) => {
+    if (state && typeof state.key === 'string' && !nodes.has(state.key)) {
+      nodes.set(state.key, { state, pointer: `/attributes/states/${index}` });
+    }
+  });
+
+  if (attributes.startTransition) {
+    edges.push({
+      from: START_NODE,
+      to: attributes.startTransition.target,
+      transition: attributes.startTransition,
+      pointer: '/attributes/startTransition',
+      shared: false
+    });
+  }
+
+  states.forEach((state, stateIndex) => {
+    const transitions = (state && Array.isArray(state.transitions)) ? state.transitions : [];
+    transitions.forEach((transition, index) => {
+      edges.push({
+        from: state.key,
+        to: transition.target,
+        transition,
+        pointer: `/attributes/states/${stateIndex}/transitions/${index}`,
+        shared: false
+      });
+    });
+  });
+
+  const sharedTransitions = Array.isArray(attributes.sharedTransitions) ? attributes.sharedTransitions : [];
+  sharedTransitions.forEach((transition, index) => {
+    const availableIn = Array.isArray(transition.availableIn) && transition.availableIn.length > 0
+      ? transition.availableIn
+      : [...nodes.keys()].filter(key => !isFinishState(nodes.get(key).state));
+    for (const from of availableIn) {
+      edges.push({
+        from,
+        to: transition.target,
+        transition,
+        pointer: `/attributes/sharedTransitions/${index}`,
+        shared: true
+      });
+    }
+  });
+
+  return { nodes, edges };
+}
+
+// Return the set of state keys reachable from the start transition
+function findReachable(graph) {
+  const reachable = new Set();
+  const queue = [START_NODE];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    for (const edge of graph.edges) {
+      if (edge.from === current && graph.nodes.has(edge.to) && !reachable.has(edge.to)) {
+        reachable.add(edge.to);
+        queue.push(edge.to);
+      }
+    }
+  }
+  return reachable;
+}
+
+// Analyze a workflow and return a list of diagnostics ({ rule, severity, pointer, message })
+function analyzeWorkflow(workflow) {
+  const graph = buildGraph(workflow);
+  const diagnostics = [];
+  const report = (rule, pointer, message, severity = 'error') => {
+    diagnostics.push({ rule, severity, pointer, message });
+  };
+
+  const attributes = (workflow && workflow.attributes) || {};
+  if (!attributes.startTransition) {
+    report('workflow/missing-start', '/attributes', 'Workflow has no startTransition');
+  }
+
+  const seen = new Set();
+  (attributes.states || []).forEach((state, index) => {
+    if (state && seen.has(state.key)) {
+      report('workflow/duplicate-state', `/attributes/states/${index}/key`, `State "${state.key}" is defined more than once`);
+    }
+    seen.add(state && state.key);
+  });
+
+  (attributes.sharedTransitions || []).forEach((transition, index) => {
+    (transition.availableIn || []).forEach((stateKey, stateIndex) => {
+      if (!graph.nodes.has(stateKey)) {
+        report('workflow/unknown-state',
+          `/attributes/sharedTransitions/${index}/availableIn/${stateIndex}`,
+          `Shared transition "${transition.key}" is available in unknown state "${stateKey}"`);
+      }
+    });
+  });
+
+  const reportedTargets = new Set();
+  for (const edge of graph.edges) {
+    if (!graph.nodes.has(edge.to) && !reportedTargets.has(edge.pointer)) {
+      reportedTargets.add(edge.pointer);
+      const source = edge.from === START_NODE ? 'Start transition' : `Transition "${edge.transition.key}"`;
+      report('workflow/unknown-target', `${edge.pointer}/target`, `${source} targets unknown state "${edge.to}"`);
+    }
+  }
+
+  const reachable = findReachable(graph);
+  for (const [key, node] of graph.nodes) {
+    const outgoing = graph.edges.filter(edge => edge.from === key);
+
+    if (!reachable.has(key)) {
+      report('workflow/unreachable-state', node.pointer, `State "${key}" is not reachable from the start transition`);
+    }
+
+    if (isFinishState(node.state)) {
+      if (outgoing.length > 0) {
+        const keys = [...new Set(outgoing.map(edge => edge.transition.key))].join(', ');
+        report('workflow/finish-with-transitions', node.pointer, `Finish state "${key}" has outgoing transitions (${keys})`);
+      }
+    } else if (outgoing.length === 0) {
+      report('workflow/dead-end', node.pointer, `Non-final state "${key}" has no outgoing transitions`);
+    }
+  }
+
+  return diagnostics;
+}
+
+module.exports = {
+  START_NODE,
+  FINISH_STATE_TYPES,
+  isFinishState,
+  buildGraph,
+  findReachable,
+  analyzeWorkflow
+};
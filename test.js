@@ -1,6 +1,7 @@
 #!/usr/bin/env node
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 // Test script for morph-touch package
@@ -21,6 +22,37 @@ function test(description, testFunction) {
   }
 }
 
+// Helper function to run part of a test in a temporary directory that is removed afterwards
+function withTempDir(name, body) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), `morph-touch-${name}-`));
+  try {
+    return body(tempDir);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Helper function to copy a file or directory tree
+function copyPath(source, target) {
+  if (fs.statSync(source).isDirectory()) {
+    fs.mkdirSync(target, { recursive: true });
+    fs.readdirSync(source).forEach(name => copyPath(path.join(source, name), path.join(target, name)));
+  } else {
+    fs.copyFileSync(source, target);
+  }
+}
+
+// Helper function to copy this project (package.json, vnext.config.json and the domain) into a directory
+function copyProject(targetDir) {
+  ['package.json', 'vnext.config.json', 'touch'].forEach(name => copyPath(path.join(__dirname, name), path.join(targetDir, name)));
+}
+
+// Helper function to write a JSON file, creating its directory
+function writeJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
 // Test 1: Module can be required
 test('Module can be required', () => {
   const vnextTemplate = require('./index.js');
@@ -41,7 +73,15 @@ test('Module exports expected functions', () => {
     'getFunctions',
     'getExtensions',
     'getAvailableTypes',
-    'getDomainName'
+    'getDomainName',
+    'getExports',
+    'reload',
+    'getLoadErrors',
+    'iterateComponents',
+    'listVersions',
+    'getLatest',
+    'getComponent',
+    'findByTag'
   ];
   
   for (const func of expectedFunctions) {
@@ -187,6 +227,1229 @@ test('JSON files in domain directory are valid', () => {
   }
 });
 
+// Test 11: Version ranges are matched against component versions
+test('Version ranges match component versions', () => {
+  const semver = require('./src/semver');
+  const cases = [
+    ['1.0.0', '1.0.0', true],
+    ['1.2.3', '^1.0.0', true],
+    ['2.0.0', '^1.0.0', false],
+    ['1.0.5', '~1.0.0', true],
+    ['1.1.0', '~1.0.0', false],
+    ['1.4.0', '1.x', true],
+    ['1.4.0', '>=1.0.0 <1.4.0', false],
+    ['3.0.0', '^1.0.0 || ^3.0.0', true],
+    ['2.5.0', '>=1', true],
+    ['1.5.0', '>=1.2', true],
+    ['2.0.0', '>=1.0', true]
+  ];
+
+  for (const [version, range, expected] of cases) {
+    if (semver.satisfies(version, range) !== expected) {
+      throw new Error(`Expected ${version} ${expected ? 'to' : 'not to'} satisfy ${range}`);
+    }
+  }
+
+  if (semver.maxSatisfying(['1.0.0', '1.2.0', '2.0.0'], '^1.0.0') !== '1.2.0') {
+    throw new Error('maxSatisfying should pick the highest matching version');
+  }
+});
+
+// Test 12: Domain references resolve without dangling targets
+test('Domain component references resolve', () => {
+  const vnextTemplate = require('./index.js');
+  const references = require('./src/references');
+  const config = vnextTemplate.getDomainConfig() || {};
+  const index = references.indexComponents(references.loadComponents(vnextTemplate, config));
+  const result = references.resolveAll(index, { domain: config.domain });
+
+  if (result.diagnostics.length > 0) {
+    throw new Error(result.diagnostics.map(diagnostic => diagnostic.message).join('; '));
+  }
+});
+
+// Test 13: Dangling and ambiguous references are reported
+test('Dangling and ambiguous references are reported', () => {
+  const references = require('./src/references');
+  const subFlowTo = (key, version) => ({
+    key: 'parent',
+    domain: 'demo',
+    flow: 'sys-flows',
+    version: '1.0.0',
+    attributes: {
+      states: [{ key: 'sub', subFlow: { process: { key, domain: 'demo', flow: 'sys-flows', version } } }]
+    }
+  });
+  const child = version => ({ key: 'child', domain: 'demo', flow: 'sys-flows', version, attributes: {} });
+
+  const index = references.indexComponents([
+    { type: 'workflows', file: 'parent.json', content: subFlowTo('child', '^1.0.0') },
+    { type: 'workflows', file: 'missing.json', content: subFlowTo('missing', '1.0.0') },
+    { type: 'workflows', file: 'child.json', content: child('1.1.0') },
+    { type: 'workflows', file: 'child-copy.json', content: child('1.1.0') }
+  ]);
+  const result = references.resolveAll(index, { domain: 'demo', strictMode: false });
+  const rules = result.diagnostics.map(diagnostic => diagnostic.rule).sort();
+
+  if (rules.join(',') !== 'reference/ambiguous,reference/dangling') {
+    throw new Error(`Unexpected diagnostics: ${rules.join(', ')}`);
+  }
+  if (result.diagnostics.some(diagnostic => diagnostic.severity !== 'warning')) {
+    throw new Error('Non-strict mode should report warnings');
+  }
+  if (result.diagnostics[0].pointer !== '/attributes/states/0/subFlow/process') {
+    throw new Error(`Unexpected pointer: ${result.diagnostics[0].pointer}`);
+  }
+});
+
+// Test 14: Domain workflows have a sound state-machine structure
+test('Domain workflows pass graph analysis', () => {
+  const vnextTemplate = require('./index.js');
+  const workflowGraph = require('./src/workflow-graph');
+  const workflows = vnextTemplate.getWorkflows();
+
+  for (const [name, workflow] of Object.entries(workflows)) {
+    const diagnostics = workflowGraph.analyzeWorkflow(workflow);
+    if (diagnostics.length > 0) {
+      throw new Error(`${name}: ${diagnostics.map(diagnostic => diagnostic.message).join('; ')}`);
+    }
+  }
+});
+
+// Test 15: Graph analysis reports structural problems
+test('Graph analysis reports structural problems', () => {
+  const workflowGraph = require('./src/workflow-graph');
+  const transition = (key, target) => ({ key, target });
+  const workflow = {
+    attributes: {
+      startTransition: transition('start', 'draft'),
+      sharedTransitions: [{ key: 'cancel', target: 'cancelled', availableIn: ['draft', 'done'] }],
+      states: [
+        { key: 'draft', stateType: 1, transitions: [transition('submit', 'sumbitted'), transition('wait', 'waiting'), transition('finish', 'done')] },
+        { key: 'waiting', stateType: 2, transitions: [] },
+        { key: 'orphan', stateType: 2, transitions: [transition('finish', 'done')] },
+        { key: 'done', stateType: 3 },
+        { key: 'cancelled', stateType: 3 }
+      ]
+    }
+  };
+
+  const rules = workflowGraph.analyzeWorkflow(workflow).map(diagnostic => `${diagnostic.rule}@${diagnostic.pointer}`);
+  const expected = [
+    'workflow/unknown-target@/attributes/states/0/transitions/0/target',
+    'workflow/dead-end@/attributes/states/1',
+    'workflow/unreachable-state@/attributes/states/2',
+    'workflow/finish-with-transitions@/attributes/states/3'
+  ];
+
+  for (const rule of expected) {
+    if (!rules.includes(rule)) {
+      throw new Error(`Expected ${rule}, got: ${rules.join(', ')}`);
+    }
+  }
+  if (rules.length !== expected.length) {
+    throw new Error(`Unexpected extra diagnostics: ${rules.join(', ')}`);
+  }
+});
+
+// Test 16: Validation reports render in machine-readable formats
+test('Validation reports render as JSON, JUnit and SARIF', () => {
+  const reporters = require('./src/reporters');
+  const diagnostic = {
+    stage: 'Workflow state-machine graph analysis',
+    rule: 'workflow/unknown-target',
+    severity: 'error',
+    file: path.join('demo', 'Workflows', 'flow.json'),
+    pointer: '/attributes/states/0/transitions/0/target',
+    line: 12,
+    column: 19,
+    message: 'Transition "go" targets unknown state "<missing>"'
+  };
+  const report = {
+    tool: { name: '@burgan-tech/morph-touch', version: '1.0.0' },
+    summary: { passed: 0, failed: 1, total: 1, errors: 1, warnings: 0 },
+    stages: [{ name: diagnostic.stage, status: 'failed', message: '1 problem', durationMs: 3, diagnostics: [diagnostic] }],
+    diagnostics: [diagnostic]
+  };
+
+  const json = JSON.parse(reporters.formatReport(report, 'json'));
+  if (json.diagnostics[0].rule !== diagnostic.rule) {
+    throw new Error('JSON report should contain diagnostics');
+  }
+
+  const junit = reporters.formatReport(report, 'junit');
+  if (!junit.includes('<failure message="1 problem"') || !junit.includes('&quot;&lt;missing&gt;&quot;')) {
+    throw new Error('JUnit report should contain an escaped failure');
+  }
+
+  const sarif = JSON.parse(reporters.formatReport(report, 'sarif'));
+  const result = sarif.runs[0].results[0];
+  const region = result.locations[0].physicalLocation.region;
+  if (sarif.version !== '2.1.0' || result.ruleId !== diagnostic.rule || region.startLine !== 12 || region.startColumn !== 19) {
+    throw new Error('SARIF report should carry rule id and region');
+  }
+  if (result.locations[0].physicalLocation.artifactLocation.uri !== 'demo/Workflows/flow.json') {
+    throw new Error('SARIF artifact URIs should use forward slashes');
+  }
+});
+
+// Test 17: validateProject runs selected stages in-process
+test('validateProject returns a structured result', () => {
+  const { validateProject } = require('./validate.js');
+  const result = validateProject({ root: __dirname, rules: ['package', 'workflow-graph'] });
+
+  if (!result.valid || result.summary.total !== 2) {
+    throw new Error(`Expected 2 passing stages, got ${JSON.stringify(result.summary)}`);
+  }
+  if (result.stages.map(stage => stage.id).join(',') !== 'package,workflow-graph') {
+    throw new Error('rules should select the stages to run');
+  }
+  if (!result.stages[0].log.some(line => line.includes('Package name'))) {
+    throw new Error('Stage log lines should be returned instead of printed');
+  }
+});
+
+// Test 18: validateProject uses the given schema package
+test('validateProject validates against a custom schema package', () => {
+  const { validateProject } = require('./validate.js');
+  const schemaPackage = {
+    getAvailableTypes: () => ['workflow'],
+    getSchema: () => ({ type: 'object', required: ['key', 'flowVersion'] })
+  };
+  const result = validateProject({ root: __dirname, rules: { package: false }, schemaPackage });
+  const schemaStage = result.stages.find(stage => stage.id === 'schema');
+
+  if (result.valid || schemaStage.status !== 'failed') {
+    throw new Error('Workflows without flowVersion should fail the custom schema');
+  }
+  const diagnostic = schemaStage.diagnostics.find(item => item.rule === 'schema/required' && item.params.missingProperty === 'flowVersion');
+  if (!diagnostic || !diagnostic.file.endsWith('.json') || diagnostic.pointer !== '') {
+    throw new Error('Schema failures should be reported as diagnostics');
+  }
+  if (result.stages.some(stage => stage.id === 'package')) {
+    throw new Error('Disabled stages should not run');
+  }
+});
+
+// Test 19: JSON source maps give exact positions
+test('JSON source map locates pointers and syntax errors', () => {
+  const jsonSourceMap = require('./src/json-source-map');
+  const text = '{\n  "key": "demo",\n  "states": [\n    { "target": "done" }\n  ]\n}\n';
+  const sourceMap = jsonSourceMap.parse(text);
+
+  if (JSON.stringify(sourceMap.data) !== JSON.stringify(JSON.parse(text))) {
+    throw new Error('Parsed data should match JSON.parse');
+  }
+  const location = jsonSourceMap.locate(sourceMap, '/states/0/target');
+  if (location.line !== 4 || location.column !== 7 || location.endColumn !== 23) {
+    throw new Error(`Unexpected location ${JSON.stringify(location)}`);
+  }
+  const fallback = jsonSourceMap.locate(sourceMap, '/states/0/missing');
+  if (fallback.pointer !== '/states/0' || fallback.line !== 4) {
+    throw new Error('Missing pointers should fall back to their parent');
+  }
+  const proto = jsonSourceMap.parse('{"__proto__": {"polluted": true}}').data;
+  if (proto.polluted !== undefined || Object.getPrototypeOf(proto) !== Object.prototype || !Object.keys(proto).includes('__proto__')) {
+    throw new Error('"__proto__" should be parsed as an own property, as JSON.parse does');
+  }
+
+  try {
+    jsonSourceMap.parse('{\n  "key": "demo",\n}');
+    throw new Error('Trailing commas should be rejected');
+  } catch (error) {
+    if (!(error instanceof jsonSourceMap.JsonSyntaxError) || error.line !== 3 || error.column !== 1) {
+      throw error;
+    }
+  }
+});
+
+// Test 20: Watch sessions re-check changed files and their dependents
+test('Watch session re-validates changed files and dependents', () => {
+  const { createWatchSession } = require('./src/watch');
+
+  withTempDir('watch', (tempRoot) => {
+    copyProject(tempRoot);
+    const session = createWatchSession({ root: tempRoot, rules: ['json-syntax', 'references', 'workflow-graph'] });
+    if (session.run().summary.errors !== 0) {
+      throw new Error('The copied project should start without errors');
+    }
+
+    const workflowPath = path.join(tempRoot, 'touch', 'Workflows', 'rezervation.json');
+    const original = fs.readFileSync(workflowPath, 'utf8');
+    fs.writeFileSync(workflowPath, original.replace('"key": "rezervation"', '"key": "reservation-renamed"'));
+    let update = session.update([workflowPath]);
+    if (!update.checked.some(file => file.endsWith('advisor-hub.json'))) {
+      throw new Error('Workflows referencing the changed workflow should be re-checked');
+    }
+    if (!update.diagnostics.some(diagnostic => diagnostic.rule.startsWith('reference/') && diagnostic.file.endsWith('advisor-hub.json'))) {
+      throw new Error('Renaming a referenced workflow should break its references');
+    }
+
+    fs.writeFileSync(workflowPath, '{ "key": ');
+    update = session.update([workflowPath]);
+    if (!update.diagnostics.some(diagnostic => diagnostic.rule === 'json/syntax' && diagnostic.line === 1)) {
+      throw new Error('Syntax errors should be reported for the changed file');
+    }
+
+    fs.writeFileSync(workflowPath, original);
+    update = session.update([workflowPath]);
+    if (update.summary.errors !== 0 || session.diagnostics().length !== 0) {
+      throw new Error('Restoring the file should clear its problems');
+    }
+
+    // Renaming an exported component breaks the exports list until it is renamed back
+    const exportsSession = createWatchSession({ root: tempRoot, rules: ['json-syntax', 'exports'] });
+    exportsSession.run();
+    const renamedPath = path.join(tempRoot, 'touch', 'Workflows', 'start-chat-renamed.json');
+    const startChatPath = path.join(tempRoot, 'touch', 'Workflows', 'start-chat.json');
+    fs.renameSync(startChatPath, renamedPath);
+    update = exportsSession.update([startChatPath, renamedPath]);
+    if (!update.diagnostics.some(diagnostic => diagnostic.rule === 'export/missing' && diagnostic.message.includes('start-chat.json'))) {
+      throw new Error('Renaming an exported file should report export/missing');
+    }
+    fs.renameSync(renamedPath, startChatPath);
+    update = exportsSession.update([startChatPath, renamedPath]);
+    if (update.summary.errors !== 0) {
+      throw new Error('Renaming the file back should clear export/missing');
+    }
+  });
+});
+
+// Test 21: Workflows render as Mermaid and DOT diagrams
+test('Workflows render as Mermaid and DOT diagrams', () => {
+  const diagram = require('./src/diagram');
+  const workflowPath = path.join('touch', 'Workflows', 'advisor-hub.json');
+  const workflow = JSON.parse(fs.readFileSync(workflowPath, 'utf8'));
+  const model = diagram.buildDiagram(workflow, { language: 'tr-TR', meta: diagram.loadDiagramMeta(workflowPath) });
+
+  if (model.title !== 'Finansal Rehberler' || !model.nodes.every(node => node.position)) {
+    throw new Error('Diagram should use tr-TR labels and designer positions');
+  }
+
+  const mermaid = diagram.renderDiagram(model, 'mermaid');
+  if (!mermaid.includes('stateDiagram-v2') || !mermaid.includes('[*] --> s_main : Başla') ||
+      !mermaid.includes('SubFlow touch/start-chat@1.0.0')) {
+    throw new Error('Mermaid output is missing the start transition or subflow box');
+  }
+
+  const dot = diagram.renderDiagram(model, 'dot');
+  if (!dot.includes('subgraph "cluster_subflow-start-chat"') || !dot.includes('pos="100,-500!"')) {
+    throw new Error('DOT output is missing the subflow cluster or pinned positions');
+  }
+});
+
+// Test 22: Diagram metadata is checked against its workflow and can be fixed
+test('Diagram metadata consistency check and fix', () => {
+  const diagramMeta = require('./src/diagram-meta');
+  const { validateProject } = require('./validate.js');
+  const workflow = {
+    key: 'demo',
+    attributes: {
+      startTransition: { key: 'start', target: 'draft' },
+      states: [
+        { key: 'draft', stateType: 1, transitions: [{ key: 'activate', target: 'active' }] },
+        { key: 'active', stateType: 3, transitions: [] }
+      ]
+    }
+  };
+  const meta = { nodePos: { __start__: { x: 0, y: 0 }, draft: { x: 100, y: 100 }, removed: { x: 400, y: 100 } } };
+
+  const rules = diagramMeta.checkDiagramMeta(workflow, meta).map(diagnostic => diagnostic.rule).sort();
+  if (JSON.stringify(rules) !== JSON.stringify(['meta/missing-position', 'meta/stale-position'])) {
+    throw new Error(`Unexpected diagnostics: ${rules.join(', ')}`);
+  }
+
+  const fixed = diagramMeta.fixDiagramMeta(workflow, meta);
+  if (fixed.removed[0] !== 'removed' || fixed.added[0] !== 'active' || fixed.meta.nodePos.active.y !== 300) {
+    throw new Error('Fix should prune stale positions and place new states below their source');
+  }
+  if (diagramMeta.checkDiagramMeta(workflow, fixed.meta).length !== 0 || !meta.nodePos.removed) {
+    throw new Error('Fixed metadata should be consistent without changing the input');
+  }
+
+  const result = validateProject({ root: __dirname, rules: ['diagram-meta'] });
+  if (!result.valid || !result.diagnostics.some(diagnostic => diagnostic.rule === 'meta/orphan-diagram' &&
+      diagnostic.file.endsWith('new-rezervation.diagram.json'))) {
+    throw new Error('Orphan diagram files should be reported as warnings');
+  }
+
+  // --fix skips diagram files that are not valid JSON and reports them
+  withTempDir('diagram-fix', (tempRoot) => {
+    copyProject(tempRoot);
+    const brokenMeta = path.join(tempRoot, 'touch', 'Workflows', '.meta', 'rezervation.diagram.json');
+    fs.writeFileSync(brokenMeta, '{\n  "nodePos": {\n}');
+    const { fixDiagramFiles } = require('./src/validator');
+    const skipped = fixDiagramFiles({ root: tempRoot }).filter(item => item.diagnostic);
+    if (skipped.length !== 1 || path.resolve(skipped[0].file) !== brokenMeta || skipped[0].diagnostic.rule !== 'json/syntax' ||
+        skipped[0].diagnostic.line !== 3 || fs.readFileSync(brokenMeta, 'utf8') !== '{\n  "nodePos": {\n}') {
+      throw new Error(`Invalid diagram files should be reported and left alone, got ${JSON.stringify(skipped)}`);
+    }
+  });
+});
+
+// Test 23: Generated components are placed by vnext.config.json and pass validation
+test('Generated components pass validation', () => {
+  const generator = require('./src/generator');
+  const { validateProject } = require('./validate.js');
+
+  withTempDir('generate', (tempRoot) => {
+    const config = JSON.parse(fs.readFileSync('vnext.config.json', 'utf8'));
+    fs.writeFileSync(path.join(tempRoot, 'vnext.config.json'), JSON.stringify(config));
+    fs.mkdirSync(path.join(tempRoot, 'touch', 'Workflows'), { recursive: true });
+
+    const workflow = generator.generateComponent('workflow', 'order-approval', { root: tempRoot });
+    generator.generateComponent('schema', 'order-approval', { root: tempRoot });
+    generator.generateComponent('task', 'send-notification', { root: tempRoot });
+    generator.generateComponent('view', 'order-form', { root: tempRoot });
+    const fn = generator.generateComponent('function', 'notify-user', { root: tempRoot, task: 'send-notification' });
+    generator.generateComponent('extension', 'audit-log', { root: tempRoot, task: 'send-notification' });
+
+    if (workflow.file !== path.join(tempRoot, 'touch', 'Workflows', 'order-approval.json') ||
+        !fs.existsSync(path.join(tempRoot, 'touch', 'Schemas', 'order-approval.1.0.0.json'))) {
+      throw new Error('Components should be written to their configured folders');
+    }
+    const states = workflow.component.attributes.states.map(state => `${state.key}:${state.stateType}`);
+    if (states.join(',') !== 'draft:1,active:2,passive:3' ||
+        workflow.component.attributes.states[0].labels.length !== 2) {
+      throw new Error('Workflows should follow the draft/active/passive lifecycle with labels per language');
+    }
+    if (fn.component.attributes.task.task.version !== '1.0.0') {
+      throw new Error('Functions should reference the latest version of their task');
+    }
+
+    const result = validateProject({ root: tempRoot, rules: ['json-syntax', 'conventions', 'references', 'workflow-graph'] });
+    if (!result.valid || result.diagnostics.length > 0) {
+      throw new Error(result.diagnostics.map(diagnostic => diagnostic.message).join('; ') || 'Validation failed');
+    }
+
+    let duplicate = null;
+    try {
+      generator.generateComponent('workflow', 'order-approval', { root: tempRoot });
+    } catch (error) {
+      duplicate = error;
+    }
+    if (!duplicate || !duplicate.message.includes('already exists')) {
+      throw new Error('Existing files should not be overwritten without force');
+    }
+  });
+});
+
+// Test 24: Label translations are checked and round-trip through CSV and XLIFF
+test('Label translations check and CSV/XLIFF round trip', () => {
+  const labels = require('./src/labels');
+  const translations = require('./src/translations');
+  const workflow = {
+    key: 'demo',
+    attributes: {
+      labels: [{ label: 'Demo', language: 'en-US' }, { label: 'Demo', language: 'tr-TR' }],
+      states: [
+        { key: 'draft', labels: [{ label: 'Draft', language: 'en-US' }, { label: ' ', language: 'tr-TR' }], transitions: [] },
+        { key: 'active', labels: [{ label: 'Active', language: 'en-US' }, { label: 'Active', language: 'en-US' }], transitions: [] }
+      ]
+    }
+  };
+
+  const rules = labels.checkLabels(workflow, ['en-US', 'tr-TR']).map(diagnostic => `${diagnostic.rule} ${diagnostic.pointer}`).sort();
+  const expected = [
+    'label/blank /attributes/states/0/labels/1/label',
+    'label/duplicate /attributes/states/1/labels/1/language',
+    'label/missing /attributes/states/1/labels'
+  ];
+  if (JSON.stringify(rules) !== JSON.stringify(expected)) {
+    throw new Error(`Unexpected diagnostics: ${rules.join(', ')}`);
+  }
+
+  withTempDir('labels', (tempDir) => {
+    const file = path.join(tempDir, 'Workflows', 'demo.json');
+    writeJson(file, workflow);
+    const entries = translations.collectEntries([{ file, content: workflow }], tempDir);
+
+    const csv = translations.formatCsv(entries, ['en-US', 'tr-TR'])
+      .replace('Draft, \r\n', 'Draft,"Taslak, yeni"\r\n');
+    const imported = translations.applyTranslations(translations.parseCsv(csv), tempDir);
+    const draft = JSON.parse(fs.readFileSync(file, 'utf8')).attributes.states[0];
+    if (imported.updated !== 1 || draft.labels[1].label !== 'Taslak, yeni') {
+      throw new Error('Translated CSV cells should update existing labels');
+    }
+
+    const xliff = translations.formatXliff(entries, 'en-US', 'tr-TR')
+      .replace('<target state="needs-translation"></target>', '<target>Aktif &amp; açık</target>');
+    translations.applyTranslations(translations.parseXliff(xliff), tempDir);
+    const active = JSON.parse(fs.readFileSync(file, 'utf8')).attributes.states[1];
+    if (!active.labels.some(entry => entry.language === 'tr-TR' && entry.label === 'Aktif & açık')) {
+      throw new Error('Translated XLIFF units should add missing labels');
+    }
+
+    // Ids pointing outside the domain directory are never written
+    const outside = path.join(tempDir, 'outside.json');
+    fs.writeFileSync(outside, '{ "labels": [] }\n');
+    const escaped = translations.applyTranslations(
+      [{ id: '../outside.json#/labels', language: 'tr-TR', label: 'Dışarı' }], path.join(tempDir, 'Workflows'));
+    if (escaped.updated !== 0 || !escaped.unknown.includes('../outside.json#/labels') ||
+        fs.readFileSync(outside, 'utf8') !== '{ "labels": [] }\n') {
+      throw new Error('Translation ids outside the domain directory should be listed as unknown');
+    }
+
+    // Only label sets are written, not other arrays the pointer may name
+    const before = fs.readFileSync(file, 'utf8');
+    const notLabels = translations.applyTranslations(
+      [{ id: 'Workflows/demo.json#/attributes/states', language: 'en-US', label: 'oops' }], tempDir);
+    if (notLabels.updated !== 0 || !notLabels.unknown.includes('Workflows/demo.json#/attributes/states') ||
+        fs.readFileSync(file, 'utf8') !== before) {
+      throw new Error('Translation ids that do not name a label set should be listed as unknown');
+    }
+  });
+});
+
+// Test 25: Component file names, keys, versions and domains follow the configured rules
+test('Component naming and version conventions', () => {
+  const conventions = require('./src/conventions');
+  const config = JSON.parse(fs.readFileSync('vnext.config.json', 'utf8'));
+  const options = { domain: 'touch', rules: conventions.validationRules(config) };
+  const check = (type, file, content) => conventions.checkComponent({ type, file, content }, options)
+    .map(diagnostic => diagnostic.rule).sort();
+
+  const schema = { key: 'order-approval', version: '1.0.0', domain: 'touch', flow: 'sys-schemas', attributes: {} };
+  if (check('schemas', 'Schemas/order-approval.1.0.0.json', schema).length !== 0 ||
+      check('workflows', 'Workflows/order-approval.json', schema).length !== 0) {
+    throw new Error('Consistent components should pass');
+  }
+  const exported = Object.assign({ id: '2f6d2c1e-6d1b-4e63-9a43-d5f3f0c1a001', eTag: 'W/"1"' }, schema);
+  if (check('schemas', 'Schemas/order-approval.1.0.0.json', exported).length !== 0) {
+    throw new Error('Components exported from the platform (with id and eTag) should pass');
+  }
+
+  const broken = Object.assign({}, schema, { key: 'OrderApproval', version: '1.0', domain: 'other', extra: true });
+  const rules = check('schemas', 'Schemas/order-approval.1.0.0.json', broken);
+  const expected = ['convention/domain', 'convention/filename', 'convention/key-format', 'convention/unknown-property', 'convention/version-format'];
+  if (JSON.stringify(rules) !== JSON.stringify(expected)) {
+    throw new Error(`Unexpected diagnostics: ${rules.join(', ')}`);
+  }
+
+  const relaxed = { domain: 'touch', rules: conventions.validationRules({}) };
+  if (conventions.checkComponent({ type: 'workflows', file: 'a.json', content: Object.assign({}, schema, { key: 'a', extra: 1 }) }, relaxed).length !== 0) {
+    throw new Error('Unknown properties should be allowed unless allowUnknownProperties is false');
+  }
+});
+
+// Test 26: Mappings and transition payloads are checked against the bound workflow schema
+test('Workflow data contract against the bound schema', () => {
+  const dataContract = require('./src/data-contract');
+  const instanceSchema = JSON.parse(fs.readFileSync(path.join('touch', 'Schemas', 'rezervation.1.0.0.json'), 'utf8')).attributes.schema;
+  const payloadSchema = { type: 'object', properties: { advisor: { type: 'string' }, startDateTime: { type: 'number' }, webrtc: { type: 'object' } } };
+  const script = 'var room = context.Instance.Data.webrtcIntegration.roomName; var id = Data.webrtc.roomId.ToString();';
+  const workflow = {
+    key: 'rezervation',
+    attributes: {
+      schema: { key: 'rezervation', domain: 'touch', version: '1.0.0', flow: 'sys-schemas' },
+      states: [{
+        key: 'chat',
+        transitions: [{ key: 'book', target: 'chat', schema: { key: 'book-payload', domain: 'touch', version: '1.0.0' } }],
+        subFlow: { mapping: { location: '', code: Buffer.from(script).toString('base64') } }
+      }]
+    }
+  };
+  const resolveSchema = reference => (reference.key === 'rezervation' ? instanceSchema : payloadSchema);
+
+  const paths = dataContract.dataPaths(script).map(segments => segments.join('.'));
+  if (JSON.stringify(paths) !== JSON.stringify(['webrtcIntegration.roomName', 'webrtc.roomId'])) {
+    throw new Error(`Unexpected data paths: ${paths.join(', ')}`);
+  }
+
+  const diagnostics = dataContract.checkDataContract(workflow, { resolveSchema });
+  const found = diagnostics.map(diagnostic => `${diagnostic.rule} ${diagnostic.pointer}`).sort();
+  const expected = [
+    'contract/type-mismatch /attributes/states/0/transitions/0/schema',
+    'contract/unknown-property /attributes/states/0/subFlow/mapping/code',
+    'contract/unknown-property /attributes/states/0/transitions/0/schema'
+  ];
+  if (JSON.stringify(found) !== JSON.stringify(expected)) {
+    throw new Error(`Unexpected diagnostics: ${found.join(', ')}`);
+  }
+  if (!diagnostics.some(diagnostic => diagnostic.message.includes('"webrtc"'))) {
+    throw new Error('Renamed schema properties should be named in the message');
+  }
+});
+
+// Test 27: Domain diff classifies component changes as major, minor or patch
+test('Domain diff classifies component changes', () => {
+  const domainDiff = require('./src/domain-diff');
+
+  withTempDir('diff-test', (tempRoot) => {
+    copyProject(tempRoot);
+    const edit = (file, change) => {
+      const filePath = path.join(tempRoot, 'touch', file);
+      const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      change(content);
+      fs.writeFileSync(filePath, JSON.stringify(content, null, 2));
+    };
+
+    edit('Workflows/rezervation.json', (workflow) => {
+      workflow.attributes.states[0].versionStrategy = 'Major';
+      workflow.attributes.states[0].transitions[0].target = 'cancelled';
+      workflow.attributes.states[0].labels[0].label = 'Book';
+    });
+    edit('Schemas/rezervation.1.0.0.json', (schema) => {
+      delete schema.attributes.schema.properties.cancellationReason;
+      schema.attributes.schema.properties.channel = { type: 'string' };
+      schema.attributes.schema.required = (schema.attributes.schema.required || []).concat('webrtcIntegration');
+    });
+
+    const result = domainDiff.diffDomains(domainDiff.loadDomain(__dirname), domainDiff.loadDomain(tempRoot));
+    const found = result.changes.map(change => `${change.severity} ${change.type}/${change.key}: ${change.message}`);
+    const expected = [
+      'major schemas/rezervation: property "cancellationReason" removed',
+      'minor schemas/rezervation: optional property "channel" added',
+      'major schemas/rezervation: property "webrtcIntegration" is now required',
+      'minor workflows/rezervation: state "appointment-form" versionStrategy changed from Minor to Major',
+      'patch workflows/rezervation: state "appointment-form" labels changed',
+      'major workflows/rezervation: state "appointment-form" transition "confirm-selection" retargeted from "confirmation" to "cancelled"'
+    ];
+    const missing = expected.filter(item => !found.includes(item));
+    if (missing.length > 0 || found.length !== expected.length) {
+      throw new Error(`Unexpected changes: ${found.join('; ')}`);
+    }
+    if (result.severity !== 'major' || domainDiff.bumpVersion('1.4.2', result.severity) !== '2.0.0') {
+      throw new Error('Removed schema properties should require a major version bump');
+    }
+  });
+});
+
+// Test 28: Version bumps rename schema files and update references and package versions
+test('Version bump assistant applies component bumps', () => {
+  const domainDiff = require('./src/domain-diff');
+  const versionBump = require('./src/version-bump');
+
+  withTempDir('bump', (tempRoot) => {
+    copyProject(tempRoot);
+    const schemaPath = path.join(tempRoot, 'touch', 'Schemas', 'rezervation.1.0.0.json');
+    const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    delete schema.attributes.schema.properties.cancellationReason;
+    writeJson(schemaPath, schema);
+
+    const plan = versionBump.planBumps(domainDiff.loadDomain(__dirname), domainDiff.loadDomain(tempRoot));
+    const schemaBump = plan.components.find(item => item.type === 'schemas' && item.key === 'rezervation');
+    if (!schemaBump || schemaBump.proposed !== '2.0.0' || !schemaBump.needed) {
+      throw new Error('Removing a schema property should propose a major bump of that schema');
+    }
+    // The rezervation workflow binds the schema by exact version, advisor-hub and advisor-card
+    // use the workflow as a subflow; their rewritten references are changes of their own
+    const workflowFile = path.join('touch', 'Workflows', 'rezervation.json');
+    const workflowVersion = JSON.parse(fs.readFileSync(workflowFile, 'utf8')).version;
+    const proposed = plan.components.map(item => `${item.type}/${item.key}:${item.severity}`).sort();
+    const expectedBumps = ['schemas/rezervation:major', 'workflows/advisor-card:minor', 'workflows/advisor-hub:minor', 'workflows/rezervation:major'];
+    if (JSON.stringify(proposed) !== JSON.stringify(expectedBumps) || !plan.components.every(item => item.needed)) {
+      throw new Error(`Components whose references are rewritten should be proposed too, got ${proposed.join(', ')}`);
+    }
+
+    // An existing file of the new version is never overwritten
+    const renamed = path.join(tempRoot, 'touch', 'Schemas', 'rezervation.2.0.0.json');
+    fs.writeFileSync(renamed, '{}\n');
+    const schemaText = fs.readFileSync(schemaPath, 'utf8');
+    let error = null;
+    try {
+      versionBump.applyBumps(plan, tempRoot);
+    } catch (caught) {
+      error = caught;
+    }
+    if (!error || !error.message.includes('rezervation.2.0.0.json already exists') ||
+        fs.readFileSync(renamed, 'utf8') !== '{}\n' || fs.readFileSync(schemaPath, 'utf8') !== schemaText) {
+      throw new Error('Bumps that would overwrite an existing file should be refused before anything is written');
+    }
+    fs.unlinkSync(renamed);
+
+    const result = versionBump.applyBumps(plan, tempRoot);
+    if (fs.existsSync(schemaPath) || JSON.parse(fs.readFileSync(renamed, 'utf8')).version !== '2.0.0' || result.bumped.length !== 4) {
+      throw new Error('Bumped schema files should be renamed to the new version');
+    }
+    const workflow = JSON.parse(fs.readFileSync(path.join(tempRoot, workflowFile), 'utf8'));
+    if (workflow.attributes.schema.version !== '2.0.0' || workflow.version !== domainDiff.bumpVersion(workflowVersion, 'major')) {
+      throw new Error('References to the bumped schema should be updated and the workflow bumped');
+    }
+    const packageJson = JSON.parse(fs.readFileSync(path.join(tempRoot, 'package.json'), 'utf8'));
+    const config = JSON.parse(fs.readFileSync(path.join(tempRoot, 'vnext.config.json'), 'utf8'));
+    const packageVersion = domainDiff.bumpVersion(require('./package.json').version, 'major');
+    if (packageJson.version !== packageVersion || config.version !== packageVersion || !config.exports.schemas.includes('rezervation.2.0.0.json')) {
+      throw new Error('package.json and vnext.config.json versions and exports should follow the bump');
+    }
+  });
+});
+
+// Test 29: Exports are computed from the domain folder and checked by validation
+test('Exports are computed, validated and exposed by getExports', () => {
+  const vnextTemplate = require('./index.js');
+  const references = require('./src/references');
+  const domainExports = require('./src/domain-exports');
+  const { validateProject } = require('./validate.js');
+  const config = vnextTemplate.getDomainConfig();
+  const components = references.loadComponents(vnextTemplate, config);
+
+  const restricted = Object.assign({}, config, {
+    exports: { visibility: 'public', exclude: ['Schemas/**'], componentVisibility: { 'Workflows/start-*.json': 'private' } }
+  });
+  const computed = domainExports.computeExports(components, vnextTemplate.getDomainName(), restricted);
+  if (computed.schemas.length !== 0 || computed.workflows.includes('start-chat.json') || !computed.workflows.includes('rezervation.json')) {
+    throw new Error('Exclude patterns and private components should not be exported');
+  }
+
+  const exported = vnextTemplate.getExports();
+  if (Object.keys(exported.workflows).length !== config.exports.workflows.length || !exported.schemas['rezervation.1.0.0']) {
+    throw new Error('getExports should return the components listed in vnext.config.json');
+  }
+
+  const result = validateProject({ root: __dirname, rules: ['exports'] });
+  if (!result.valid || result.diagnostics.length > 0) {
+    throw new Error(result.diagnostics.map(diagnostic => diagnostic.message).join('; ') || 'Export validation failed');
+  }
+});
+
+// Test 30: References into other domains resolve against declared dependencies in node_modules
+test('Cross-domain references resolve against domain dependencies', () => {
+  const { validateProject } = require('./validate.js');
+  const rules = result => result.diagnostics.map(diagnostic => diagnostic.rule).sort();
+
+  withTempDir('dependencies', (tempRoot) => {
+    copyProject(tempRoot);
+    const packageRoot = path.join(tempRoot, 'node_modules', '@acme', 'user-domain');
+    writeJson(path.join(packageRoot, 'package.json'), { name: '@acme/user-domain', version: '1.2.0', main: 'index.js' });
+    copyPath(path.join(__dirname, 'index.js'), path.join(packageRoot, 'index.js'));
+    writeJson(path.join(packageRoot, 'vnext.config.json'), { domain: 'user', exports: { workflows: ['user-profile.json'] } });
+    ['user-profile', 'user-audit'].forEach(key => {
+      writeJson(path.join(packageRoot, 'user', 'Workflows', `${key}.json`), { key, version: '1.0.0', domain: 'user', flow: 'sys-flows' });
+    });
+
+    const configPath = path.join(tempRoot, 'vnext.config.json');
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    config.dependencies.domains = [{ domain: 'user', package: '@acme/user-domain', version: '^1.0.0' }];
+    writeJson(configPath, config);
+
+    const workflowPath = path.join(tempRoot, 'touch', 'Workflows', 'rezervation.json');
+    const workflow = JSON.parse(fs.readFileSync(workflowPath, 'utf8'));
+    const subFlow = key => ({ type: 'S', process: { key, domain: 'user', flow: 'sys-flows', version: '1.0.0' } });
+    workflow.attributes.states[0].subFlow = subFlow('user-profile');
+    writeJson(workflowPath, workflow);
+
+    let result = validateProject({ root: tempRoot, rules: ['dependencies'] });
+    if (!result.valid || result.diagnostics.length > 0) {
+      throw new Error(result.diagnostics.map(diagnostic => diagnostic.message).join('; ') || 'Exported dependency reference should resolve');
+    }
+
+    workflow.attributes.states[0].subFlow = subFlow('user-audit');
+    writeJson(workflowPath, workflow);
+    result = validateProject({ root: tempRoot, rules: ['dependencies'] });
+    if (result.valid || JSON.stringify(rules(result)) !== JSON.stringify(['export/not-exported'])) {
+      throw new Error(`Non-exported dependency components should be rejected, got ${rules(result).join(', ')}`);
+    }
+
+    writeJson(path.join(tempRoot, 'package-lock.json'), {
+      packages: { 'node_modules/@acme/user-domain': { version: '1.2.0', resolved: 'https://npm.example.com/@acme/user-domain/-/user-domain-1.2.0.tgz' } }
+    });
+    config.dependencies.domains[0].version = '^2.0.0';
+    writeJson(configPath, config);
+    result = validateProject({ root: tempRoot, rules: ['dependencies'] });
+    const found = rules(result);
+    if (!found.includes('dependency/host-not-allowed') || !found.includes('dependency/version-mismatch')) {
+      throw new Error(`Unknown hosts and unsatisfied versions should be rejected, got ${found.join(', ')}`);
+    }
+  });
+});
+
+// Test 31: Components can be looked up by key, version range and tag
+test('Query API looks up components by key, version and tag', () => {
+  const { createDomainLoader } = require('./index.js');
+
+  withTempDir('query', (tempRoot) => {
+    const schemasDir = path.join(tempRoot, 'touch', 'Schemas');
+    ['1.0.0', '1.2.0', '2.0.0'].forEach(version => {
+      const tags = version === '2.0.0' ? ['customer', 'beta'] : ['customer'];
+      writeJson(path.join(schemasDir, `customer.${version}.json`), { key: 'customer', version, domain: 'touch', flow: 'sys-schemas', tags });
+    });
+    writeJson(path.join(tempRoot, 'touch', 'Workflows', 'onboarding.json'), { key: 'onboarding', version: '1.0.0', domain: 'touch', flow: 'sys-flows', tags: ['customer'] });
+    const loader = createDomainLoader(tempRoot);
+
+    if (JSON.stringify(loader.listVersions('schemas', 'customer')) !== JSON.stringify(['1.0.0', '1.2.0', '2.0.0'])) {
+      throw new Error('listVersions should return every version in ascending order');
+    }
+    if (loader.getLatest('schemas', 'customer').version !== '2.0.0' || loader.getLatest('schemas', 'missing') !== null) {
+      throw new Error('getLatest should return the highest version or null');
+    }
+    const component = loader.getComponent('schemas', 'customer', '^1.0.0');
+    if (component.version !== '1.2.0' || component.file !== path.join(schemasDir, 'customer.1.2.0.json')) {
+      throw new Error('getComponent should pick the highest version matching the range');
+    }
+    if (loader.getComponent('schemas', 'customer', '^3.0.0') !== null || loader.getComponent('schemas', 'customer').version !== '2.0.0') {
+      throw new Error('getComponent should return null for unmatched ranges and the latest version without one');
+    }
+    if (loader.findByTag('beta').length !== 1 || loader.findByTag('customer').length !== 4) {
+      throw new Error('findByTag should return every component carrying the tag');
+    }
+    const all = Array.from(loader.iterateComponents());
+    if (all.length !== 4 || !all.some(item => item.type === 'workflows' && item.file.endsWith('onboarding.json'))) {
+      throw new Error('iterateComponents should yield every component with its type and file path');
+    }
+  });
+});
+
+// Test 32: Loading follows paths in vnext.config.json, is cached until reload() and reports load errors
+test('Component loading is config-driven, cached and reports load errors', () => {
+  const { createDomainLoader } = require('./index.js');
+
+  withTempDir('loader', (tempRoot) => {
+    writeJson(path.join(tempRoot, 'vnext.config.json'), { domain: 'touch', paths: { componentsRoot: 'components', schemas: 'Models' } });
+    // A decoy directory that the old cwd scan would have picked first
+    fs.mkdirSync(path.join(tempRoot, 'aaa', 'Schemas'), { recursive: true });
+    const modelsDir = path.join(tempRoot, 'components', 'Models');
+    writeJson(path.join(modelsDir, 'customer.1.0.0.json'), { key: 'customer', version: '1.0.0', domain: 'touch', flow: 'sys-schemas' });
+    fs.writeFileSync(path.join(modelsDir, 'broken.1.0.0.json'), '{ "key": ');
+
+    const reported = [];
+    const loader = createDomainLoader(tempRoot, { onLoadError: error => reported.push(error) });
+    const errors = loader.getLoadErrors();
+    if (errors.length !== 1 || errors[0].file !== path.join(modelsDir, 'broken.1.0.0.json') || reported.length !== 1) {
+      throw new Error('Files that cannot be parsed should be reported as load errors before any folder is read');
+    }
+    if (loader.getDomainName() !== 'components' || Object.keys(loader.getSchemas()).join() !== 'customer.1.0.0') {
+      throw new Error('Components should be loaded from paths.componentsRoot and paths.schemas');
+    }
+    if (loader.getLoadErrors().length !== 1 || reported.length !== 1) {
+      throw new Error('Load errors should be reported once');
+    }
+
+    writeJson(path.join(modelsDir, 'customer.2.0.0.json'), { key: 'customer', version: '2.0.0', domain: 'touch', flow: 'sys-schemas' });
+    if (loader.listVersions('schemas', 'customer').length !== 1) {
+      throw new Error('Loaded folders should be cached until reload()');
+    }
+    loader.getSchemas()['customer.1.0.0'].key = 'changed';
+    loader.getComponent('schemas', 'customer').content.version = '9.9.9';
+    if (loader.getSchemas()['customer.1.0.0'].key !== 'customer' || loader.getComponent('schemas', 'customer').version !== '1.0.0') {
+      throw new Error('Changing a returned component should not change the cached files');
+    }
+    loader.reload();
+    if (JSON.stringify(loader.listVersions('schemas', 'customer')) !== JSON.stringify(['1.0.0', '2.0.0'])) {
+      throw new Error('reload() should read changed files again');
+    }
+  });
+});
+
+// Test 33: Component discovery recurses into grouping folders and skips metadata and ignored files
+test('Component discovery supports nested folders, .meta and ignore globs', () => {
+  const { createDomainLoader } = require('./index.js');
+  const discovery = require('./src/discovery');
+
+  withTempDir('discovery', (tempRoot) => {
+    const config = { domain: 'touch', paths: { componentsRoot: 'touch', ignore: ['Workflows/drafts/**'] } };
+    writeJson(path.join(tempRoot, 'vnext.config.json'), config);
+    const domainDir = path.join(tempRoot, 'touch');
+    const workflow = key => ({ key, version: '1.0.0', domain: 'touch', flow: 'sys-flows' });
+    const files = {
+      top: path.join(domainDir, 'Workflows', 'start-chat.json'),
+      nested: path.join(domainDir, 'Workflows', 'advisor', 'advisor-card.json'),
+      meta: path.join(domainDir, 'Workflows', '.meta', 'advisor-card.diagram.json'),
+      nestedMeta: path.join(domainDir, 'Workflows', 'advisor', '.meta', 'advisor-card.diagram.json'),
+      ignored: path.join(domainDir, 'Workflows', 'drafts', 'draft-flow.json')
+    };
+    writeJson(files.top, workflow('start-chat'));
+    writeJson(files.nested, workflow('advisor-card'));
+    writeJson(files.meta, { nodePos: {} });
+    writeJson(files.nestedMeta, { nodePos: { removed: { x: 100, y: 100 } } });
+    writeJson(files.ignored, workflow('draft-flow'));
+
+    const workflows = createDomainLoader(tempRoot).getWorkflows();
+    if (JSON.stringify(Object.keys(workflows)) !== JSON.stringify(['advisor/advisor-card', 'start-chat'])) {
+      throw new Error(`Unexpected workflows: ${Object.keys(workflows).join(', ')}`);
+    }
+    const types = Object.values(files).map(file => discovery.componentTypeForFile(domainDir, file, config));
+    if (JSON.stringify(types) !== JSON.stringify(['workflows', 'workflows', null, null, null])) {
+      throw new Error(`Metadata and ignored files should not be components, got ${types.join(', ')}`);
+    }
+    const withMetadata = discovery.listJsonFiles(domainDir, { ignore: config.paths.ignore, includeMetadata: true });
+    if (withMetadata.length !== 4 || !withMetadata.includes(files.meta)) {
+      throw new Error('Syntax checks should still see metadata files but skip ignored ones');
+    }
+
+    // Diagram files of nested workflows are checked and fixed next to them
+    const { validateProject, fixDiagramFiles } = require('./src/validator');
+    const diagrams = validateProject({ root: tempRoot, rules: ['diagram-meta'] }).diagnostics;
+    if (!diagrams.some(diagnostic => diagnostic.rule === 'meta/stale-position' && path.resolve(diagnostic.file) === files.nestedMeta)) {
+      throw new Error('Diagram files in nested .meta folders should be checked');
+    }
+    const fixed = fixDiagramFiles({ root: tempRoot }).map(item => path.resolve(item.file));
+    if (!fixed.includes(files.nestedMeta) || Object.keys(JSON.parse(fs.readFileSync(files.nestedMeta, 'utf8')).nodePos).length !== 0) {
+      throw new Error('--fix should prune positions in nested diagram files');
+    }
+  });
+});
+
+// Test 34: The deployment bundle lists every component with hashes and resolved references
+test('Build produces a deterministic hashed bundle', () => {
+  const bundle = require('./src/bundle');
+
+  withTempDir('build', (outDir) => {
+    const first = bundle.buildBundle(__dirname);
+    const second = bundle.buildBundle(__dirname);
+    if (JSON.stringify(first) !== JSON.stringify(second)) {
+      throw new Error('Building the same components should give the same bundle');
+    }
+    if (bundle.hashContent({ a: 1, b: [1, 2] }) !== bundle.hashContent({ b: [1, 2], a: 1 })) {
+      throw new Error('Content hashes should not depend on property order');
+    }
+
+    const workflow = first.manifest.components.find(component => component.type === 'workflows' && component.key === 'rezervation');
+    const schemaReference = workflow && workflow.references.find(reference => reference.pointer === '/attributes/schema');
+    if (!schemaReference || schemaReference.resolvedVersion !== '1.0.0' || schemaReference.file !== 'Schemas/rezervation.1.0.0.json') {
+      throw new Error('References should be listed with the component they resolve to');
+    }
+    if (first.manifest.components.length !== first.types.schemas.length + first.types.workflows.length) {
+      throw new Error('The manifest should list every component');
+    }
+
+    const written = bundle.writeBundle(first, outDir, { concat: true });
+    const manifest = JSON.parse(fs.readFileSync(path.join(outDir, bundle.MANIFEST_FILE), 'utf8'));
+    const workflows = JSON.parse(fs.readFileSync(path.join(outDir, 'workflows.json'), 'utf8'));
+    if (written.length !== 7 || manifest.hash !== first.manifest.hash || manifest.files.workflows.hash !== bundle.hashContent(workflows)) {
+      throw new Error('writeBundle should write the manifest and one hashed file per type');
+    }
+    if (bundle.writeBundle(first, outDir).length !== 1 || fs.readdirSync(outDir).join(',') !== bundle.MANIFEST_FILE) {
+      throw new Error('A build without concat should remove the <type>.json files of an earlier build');
+    }
+  });
+
+  // A component file that cannot be read fails the build instead of being left out
+  withTempDir('build-broken', (tempRoot) => {
+    copyProject(tempRoot);
+    fs.writeFileSync(path.join(tempRoot, 'touch', 'Workflows', 'broken.json'), '{ "key": ');
+    let error = null;
+    try {
+      bundle.buildBundle(tempRoot);
+    } catch (caught) {
+      error = caught;
+    }
+    if (!error || !error.message.startsWith('Cannot bundle unreadable files') || !error.message.includes('broken.json')) {
+      throw new Error('Building with an unreadable component file should fail');
+    }
+  });
+});
+
+// Test 35: The simulator runs workflows in memory, entering and leaving subflows
+test('Simulator executes workflows and their subflows', () => {
+  const vnextTemplate = require('./index.js');
+  const { createSimulation } = require('./src/simulator');
+
+  const hub = createSimulation(vnextTemplate, 'advisor-hub');
+  if (hub.start().state !== 'main') {
+    throw new Error('advisor-hub should start in main');
+  }
+  let state = hub.fire('new-reservation');
+  if (state.workflow !== 'rezervation' || state.state !== 'appointment-form' || state.stack[0].state !== 'subflow-rezervation') {
+    throw new Error('Entering subflow-rezervation should start the rezervation workflow');
+  }
+  ['confirm-selection', 'create-appointment', 'user-cancel'].forEach(key => {
+    state = hub.fire(key);
+  });
+  if (state.status !== 'running' || state.workflow !== 'advisor-hub' || state.state !== 'main' || state.stack.length !== 1) {
+    throw new Error('A finished subflow should return advisor-hub to main');
+  }
+  if (!state.history.some(event => event.type === 'subflow-completed' && event.workflow === 'rezervation')) {
+    throw new Error('Subflow completion should be recorded in the history');
+  }
+
+  const rezervation = createSimulation(vnextTemplate, 'rezervation');
+  rezervation.start();
+  ['confirm-selection', 'create-appointment', 'can-start', 'start-meeting', 'accept', 'end-meeting'].forEach(key => {
+    state = rezervation.fire(key);
+  });
+  if (state.status !== 'finished' || state.state !== 'meet-completed' || rezervation.availableTransitions().length !== 0) {
+    throw new Error('Reaching meet-completed should finish the workflow');
+  }
+
+  let error = null;
+  try {
+    hub.fire('end-meeting');
+  } catch (caught) {
+    error = caught;
+  }
+  if (!error || !error.message.includes('not available in state "main"')) {
+    throw new Error('Firing an unavailable transition should fail with the available ones');
+  }
+
+  // A transition into a subflow that cannot be loaded (e.g. a misspelled key) is rolled back
+  const loader = {
+    getComponent: (type, key, version) => (key === 'start-chat' ? null : vnextTemplate.getComponent(type, key, version))
+  };
+  const broken = createSimulation(loader, 'advisor-hub');
+  const before = broken.start({ customer: 'c-1' });
+  const transitionsBefore = JSON.stringify(broken.availableTransitions());
+  error = null;
+  try {
+    broken.fire('start-chat', { topic: 'portfolio' });
+  } catch (caught) {
+    error = caught;
+  }
+  if (!error || !error.message.includes('"start-chat"')) {
+    throw new Error('Entering a subflow that cannot be loaded should fail');
+  }
+  const after = broken.getState();
+  if (JSON.stringify(after) !== JSON.stringify(before) || JSON.stringify(broken.availableTransitions()) !== transitionsBefore) {
+    throw new Error(`The failed transition should be rolled back, got ${after.state} with ${after.history.length} history entries`);
+  }
+  if (broken.fire('new-reservation').workflow !== 'rezervation') {
+    throw new Error('The simulation should keep working after a failed transition');
+  }
+  const missing = createSimulation(loader, 'start-chat');
+  try {
+    missing.start();
+  } catch (caught) {
+    error = caught;
+  }
+  if (missing.getState().status !== 'idle') {
+    throw new Error('A failed start should leave the simulation idle');
+  }
+});
+
+// Test 36: Scenario runner reports the first step that does not reach the expected state
+test('Scenario runner reports failing expectations', () => {
+  const vnextTemplate = require('./index.js');
+  const scenarios = require('./src/scenarios');
+  const definition = { workflow: 'rezervation' };
+  const run = steps => scenarios.runScenario(vnextTemplate, definition, { name: 'check', steps, final: { status: 'finished' } });
+
+  const wrongState = run([{ transition: 'confirm-selection', state: 'active' }, { transition: 'create-appointment' }]);
+  if (wrongState.passed || wrongState.failures.join() !== 'step 1 (confirm-selection): expected state "active" but was "confirmation"') {
+    throw new Error(`Unexpected result: ${wrongState.failures.join('; ')}`);
+  }
+  const unfinished = run([{ transition: 'confirm-selection', state: 'confirmation' }]);
+  if (unfinished.passed || !unfinished.failures[0].startsWith('final: expected status "finished"')) {
+    throw new Error('Scenarios should check the expected final status');
+  }
+  if (!run([{ transition: 'missing' }]).failures[0].includes('not available')) {
+    throw new Error('Unknown transitions should fail the scenario');
+  }
+});
+
+// Test 37: Workflow scenarios in tests/*.scenario.json
+{
+  const vnextTemplate = require('./index.js');
+  const scenarios = require('./src/scenarios');
+  for (const file of scenarios.listScenarioFiles(__dirname)) {
+    let definition;
+    try {
+      definition = scenarios.loadScenarioFile(file);
+    } catch (error) {
+      test(`Scenario file ${path.basename(file)}`, () => {
+        throw error;
+      });
+      continue;
+    }
+    for (const scenario of definition.scenarios) {
+      test(`Scenario ${definition.workflow}: ${scenario.name}`, () => {
+        const result = scenarios.runScenario(vnextTemplate, definition, scenario);
+        if (!result.passed) {
+          throw new Error(result.failures.join('; '));
+        }
+      });
+    }
+  }
+}
+
+// Test 38: Sample data follows the domain schemas and invalid variants break them
+test('Sample data generator produces valid and invalid instances', () => {
+  const Ajv = require('ajv/dist/2020').default;
+  const addFormats = require('ajv-formats');
+  const vnextTemplate = require('./index.js');
+  const sampleData = require('./src/sample-data');
+  const ajv = new Ajv({ strict: false, allErrors: true });
+  addFormats(ajv);
+
+  const schemas = Array.from(vnextTemplate.iterateComponents()).filter(component => component.type === 'schemas');
+  if (schemas.length === 0) {
+    throw new Error('No schemas found');
+  }
+  for (const component of schemas) {
+    const schema = component.content.attributes.schema;
+    const validate = ajv.compile(schema);
+    for (const options of [{}, { minimal: true }, { seed: 42 }]) {
+      if (!validate(sampleData.generateSample(schema, options))) {
+        throw new Error(`${component.key} sample ${JSON.stringify(options)} is invalid: ${ajv.errorsText(validate.errors)}`);
+      }
+    }
+    const invalid = sampleData.generateInvalidSamples(schema);
+    const accepted = invalid.filter(variant => validate(variant.data));
+    if (invalid.length === 0 || accepted.length > 0) {
+      throw new Error(`${component.key} invalid variants accepted by the schema: ${accepted.map(variant => variant.description).join('; ')}`);
+    }
+  }
+
+  const rezervation = vnextTemplate.getComponent('schemas', 'rezervation').content.attributes.schema;
+  const sample = sampleData.generateSample(rezervation, { seed: 5 });
+  if (JSON.stringify(sample) !== JSON.stringify(sampleData.generateSample(rezervation, { seed: 5 }))) {
+    throw new Error('Samples should be reproducible from their seed');
+  }
+  if (!(sample.startDateTime < sample.endDateTime) || sample.webrtcIntegration.created !== true) {
+    throw new Error('Date-time properties should be ordered and nested objects filled');
+  }
+  const rules = sampleData.generateInvalidSamples(rezervation).map(variant => `${variant.rule}@${variant.pointer}`);
+  for (const expected of ['required@/webrtcIntegration/created', 'format@/startDateTime', 'additionalProperties@/unexpectedProperty']) {
+    if (!rules.includes(expected)) {
+      throw new Error(`Missing invalid variant ${expected}`);
+    }
+  }
+
+  // Patterns without a matching example and upper bounds are honored too
+  const bounded = [
+    { type: 'string', pattern: '^[A-Z]{3}$' },
+    { type: 'string', pattern: '^TR\\d{2}-[a-z]+(-[0-9]{2,4})?$', description: "Code such as 'not-matching'" },
+    { type: 'string', pattern: '^(?:open|closed)_[^@\\s]+@[a-z]+\\.com$' },
+    { type: 'integer', maximum: -5 },
+    { type: 'integer', exclusiveMaximum: 0 },
+    { type: 'number', minimum: -10, maximum: 2.5, multipleOf: 0.5 }
+  ];
+  for (const schema of bounded) {
+    const value = sampleData.generateSample(schema, { seed: 7 });
+    const validate = ajv.compile(schema);
+    if (!validate(value)) {
+      throw new Error(`${JSON.stringify(value)} does not match ${JSON.stringify(schema)}: ${ajv.errorsText(validate.errors)}`);
+    }
+  }
+
+  // Every invalid variant breaks its rule, fractional steps and catch-all patterns included
+  const edges = {
+    type: 'object',
+    properties: {
+      half: { type: 'number', multipleOf: 0.5 },
+      third: { type: 'integer', multipleOf: 3 },
+      anything: { type: 'string', pattern: '^.*$' },
+      code: { type: 'string', pattern: '^[A-Z]{3}$' }
+    },
+    required: ['half', 'third', 'anything', 'code']
+  };
+  const validateEdges = ajv.compile(edges);
+  const edgeVariants = sampleData.generateInvalidSamples(edges);
+  const acceptedEdges = edgeVariants.filter(variant => validateEdges(variant.data));
+  if (acceptedEdges.length > 0) {
+    throw new Error(`Invalid variants accepted by the schema: ${acceptedEdges.map(variant => variant.description).join('; ')}`);
+  }
+  const edgeRules = edgeVariants.map(variant => `${variant.rule}@${variant.pointer}`);
+  if (!edgeRules.includes('pattern@/code') || edgeRules.includes('pattern@/anything') || !edgeRules.includes('multipleOf@/half')) {
+    throw new Error(`Unexpected invalid variants: ${edgeRules.join(', ')}`);
+  }
+});
+
+// Test 39: TypeScript declarations are generated from the schemas and kept up to date
+test('index.d.ts matches the generated TypeScript declarations', () => {
+  const vnextTemplate = require('./index.js');
+  const typescript = require('./src/typescript');
+
+  const schemas = Array.from(vnextTemplate.iterateComponents()).filter(component => component.type === 'schemas');
+  const text = typescript.generateDeclarations(schemas);
+  if (fs.readFileSync(path.join(__dirname, 'index.d.ts'), 'utf8') !== text) {
+    throw new Error('index.d.ts is out of date, run "npm run types"');
+  }
+  for (const expected of ['interface Rezervation {', 'interface AbsenceEntry {', '"rezervation": Rezervation;', 'startDateTime: string;', 'cancellationReason?: string;']) {
+    if (!text.includes(expected)) {
+      throw new Error(`Declarations should contain ${expected}`);
+    }
+  }
+  for (const name of Object.keys(vnextTemplate).filter(key => key !== 'createDomainLoader')) {
+    if (!text.includes(`    ${name}(`)) {
+      throw new Error(`DomainLoader declaration is missing ${name}()`);
+    }
+  }
+
+  const checks = [
+    [{ type: 'string', enum: ['a', 'b'] }, '"a" | "b"'],
+    [{ oneOf: [{ const: 1 }, { const: 2 }] }, '1 | 2'],
+    [{ type: ['string', 'null'] }, 'string | null'],
+    [{ type: 'array', items: { type: 'integer' } }, 'number[]'],
+    [{ type: 'array', items: { enum: ['x', 'y'] } }, 'Array<"x" | "y">'],
+    [{ type: 'object', properties: { 'a-b': { type: 'boolean' } }, required: ['a-b'], additionalProperties: false }, '{\n  "a-b": boolean;\n}']
+  ];
+  for (const [schema, expected] of checks) {
+    const actual = typescript.schemaToType(schema);
+    if (actual !== expected) {
+      throw new Error(`${JSON.stringify(schema)} should map to ${expected}, got ${actual}`);
+    }
+  }
+  if (typescript.interfaceName('absence-entry') !== 'AbsenceEntry') {
+    throw new Error('Interface names should be PascalCase schema keys');
+  }
+});
+
+// Test 40: Mock runtime runs instances in memory and validates payloads against bound schemas
+test('Mock runtime starts instances and executes transitions', () => {
+  const { createDomainLoader } = require('./index.js');
+  const { createMockRuntime } = require('./src/mock-runtime');
+  const runtime = createMockRuntime(createDomainLoader(__dirname, { onLoadError: () => {} }));
+  const base = `/api/v1/${runtime.domain}/workflows`;
+  const expectStatus = (result, status) => {
+    if (result.status !== status) {
+      throw new Error(`Expected status ${status}, got ${result.status}: ${JSON.stringify(result.body)}`);
+    }
+    return result.body;
+  };
+
+  const hub = expectStatus(runtime.handle('POST', `${base}/advisor-hub/instances/start`), 201);
+  if (hub.state !== 'main' || !hub.transitions.some(transition => transition.key === 'new-reservation')) {
+    throw new Error(`advisor-hub should start in main with new-reservation available, got ${hub.state}`);
+  }
+  const entered = expectStatus(runtime.handle('PATCH', `${base}/advisor-hub/instances/${hub.id}/transitions/new-reservation`, {}), 200);
+  if (entered.currentWorkflow !== 'rezervation' || entered.state !== 'appointment-form') {
+    throw new Error(`Expected the rezervation subflow, got ${entered.currentWorkflow}:${entered.state}`);
+  }
+
+  // Payloads of the subflow are checked against the rezervation schema
+  const invalid = expectStatus(runtime.handle('PATCH', `${base}/advisor-hub/instances/${hub.id}/transitions/confirm-selection`,
+    { startDateTime: 'tomorrow', unknownField: true }), 400);
+  const pointers = invalid.errors.map(error => error.pointer);
+  if (!pointers.includes('/startDateTime') || !pointers.includes('/unknownField')) {
+    throw new Error(`Expected format and additional property errors, got ${JSON.stringify(invalid.errors)}`);
+  }
+  const confirmed = expectStatus(runtime.handle('PATCH', `${base}/advisor-hub/instances/${hub.id}/transitions/confirm-selection`,
+    { startDateTime: '2025-01-06T09:00:00Z' }), 200);
+  if (confirmed.state !== 'confirmation' || confirmed.data.startDateTime !== '2025-01-06T09:00:00Z') {
+    throw new Error('A valid payload should be merged into the instance data');
+  }
+
+  expectStatus(runtime.handle('PATCH', `${base}/advisor-hub/instances/${hub.id}/transitions/not-a-transition`, {}), 409);
+  const transitions = expectStatus(runtime.handle('GET', `${base}/advisor-hub/instances/${hub.id}/transitions`), 200);
+  if (!transitions.some(transition => transition.key === 'create-appointment')) {
+    throw new Error('Available transitions should come from the current subflow state');
+  }
+  expectStatus(runtime.handle('GET', `${base}/advisor-hub/instances/unknown-id`), 404);
+  expectStatus(runtime.handle('GET', `${base}/rezervation/instances/${hub.id}`), 404);
+  expectStatus(runtime.handle('GET', `/api/v1/${runtime.domain}/schemas/rezervation?version=^1.0.0`), 200);
+  expectStatus(runtime.handle('GET', '/api/v1/another-domain/components'), 404);
+  expectStatus(runtime.handle('GET', `${base}/%E0%A4%A/instances`), 400);
+
+  // A transition may bind the same schema as its workflow; the payload must then be complete
+  const loader = createDomainLoader(__dirname, { onLoadError: () => {} });
+  const getComponent = loader.getComponent;
+  loader.getComponent = (type, key, version) => {
+    const component = getComponent(type, key, version);
+    if (!component || type !== 'workflows' || key !== 'rezervation') {
+      return component;
+    }
+    const content = JSON.parse(JSON.stringify(component.content));
+    const confirm = content.attributes.states.find(state => state.key === 'appointment-form').transitions[0];
+    confirm.schema = content.attributes.schema;
+    return Object.assign({}, component, { content });
+  };
+  const bound = createMockRuntime(loader);
+  const instance = expectStatus(bound.handle('POST', `${base}/rezervation/instances/start`), 201);
+  const confirmUrl = `${base}/rezervation/instances/${instance.id}/transitions/confirm-selection`;
+  const partial = expectStatus(bound.handle('PATCH', confirmUrl, { startDateTime: '2025-01-06T09:00:00Z' }), 400);
+  if (!partial.errors.some(error => error.message.includes('required'))) {
+    throw new Error(`A transition schema should require its properties, got ${JSON.stringify(partial)}`);
+  }
+  const sample = require('./src/sample-data').generateSample(getComponent('schemas', 'rezervation').content.attributes.schema);
+  expectStatus(bound.handle('PATCH', confirmUrl, sample), 200);
+
+  // Failures inside the runtime are server errors, not client errors
+  loader.getComponent = () => {
+    throw new Error('Disk read failed');
+  };
+  expectStatus(bound.handle('POST', `${base}/rezervation/instances/start`), 500);
+});
+
 // Print test results
 console.log('\n📊 Test Results:');
 console.log(`✅ Passed: ${testsPassed}`);
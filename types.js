@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { createDomainLoader } = require('./index.js');
+const { generateDeclarations } = require('./src/typescript');
+
+// Parse command line options:
+//   --output <file>               declaration file to write (default: index.d.ts)
+//   --check                       only compare, exit 1 when the file is out of date
+function parseArgs(argv) {
+  const options = { output: 'index.d.ts', check: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--output') {
+      options.output = argv[++i];
+    } else if (arg.startsWith('--output=')) {
+      options.output = arg.slice('--output='.length);
+    } else if (arg === '--check') {
+      options.check = true;
+    } else {
+      console.error(`❌ Unknown option "${arg}"`);
+      console.error('Usage: morph-touch types [--output <file>] [--check]');
+      process.exit(1);
+    }
+  }
+  return options;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  const loader = createDomainLoader(process.cwd());
+  const schemas = [...loader.iterateComponents()].filter(component => component.type === 'schemas');
+  const text = generateDeclarations(schemas);
+  const outputPath = path.resolve(process.cwd(), options.output);
+  const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : null;
+
+  if (options.check) {
+    if (current !== text) {
+      console.error(`❌ ${options.output} is out of date, run "npm run types" to regenerate it`);
+      process.exit(1);
+    }
+    console.log(`✅ ${options.output} is up to date`);
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, text, 'utf8');
+  console.log(`📝 Wrote ${options.output} with ${schemas.length} schema interface(s)`);
+}
+
+module.exports = {
+  main
+};
+
+if (require.main === module) {
+  main();
+}